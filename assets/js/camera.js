@@ -0,0 +1,201 @@
+/**
+ * Game of Life Camera
+ * World-to-screen transform for the board: zoom around a point, pan and fit
+ */
+
+// Camera Configuration Constants
+const CAMERA_CONFIG = {
+    MIN_ZOOM: 0.1,
+    MAX_ZOOM: 8,
+    WHEEL_SENSITIVITY: 0.0015, // Zoom factor per pixel of wheel delta (exponential)
+    WHEEL_LINE_HEIGHT: 16,     // Pixels per line for line-based wheel deltas
+    KEY_ZOOM_FACTOR: 1.25,
+    KEY_PAN_STEP: 48,          // Screen pixels per arrow key press
+    FIT_MARGIN: 0.1            // Fraction of the view left empty around a fitted pattern
+};
+
+/**
+ * Maps board cells to canvas pixels. Screen coordinates are canvas pixels; board
+ * coordinates are (fractional) columns and rows. A cell is drawn at
+ * offset + index * scale, where scale = cellSize * zoom.
+ */
+class Camera {
+    /**
+     * @param {number} cellSize - Cell size in pixels at zoom 1
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.zoom = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+
+        // Board and view sizes used to keep the board in sight, see setBounds()
+        this.boardCols = 0;
+        this.boardRows = 0;
+        this.viewWidth = 0;
+        this.viewHeight = 0;
+    }
+
+    get scale() {
+        return this.cellSize * this.zoom;
+    }
+
+    /**
+     * Update the board and canvas sizes and pull the board back into view
+     */
+    setBounds(rows, cols, viewWidth, viewHeight) {
+        this.boardRows = rows;
+        this.boardCols = cols;
+        this.viewWidth = viewWidth;
+        this.viewHeight = viewHeight;
+        this.clamp();
+    }
+
+    setCellSize(cellSize) {
+        this.cellSize = cellSize;
+        this.clamp();
+    }
+
+    /**
+     * @returns {{x: number, y: number}} Canvas position of a cell's top-left corner
+     */
+    cellToScreen(row, col) {
+        return {
+            x: this.offsetX + col * this.scale,
+            y: this.offsetY + row * this.scale
+        };
+    }
+
+    /**
+     * @returns {{row: number, col: number}} Board cell under a canvas position (may lie off the board)
+     */
+    screenToCell(x, y) {
+        return {
+            row: Math.floor((y - this.offsetY) / this.scale),
+            col: Math.floor((x - this.offsetX) / this.scale)
+        };
+    }
+
+    /**
+     * @returns {{rowStart: number, rowEnd: number, colStart: number, colEnd: number}}
+     *          Board cells that are at least partly on screen, end-exclusive
+     */
+    visibleCells() {
+        const topLeft = this.screenToCell(0, 0);
+        const bottomRight = this.screenToCell(this.viewWidth, this.viewHeight);
+
+        return {
+            rowStart: Math.max(0, topLeft.row),
+            rowEnd: Math.min(this.boardRows, bottomRight.row + 1),
+            colStart: Math.max(0, topLeft.col),
+            colEnd: Math.min(this.boardCols, bottomRight.col + 1)
+        };
+    }
+
+    /**
+     * Zoom by a factor, keeping the board point under (x, y) fixed on screen
+     * @param {number} factor - Multiplier for the current zoom
+     * @param {number} x - Canvas x of the zoom centre
+     * @param {number} y - Canvas y of the zoom centre
+     */
+    zoomAt(factor, x, y) {
+        const zoom = Math.max(CAMERA_CONFIG.MIN_ZOOM, Math.min(CAMERA_CONFIG.MAX_ZOOM, this.zoom * factor));
+        const ratio = zoom / this.zoom;
+
+        this.offsetX = x - (x - this.offsetX) * ratio;
+        this.offsetY = y - (y - this.offsetY) * ratio;
+        this.zoom = zoom;
+        this.clamp();
+    }
+
+    /**
+     * Zoom from a wheel event's delta, normalising line and page deltas to pixels
+     */
+    zoomByWheel(deltaY, deltaMode, x, y) {
+        let pixels = deltaY;
+        if (deltaMode === 1) {
+            pixels *= CAMERA_CONFIG.WHEEL_LINE_HEIGHT;
+        } else if (deltaMode === 2) {
+            pixels *= this.viewHeight;
+        }
+        this.zoomAt(Math.exp(-pixels * CAMERA_CONFIG.WHEEL_SENSITIVITY), x, y);
+    }
+
+    /**
+     * Move the board by a screen-space distance
+     */
+    panBy(dx, dy) {
+        this.offsetX += dx;
+        this.offsetY += dy;
+        this.clamp();
+    }
+
+    /**
+     * Zoom and centre so a block of cells fills the view, leaving a margin
+     * @param {number} row - Top row of the block
+     * @param {number} col - Left column of the block
+     * @param {number} height - Block height in cells
+     * @param {number} width - Block width in cells
+     */
+    fit(row, col, height, width) {
+        const room = 1 - 2 * CAMERA_CONFIG.FIT_MARGIN;
+        const zoom = Math.min(
+            (this.viewWidth * room) / (width * this.cellSize),
+            (this.viewHeight * room) / (height * this.cellSize)
+        );
+
+        this.zoom = Math.max(CAMERA_CONFIG.MIN_ZOOM, Math.min(CAMERA_CONFIG.MAX_ZOOM, zoom));
+        this.centreOn(row + height / 2, col + width / 2);
+    }
+
+    /**
+     * Put a board point in the middle of the view
+     */
+    centreOn(row, col) {
+        this.offsetX = this.viewWidth / 2 - col * this.scale;
+        this.offsetY = this.viewHeight / 2 - row * this.scale;
+        this.clamp();
+    }
+
+    /**
+     * @returns {{row: number, col: number}} Board point at the middle of the view
+     */
+    getCentre() {
+        return {
+            row: (this.viewHeight / 2 - this.offsetY) / this.scale,
+            col: (this.viewWidth / 2 - this.offsetX) / this.scale
+        };
+    }
+
+    /**
+     * Centre the view on a board point at a given zoom
+     */
+    lookAt(row, col, zoom) {
+        this.zoom = Math.max(CAMERA_CONFIG.MIN_ZOOM, Math.min(CAMERA_CONFIG.MAX_ZOOM, zoom));
+        this.centreOn(row, col);
+    }
+
+    /**
+     * Back to zoom 1 with the board centred
+     */
+    reset() {
+        this.zoom = 1;
+        this.centreOn(this.boardRows / 2, this.boardCols / 2);
+    }
+
+    /**
+     * Keep the board in sight: a board larger than the view always covers it,
+     * a smaller one is centred along that axis.
+     */
+    clamp() {
+        this.offsetX = Camera.clampAxis(this.offsetX, this.boardCols * this.scale, this.viewWidth);
+        this.offsetY = Camera.clampAxis(this.offsetY, this.boardRows * this.scale, this.viewHeight);
+    }
+
+    static clampAxis(offset, boardSize, viewSize) {
+        if (boardSize <= viewSize) {
+            return (viewSize - boardSize) / 2;
+        }
+        return Math.min(0, Math.max(viewSize - boardSize, offset));
+    }
+}
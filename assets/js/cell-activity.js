@@ -0,0 +1,98 @@
+/**
+ * Game of Life Cell Activity
+ * Per-cell age, death trails and change counts behind the age, trails and heatmap render modes
+ */
+
+// Cell Activity Configuration Constants
+const ACTIVITY_CONFIG = {
+    MODES: {
+        PLAIN: 'plain',     // Cells in their state colours
+        AGE: 'age',         // Live cells shaded by how long they have lived
+        TRAILS: 'trails',   // Recently dead cells fade out behind the pattern
+        HEATMAP: 'heatmap'  // Cells shaded by how often they have changed
+    },
+    DEFAULT_MODE: 'plain',
+    LEVELS: 16,        // Colour steps in each mode's gradient
+    MAX_AGE: 100,      // Generations after which a cell counts as fully old
+    TRAIL_LENGTH: 24   // Generations a trail takes to fade
+};
+
+/**
+ * Follows the board frame by frame. Frames can cover several generations, so
+ * ages and trails advance by the frame's step count; births and deaths in
+ * between frames are not seen, which is fine for colouring.
+ */
+class CellActivity {
+    constructor() {
+        this.size = 0;
+        this.reset(0);
+    }
+
+    /**
+     * Forget all activity, e.g. when switching modes or resizing the board
+     * @param {number} size - Number of cells on the board
+     */
+    reset(size) {
+        this.size = size;
+        this.age = new Uint16Array(size);   // Generations a live cell has been alive
+        this.trail = new Uint8Array(size);  // Generations of trail left, 0 for none
+        this.heat = new Uint32Array(size);  // Times a cell was seen switching between alive and not
+        this.alive = new Uint8Array(size);  // Whether a cell was alive in the last frame
+        this.maxHeat = 0;
+    }
+
+    /**
+     * @param {Uint8Array} cells - Row-major cell states from the latest frame
+     * @param {number} steps - Generations since the previous frame
+     */
+    update(cells, steps) {
+        if (cells.length !== this.size) {
+            this.reset(cells.length);
+        }
+
+        const { age, trail, heat, alive } = this;
+        let maxHeat = this.maxHeat;
+
+        for (let i = 0; i < cells.length; i++) {
+            const isAlive = cells[i] === 1 ? 1 : 0;
+
+            if (isAlive) {
+                age[i] = Math.min(age[i] + steps, ACTIVITY_CONFIG.MAX_AGE);
+                trail[i] = 0;
+            } else if (alive[i]) {
+                age[i] = 0;
+                trail[i] = ACTIVITY_CONFIG.TRAIL_LENGTH;
+            } else if (trail[i]) {
+                trail[i] = Math.max(0, trail[i] - steps);
+            }
+
+            if (isAlive !== alive[i]) {
+                alive[i] = isAlive;
+                if (++heat[i] > maxHeat) maxHeat = heat[i];
+            }
+        }
+        this.maxHeat = maxHeat;
+    }
+
+    /**
+     * Gradient step for a cell under a mode, or -1 if the mode leaves the cell alone
+     * @param {string} mode - One of ACTIVITY_CONFIG.MODES except PLAIN
+     * @param {number} index - Row-major cell index
+     * @returns {number} Level from 0 (new, faint or cool) to LEVELS - 1 (old, fresh or hot)
+     */
+    level(mode, index) {
+        const top = ACTIVITY_CONFIG.LEVELS - 1;
+        const modes = ACTIVITY_CONFIG.MODES;
+
+        if (mode === modes.AGE) {
+            if (!this.alive[index]) return -1;
+            return Math.round((this.age[index] / ACTIVITY_CONFIG.MAX_AGE) * top);
+        }
+        if (mode === modes.TRAILS) {
+            if (!this.trail[index]) return -1;
+            return Math.round((this.trail[index] / ACTIVITY_CONFIG.TRAIL_LENGTH) * top);
+        }
+        if (!this.heat[index]) return -1;
+        return Math.round((Math.log1p(this.heat[index]) / Math.log1p(this.maxHeat)) * top);
+    }
+}
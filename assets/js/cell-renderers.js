@@ -0,0 +1,422 @@
+/**
+ * Game of Life Cell Renderers
+ * Interchangeable ways of painting the board's cells onto the game canvas
+ */
+
+// Renderer Configuration Constants
+const RENDER_CONFIG = {
+    BACKENDS: {
+        AUTO: 'auto',     // Pick per frame from the cell size, see CellRenderer.choose()
+        CANVAS: 'canvas', // One canvas rectangle per cell, with gaps between cells
+        PIXELS: 'pixels', // One pixel per cell in an image, scaled up
+        WEBGL: 'webgl'    // The board as a texture, coloured by a shader
+    },
+    DEFAULT_BACKEND: 'auto',
+    SMALL_CELL_SIZE: 4 // On-screen cell size in pixels at or below which auto leaves the canvas backend
+};
+
+/**
+ * A scene is everything a renderer needs for one frame:
+ *   colours   - Uint8Array or Uint16Array of palette indices, one per cell, row-major;
+ *               only the visible cells need to be current
+ *   palette   - CSS colours; index 0 is the background and is not drawn by CanvasRenderer
+ *   rows, cols
+ *   regions   - Cell ranges to draw, each {rowStart, rowEnd, colStart, colEnd}, end-exclusive
+ *   offsetX, offsetY, scale - Camera transform (see Camera)
+ *   padding, size - Gap before each cell and its drawn size, in pixels
+ * Renderers draw onto the game's 2D context after it has been filled with the background,
+ * so previews and outlines keep being drawn on top with the same context. For a partial
+ * repaint the context is clipped to the regions, so drawing more than asked is harmless.
+ */
+class CellRenderer {
+    /**
+     * @param {CanvasRenderingContext2D} ctx - The game canvas' context
+     */
+    constructor(ctx) {
+        this.ctx = ctx;
+    }
+
+    /**
+     * @returns {boolean} Whether this renderer can draw a board of this size
+     */
+    supports(rows, cols) {
+        return true;
+    }
+
+    draw(scene) {
+        throw new Error('draw() is not implemented');
+    }
+
+    destroy() {}
+
+    /**
+     * The backend auto mode uses: canvas rectangles while cells are big enough to
+     * show gaps, otherwise WebGL where it is fast, else the pixel buffer
+     * @param {number} scale - On-screen cell size in pixels
+     * @param {boolean} webglAvailable - Whether a hardware WebGL context could be created
+     * @returns {string} One of RENDER_CONFIG.BACKENDS other than AUTO
+     */
+    static choose(scale, webglAvailable) {
+        if (scale > RENDER_CONFIG.SMALL_CELL_SIZE) {
+            return RENDER_CONFIG.BACKENDS.CANVAS;
+        }
+        return webglAvailable ? RENDER_CONFIG.BACKENDS.WEBGL : RENDER_CONFIG.BACKENDS.PIXELS;
+    }
+
+    /**
+     * @param {string} colour - CSS colour as #rrggbb or rgb(r, g, b)
+     * @returns {number[]} [r, g, b], each 0 to 255
+     */
+    static parseColour(colour) {
+        if (colour.startsWith('#')) {
+            return [1, 3, 5].map(start => parseInt(colour.slice(start, start + 2), 16));
+        }
+        return colour.slice(colour.indexOf('(') + 1, colour.indexOf(')')).split(',').slice(0, 3).map(Number);
+    }
+}
+
+/**
+ * The original renderer: a path of rectangles per colour, one fill each
+ */
+class CanvasRenderer extends CellRenderer {
+    draw(scene) {
+        const { colours, palette, cols, scale, size } = scene;
+        const originX = scene.offsetX + scene.padding;
+        const originY = scene.offsetY + scene.padding;
+        const ctx = this.ctx;
+
+        if (palette.length === 2) {
+            // A single colour: batch every cell into one path
+            ctx.fillStyle = palette[1];
+            ctx.beginPath();
+            scene.regions.forEach(({ rowStart, rowEnd, colStart, colEnd }) => {
+                for (let i = rowStart; i < rowEnd; i++) {
+                    const rowOffset = i * cols;
+                    const y = originY + i * scale;
+                    for (let j = colStart; j < colEnd; j++) {
+                        if (colours[rowOffset + j]) {
+                            ctx.rect(originX + j * scale, y, size, size);
+                        }
+                    }
+                }
+            });
+            ctx.fill();
+            return;
+        }
+
+        // Sort cell positions by colour in one pass, then fill each colour at once
+        const buckets = palette.map(() => []);
+        scene.regions.forEach(({ rowStart, rowEnd, colStart, colEnd }) => {
+            for (let i = rowStart; i < rowEnd; i++) {
+                const rowOffset = i * cols;
+                const y = originY + i * scale;
+                for (let j = colStart; j < colEnd; j++) {
+                    const colour = colours[rowOffset + j];
+                    if (colour) {
+                        buckets[colour].push(originX + j * scale, y);
+                    }
+                }
+            }
+        });
+
+        for (let colour = 1; colour < buckets.length; colour++) {
+            const positions = buckets[colour];
+            if (positions.length === 0) continue;
+
+            ctx.fillStyle = palette[colour];
+            ctx.beginPath();
+            for (let k = 0; k < positions.length; k += 2) {
+                ctx.rect(positions[k], positions[k + 1], size, size);
+            }
+            ctx.fill();
+        }
+    }
+}
+
+/**
+ * Writes the visible cells into an image at one pixel per cell and lets drawImage
+ * scale it up. Cost depends on the number of cells, not on how many are alive,
+ * and needs no GPU. Cells are drawn without gaps.
+ */
+class PixelRenderer extends CellRenderer {
+    constructor(ctx) {
+        super(ctx);
+        this.canvas = document.createElement('canvas');
+        this.imageCtx = this.canvas.getContext('2d');
+        this.image = null;
+        this.pixels = null;     // Uint32 view of the image data
+        this.paletteKey = '';
+        this.paletteWords = new Uint32Array(0);
+    }
+
+    draw(scene) {
+        const { colours, cols, scale, regions } = scene;
+        if (regions.length === 0) return;
+
+        // One image covering all the regions
+        const rowStart = Math.min(...regions.map(region => region.rowStart));
+        const rowEnd = Math.max(...regions.map(region => region.rowEnd));
+        const colStart = Math.min(...regions.map(region => region.colStart));
+        const colEnd = Math.max(...regions.map(region => region.colEnd));
+        const width = colEnd - colStart;
+        const height = rowEnd - rowStart;
+        if (width <= 0 || height <= 0) return;
+
+        this.updatePalette(scene.palette);
+        if (!this.image || this.image.width !== width || this.image.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+            this.image = this.imageCtx.createImageData(width, height);
+            this.pixels = new Uint32Array(this.image.data.buffer);
+        }
+
+        const pixels = this.pixels;
+        const words = this.paletteWords;
+        let pixel = 0;
+        for (let i = rowStart; i < rowEnd; i++) {
+            const rowOffset = i * cols;
+            for (let j = colStart; j < colEnd; j++) {
+                pixels[pixel++] = words[colours[rowOffset + j]];
+            }
+        }
+        this.imageCtx.putImageData(this.image, 0, 0);
+
+        this.ctx.save();
+        this.ctx.imageSmoothingEnabled = false;
+        this.ctx.drawImage(
+            this.canvas,
+            scene.offsetX + colStart * scale,
+            scene.offsetY + rowStart * scale,
+            width * scale,
+            height * scale
+        );
+        this.ctx.restore();
+    }
+
+    /**
+     * Convert the palette to packed RGBA words in the platform's byte order
+     */
+    updatePalette(palette) {
+        const key = palette.join();
+        if (key === this.paletteKey) return;
+
+        const bytes = new Uint8Array(palette.length * 4);
+        palette.forEach((colour, index) => {
+            bytes.set(CellRenderer.parseColour(colour), index * 4);
+            bytes[index * 4 + 3] = 255;
+        });
+        this.paletteWords = new Uint32Array(bytes.buffer);
+        this.paletteKey = key;
+    }
+}
+
+/**
+ * Uploads the board as a texture of palette indices and colours every screen pixel
+ * in a fragment shader, so drawing cost no longer depends on the board at all.
+ * Renders on its own canvas, which is then copied onto the game canvas.
+ */
+class WebGLRenderer extends CellRenderer {
+    /**
+     * @param {CanvasRenderingContext2D} ctx - The game canvas' context
+     * @param {boolean} [allowSoftware=false] - Accept a context the browser emulates without a GPU
+     * @throws {Error} If WebGL is unavailable
+     */
+    constructor(ctx, allowSoftware = false) {
+        super(ctx);
+        this.software = allowSoftware;
+        this.canvas = document.createElement('canvas');
+        this.gl = this.canvas.getContext('webgl', {
+            alpha: true,
+            antialias: false,
+            depth: false,
+            failIfMajorPerformanceCaveat: !allowSoftware
+        });
+        if (!this.gl) {
+            throw new Error('WebGL is not available');
+        }
+
+        this.lost = false;
+        this.boardRows = 0;
+        this.boardCols = 0;
+        this.boardWide = false; // Whether the board texture holds 16-bit indices
+        this.paletteKey = '';
+        this.paletteSize = 0;
+        this.setupProgram();
+
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            this.lost = true;
+        });
+    }
+
+    setupProgram() {
+        const gl = this.gl;
+        const vertexSource = `
+            attribute vec2 position;
+            void main() {
+                gl_Position = vec4(position, 0.0, 1.0);
+            }`;
+        const fragmentSource = `
+            #ifdef GL_FRAGMENT_PRECISION_HIGH
+            precision highp float;
+            #else
+            precision mediump float;
+            #endif
+            uniform sampler2D cells;
+            uniform sampler2D palette;
+            uniform vec2 board;
+            uniform vec2 offset;
+            uniform float scale;
+            uniform float padding;
+            uniform float size;
+            uniform float paletteSize;
+            uniform float viewHeight;
+            uniform float wide;
+            void main() {
+                vec2 pixel = vec2(gl_FragCoord.x, viewHeight - gl_FragCoord.y) - offset;
+                vec2 cell = floor(pixel / scale);
+                if (cell.x < 0.0 || cell.y < 0.0 || cell.x >= board.x || cell.y >= board.y) discard;
+
+                vec2 inside = pixel - cell * scale;
+                float index = 0.0;
+                if (all(greaterThanEqual(inside, vec2(padding))) && all(lessThan(inside, vec2(padding + size)))) {
+                    vec4 texel = texture2D(cells, (cell + 0.5) / board);
+                    index = floor(texel.r * 255.0 + 0.5) + wide * floor(texel.a * 255.0 + 0.5) * 256.0;
+                }
+                gl_FragColor = texture2D(palette, vec2((index + 0.5) / paletteSize, 0.5));
+            }`;
+
+        const program = gl.createProgram();
+        gl.attachShader(program, this.compileShader(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, this.compileShader(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`WebGL program failed to link: ${gl.getProgramInfoLog(program)}`);
+        }
+        gl.useProgram(program);
+        this.program = program;
+
+        // Two triangles covering the whole view
+        gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+        const position = gl.getAttribLocation(program, 'position');
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+        this.uniforms = {};
+        ['cells', 'palette', 'board', 'offset', 'scale', 'padding', 'size', 'paletteSize', 'viewHeight', 'wide']
+            .forEach(name => {
+                this.uniforms[name] = gl.getUniformLocation(program, name);
+            });
+
+        this.cellTexture = this.createTexture(0);
+        this.paletteTexture = this.createTexture(1);
+        gl.uniform1i(this.uniforms.cells, 0);
+        gl.uniform1i(this.uniforms.palette, 1);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    }
+
+    compileShader(type, source) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            throw new Error(`WebGL shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+        }
+        return shader;
+    }
+
+    /**
+     * @param {number} unit - Texture unit the texture stays bound to
+     */
+    createTexture(unit) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    supports(rows, cols) {
+        if (this.lost) return false;
+        const maxSize = this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE);
+        return rows <= maxSize && cols <= maxSize;
+    }
+
+    draw(scene) {
+        const gl = this.gl;
+        const { width, height } = this.ctx.canvas;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        gl.viewport(0, 0, width, height);
+
+        this.updatePalette(scene.palette);
+        this.uploadCells(scene.colours, scene.rows, scene.cols);
+
+        const u = this.uniforms;
+        gl.uniform2f(u.board, scene.cols, scene.rows);
+        gl.uniform2f(u.offset, scene.offsetX, scene.offsetY);
+        gl.uniform1f(u.scale, scene.scale);
+        gl.uniform1f(u.padding, scene.padding);
+        gl.uniform1f(u.size, scene.size);
+        gl.uniform1f(u.paletteSize, this.paletteSize);
+        gl.uniform1f(u.viewHeight, height);
+        gl.uniform1f(u.wide, this.boardWide ? 1 : 0);
+
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+        // The drawing buffer is still intact within the same task, so no readback is needed
+        this.ctx.drawImage(this.canvas, 0, 0);
+    }
+
+    /**
+     * Upload palette indices, as one byte per cell or as two (low, high) for 16-bit indices
+     */
+    uploadCells(colours, rows, cols) {
+        const gl = this.gl;
+        const wide = colours.BYTES_PER_ELEMENT === 2;
+        const format = wide ? gl.LUMINANCE_ALPHA : gl.LUMINANCE;
+        const data = new Uint8Array(colours.buffer, colours.byteOffset, rows * cols * colours.BYTES_PER_ELEMENT);
+
+        gl.activeTexture(gl.TEXTURE0);
+        if (rows !== this.boardRows || cols !== this.boardCols || wide !== this.boardWide) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, format, cols, rows, 0, format, gl.UNSIGNED_BYTE, data);
+            this.boardRows = rows;
+            this.boardCols = cols;
+            this.boardWide = wide;
+        } else {
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, cols, rows, format, gl.UNSIGNED_BYTE, data);
+        }
+    }
+
+    updatePalette(palette) {
+        const key = palette.join();
+        if (key === this.paletteKey) return;
+
+        const bytes = new Uint8Array(palette.length * 4);
+        palette.forEach((colour, index) => {
+            bytes.set(CellRenderer.parseColour(colour), index * 4);
+            bytes[index * 4 + 3] = 255;
+        });
+
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE1);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, palette.length, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, bytes);
+        this.paletteKey = key;
+        this.paletteSize = palette.length;
+    }
+
+    destroy() {
+        const lose = this.gl.getExtension('WEBGL_lose_context');
+        if (lose) lose.loseContext();
+    }
+}
@@ -9,10 +9,81 @@ const CONFIG = {
     ELEMENTS: {
         CANVAS: 'conway-canvas',
         PLAY_PAUSE_BTN: 'play-pause-btn',
+        STEP_BTN: 'step-btn',
+        RUN_MODE: 'run-mode',
+        RUN_COUNT: 'run-count',
+        RUN_BTN: 'run-btn',
+        RUN_STATUS: 'run-status',
         SPEED_SLIDER: 'speed-slider',
         SPEED_CONTROL: 'speed-control',
         SPEED_LABEL: 'speed-label',
-        BTN_ICON: '.btn-icon'
+        MAX_SPEED_BTN: 'max-speed-btn',
+        BTN_ICON: '.btn-icon',
+        SETTINGS_BTN: 'settings-btn',
+        GAME_PANEL: 'game-panel',
+        RULE_SELECT: 'rule-select',
+        RULE_INPUT: 'rule-input',
+        RULE_ERROR: 'rule-error',
+        PATTERN_INPUT: 'pattern-input',
+        PATTERN_LOAD_BTN: 'pattern-load-btn',
+        PATTERN_ERROR: 'pattern-error',
+        EXPORT_FORMAT: 'export-format',
+        EXPORT_COPY_BTN: 'export-copy-btn',
+        EXPORT_DOWNLOAD_BTN: 'export-download-btn',
+        PATTERN_PICKER: 'pattern-picker',
+        PATTERN_PLACE_BTN: 'pattern-place-btn',
+        PATTERN_ROTATE_BTN: 'pattern-rotate-btn',
+        PATTERN_FLIP_H_BTN: 'pattern-flip-h-btn',
+        PATTERN_FLIP_V_BTN: 'pattern-flip-v-btn',
+        PATTERN_STATUS: 'pattern-status',
+        TOPOLOGY_SELECT: 'topology-select',
+        JUMP_CONTROLS: 'jump-controls',
+        JUMP_EXPONENT: 'jump-exponent',
+        JUMP_BTN: 'jump-btn',
+        TOPOLOGY_STATUS: 'topology-status',
+        TOPOLOGY_ERROR: 'topology-error',
+        FIT_VIEW_BTN: 'fit-view-btn',
+        RESET_VIEW_BTN: 'reset-view-btn',
+        TOOL_BUTTONS: 'tool-buttons',
+        SELECTION_ACTIONS: 'selection-actions',
+        FILL_RECT_TOGGLE: 'fill-rect-toggle',
+        EDIT_LIVE_TOGGLE: 'edit-live-toggle',
+        UNDO_BTN: 'undo-btn',
+        REDO_BTN: 'redo-btn',
+        STEP_BACK_COUNT: 'step-back-count',
+        STEP_BACK_BTN: 'step-back-btn',
+        HISTORY_STATUS: 'history-status',
+        SHARE_BTN: 'share-btn',
+        SHARE_URL: 'share-url',
+        SHARE_STATUS: 'share-status',
+        SHARE_ERROR: 'share-error',
+        SEED_INPUT: 'seed-input',
+        NEW_SEED_BTN: 'new-seed-btn',
+        RESTART_BTN: 'restart-btn',
+        SOUP_DENSITY: 'soup-density',
+        SOUP_REGION: 'soup-region',
+        SOUP_BTN: 'soup-btn',
+        SEED_ERROR: 'seed-error',
+        RENDER_MODE_SELECT: 'render-mode-select',
+        RENDERER_SELECT: 'renderer-select',
+        STATS_TOGGLE: 'stats-toggle',
+        STATS_OVERLAY: 'stats-overlay',
+        STATS_GENERATION: 'stats-generation',
+        STATS_POPULATION: 'stats-population',
+        STATS_BIRTHS: 'stats-births',
+        STATS_DEATHS: 'stats-deaths',
+        STATS_RATE: 'stats-rate',
+        STATS_SPARKLINE: 'stats-sparkline',
+        CYCLE_STATUS: 'cycle-status',
+        AUTO_RESEED_TOGGLE: 'auto-reseed-toggle',
+        RESEED_MODE: 'reseed-mode',
+        RESEED_DELAY: 'reseed-delay',
+        SAVE_BOARD_TOGGLE: 'save-board-toggle',
+        RESET_DEFAULTS_BTN: 'reset-defaults-btn',
+        SHORTCUT_HELP: 'shortcut-help',
+        SHORTCUT_LIST: 'shortcut-list',
+        SHORTCUT_HELP_BTN: 'shortcut-help-btn',
+        SHORTCUT_HELP_CLOSE: 'shortcut-help-close'
     },
     
     // Game Settings
@@ -20,46 +91,107 @@ const CONFIG = {
         CELL_SIZE: 12,
         CELL_SIZE_MOBILE: 20, // Larger cells for mobile
         INITIAL_UPDATE_INTERVAL: 100, // milliseconds
-        INITIAL_RANDOM_CELLS: 64
+        INITIAL_RANDOM_CELLS: 64,
+        INITIAL_PATTERNS: ['gosper-glider-gun'] // Pattern library ids, one is picked at random
     },
     
     // Speed Settings (Logarithmic scale)
     SPEED: {
         SLIDER_MIN: 0,
         SLIDER_MAX: 100,
-        SLIDER_DEFAULT: 50, // Maps to 1x
-        MIN_SPEED: 0.1,     // 0.1x speed
-        MAX_SPEED: 10,      // 10x speed
-        BASE_INTERVAL: 200  // Base update interval in milliseconds at 1x speed
+        SLIDER_DEFAULT: 50, // Maps to 1x with the default range
+        MIN_SPEED: 0.1,     // 0.1x speed, unless options.minSpeed says otherwise
+        MAX_SPEED: 10,      // 10x speed, unless options.maxSpeed says otherwise
+        BASE_INTERVAL: 200, // Base update interval in milliseconds at 1x speed
+        KEY_STEP: 10,       // Slider units per speed key press, about 1.6x faster or slower with the default range
+        MAX_LABEL: 'Max'    // Shown instead of a multiplier in max speed mode
+    },
+    
+    // Run Settings (the engine computes runs without drawing, see ENGINE_CONFIG.RUN)
+    RUN: {
+        MODES: {
+            MORE: 'more',   // Run this many more generations
+            UNTIL: 'until'  // Run until this generation
+        },
+        COUNT_DEFAULT: 100,
+        LABELS: {
+            START: 'Go',
+            STOP: 'Stop'
+        }
     },
     
     // Mobile Settings
     MOBILE: {
         BREAKPOINT: 768, // pixels
-        CANVAS_SCALE: 1.5,
-        LONG_PRESS_DURATION: 500, // milliseconds
-        MIN_ZOOM: 0.5,
-        MAX_ZOOM: 3.0,
-        ZOOM_STEP: 0.1
+        BOARD_SCALE: 1.5, // The board extends past the screen; drag to pan around it
+        LONG_PRESS_DURATION: 500 // milliseconds
     },
     
-    // Theme Colors
+    // Pointer Settings (zoom limits live in CAMERA_CONFIG)
+    INPUT: {
+        DRAG_THRESHOLD: 6 // Pixels a press may move before it pans instead of toggling a cell
+    },
+    
+    // Theme Colors, used on pages without theme-toggle.js; otherwise they come
+    // from the palette in its themeChanged event (all #rrggbb)
     THEME_COLORS: {
-        DARK: {
-            BACKGROUND: '#0a0a0a',
-            CELL: '#ffffff'
-        },
-        LIGHT: {
-            BACKGROUND: '#ffffff',
-            CELL: '#212529'
-        }
+        BACKGROUND: '#0a0a0a',
+        CELL: '#ffffff',
+        ACCENT: '#4a9eff' // Young cells, trails and heat in the activity render modes
     },
     
-    // Conway's Game of Life Rules
+    // Rule Settings (B/S rulestrings, see life-rules.js)
     RULES: {
-        SURVIVAL_MIN: 2,
-        SURVIVAL_MAX: 3,
-        BIRTH_COUNT: 3
+        DEFAULT: 'B3/S23',
+        URL_PARAM: 'rule',
+        CUSTOM_OPTION: 'custom'
+    },
+    
+    // Topology Settings (values are listed in ENGINE_CONFIG.TOPOLOGIES)
+    TOPOLOGY: {
+        DEFAULT: 'torus',
+        URL_PARAM: 'topology',
+        JUMP_EXPONENT_DEFAULT: 10 // Jump 2^10 = 1024 generations
+    },
+    
+    // Random Soup Settings (the generator lives in random.js)
+    SOUP: {
+        URL_PARAM: 'seed',
+        DENSITY_DEFAULT: 30, // Percent of cells alive
+        REGIONS: {
+            BOARD: 'board',
+            VIEW: 'view',
+            SELECTION: 'selection'
+        }
+    },
+    
+    // Settling Settings (detection lives in cycle-detector.js)
+    CYCLES: {
+        AUTO_RESEED_DEFAULT: true, // Keep the background alive once it settles
+        RESEED_DELAY_DEFAULT: 5,   // seconds
+        RESEED_MODES: {
+            RESTART: 'restart',    // New seed, fresh starting board
+            INJECT: 'inject'       // Drop a lively pattern somewhere on the current board
+        },
+        INJECT_PATTERNS: ['r-pentomino', 'acorn', 'diehard', 'pi-heptomino', 'glider', 'lwss']
+    },
+    
+    // Statistics Overlay Settings (measurements live in life-stats.js)
+    STATS: {
+        UPDATE_INTERVAL: 250, // milliseconds between overlay refreshes
+        SPARKLINE_LINE_WIDTH: 1.5
+    },
+    
+    // Persistence Settings (the storage format lives in game-storage.js)
+    STORAGE: {
+        SAVE_DELAY: 500 // milliseconds to wait for further changes before saving
+    },
+    
+    // Pattern Import/Export Settings (formats live in pattern-io.js)
+    PATTERN_IO: {
+        EXPORT_NAME: 'Game of Life board',
+        FILE_NAME: 'pattern',
+        MAX_FILE_BYTES: 5 * 1024 * 1024
     },
     
     // Canvas Settings
@@ -67,7 +199,10 @@ const CONFIG = {
         ALPHA_ENABLED: false,
         DESYNCHRONIZED: true,
         CELL_PADDING: 1,
-        CELL_BORDER: 2
+        CELL_BORDER: 2,
+        PREVIEW_ALPHA: 0.5, // Opacity of the pattern being placed
+        BOARD_EDGE_ALPHA: 0.3, // Opacity of the board outline when zoomed out past it
+        SELECTION_DASH: [4, 4]
     },
     
     // Performance Settings
@@ -78,9 +213,57 @@ const CONFIG = {
     
     // Event Keys
     KEYS: {
-        SPACE: 'Space'
+        SPACE: 'Space',
+        ESCAPE: 'Escape',
+        PAN_LEFT: 'ArrowLeft',
+        PAN_RIGHT: 'ArrowRight',
+        PAN_UP: 'ArrowUp',
+        PAN_DOWN: 'ArrowDown',
+        ZOOM_IN: ['Equal', 'NumpadAdd'],
+        ZOOM_OUT: ['Minus', 'NumpadSubtract'],
+        FIT_VIEW: 'KeyF',
+        RESET_VIEW: 'Digit0',
+        COPY: 'KeyC',   // With Ctrl/Cmd
+        CUT: 'KeyX',    // With Ctrl/Cmd
+        UNDO: 'KeyZ',   // With Ctrl/Cmd; add Shift to redo
+        REDO: 'KeyY',   // With Ctrl/Cmd
+        DELETE: ['Delete', 'Backspace'],
+        STEP: 'KeyN',
+        SPEED_UP: 'BracketRight',
+        SPEED_DOWN: 'BracketLeft',
+        CLEAR: 'KeyC',     // With Shift, so a stray key can't wipe the board
+        RANDOMISE: 'KeyR',
+        TOOLS: {           // Same order as the tool buttons
+            Digit1: 'draw',
+            Digit2: 'erase',
+            Digit3: 'line',
+            Digit4: 'rectangle',
+            Digit5: 'select',
+            Digit6: 'pan'
+        },
+        MAX_SPEED: 'KeyM',
+        HELP: '?'          // Matched on the character, which sits on different keys per layout
     },
     
+    // Shown in the shortcut help overlay, [keys, action]; keep in step with KEYS
+    SHORTCUT_HELP: [
+        ['Space', 'Play or pause'],
+        ['N', 'Step one generation'],
+        ['[ / ]', 'Slower / faster'],
+        ['M', 'Max speed on or off'],
+        ['R', 'Random soup from a new seed'],
+        ['Shift+C', 'Clear the board'],
+        ['1 – 6', 'Draw, erase, line, rectangle, select and pan tools'],
+        ['Arrow keys', 'Pan'],
+        ['+ / −', 'Zoom in / out'],
+        ['F', 'Fit the pattern in view'],
+        ['0', 'Reset the view'],
+        ['Ctrl+Z / Ctrl+Shift+Z', 'Undo / redo'],
+        ['Ctrl+C / Ctrl+X / Delete', 'Copy, cut or delete the selection'],
+        ['Esc', 'Stop a run, cancel placing or selecting, close this help'],
+        ['?', 'Show or hide this help']
+    ],
+    
     // SVG Icons
     ICONS: {
         PAUSE: '<path d="M6 4h4v16H6V4zm8 0h4v16h-4V4z"/>',
@@ -91,99 +274,350 @@ const CONFIG = {
     CLASSES: {
         PAUSED: 'paused',
         PLAYING: 'playing',
-        VISIBLE: 'visible'
+        VISIBLE: 'visible',
+        DROP_ACTIVE: 'pattern-drop-active',
+        GRID_CLICKABLE: 'grid-clickable'
     },
     
     // Cursor Styles
     CURSORS: {
         DEFAULT: 'default',
-        CROSSHAIR: 'crosshair'
+        CROSSHAIR: 'crosshair',
+        GRAB: 'grab',
+        GRABBING: 'grabbing'
     },
     
     // Random Cell Probability
     RANDOM_CELL_THRESHOLD: 0.7,
     
+    // Custom Events dispatched on the canvas and bubbling to the document (see emit())
+    EVENTS: {
+        CYCLE_DETECTED: 'cycleDetected',
+        GENERATION_CHANGED: 'generationChanged',
+        BOARD_EDITED: 'boardEdited'
+    },
+    
     // Data Attributes
     ATTRIBUTES: {
-        THEME: 'data-theme'
+        TOOL: 'data-tool',
+        SELECTION_ACTION: 'data-selection-action'
     }
 };
 
 class ConwayGameOfLife {
-    constructor() {
-        this.canvas = document.getElementById(CONFIG.ELEMENTS.CANVAS);
+    /**
+     * With no options this runs the page's own board from the elements in CONFIG.ELEMENTS.
+     * Pass a canvas to embed further independent boards on the same page.
+     * @param {Object} [options]
+     * @param {HTMLCanvasElement} [options.canvas] - Canvas to draw on; sized to its parent element
+     * @param {Element|Document|null} [options.controls] - Where to look up the controls by their
+     *        CONFIG.ELEMENTS ids; the document if no canvas is given, otherwise none
+     * @param {boolean} [options.page] - Own the page: read settings and permalinks from its URL
+     *        and take shortcuts, pastes and drops anywhere on it. Defaults to true if no canvas is
+     *        given; embedded boards only take them while their canvas has focus.
+     * @param {string} [options.rule] - Rulestring in B/S notation, e.g. "B36/S23"
+     * @param {string} [options.pattern] - Starting pattern in any format PatternIO reads, placed
+     *        in the middle instead of the random start; its rule applies unless options.rule is set
+     * @param {{rows: number, cols: number}} [options.size] - Fixed board size, fitted into the view;
+     *        by default the board fills the canvas and follows its size
+     * @param {boolean} [options.autoplay=true] - Start running straight away
+     * @param {number} [options.speed=1] - Speed multiplier, within options.minSpeed to options.maxSpeed
+     * @param {number} [options.minSpeed=0.1] - Speed at the slow end of the slider
+     * @param {number} [options.maxSpeed=10] - Speed at the fast end of the slider; at 1x a generation takes
+     *        CONFIG.SPEED.BASE_INTERVAL, and faster speeds compute several generations per drawn frame
+     * @param {boolean} [options.worker=true] - Step the simulation in a Web Worker when available
+     * @param {string} [options.topology='torus'] - Edge behaviour, one of ENGINE_CONFIG.TOPOLOGIES
+     * @param {number} [options.seed] - Seed for the starting board and soups; random if omitted
+     * @param {boolean} [options.autoReseed=true] - Reseed a while after the board settles
+     * @param {string} [options.renderMode='plain'] - How cells are coloured, one of ACTIVITY_CONFIG.MODES
+     * @param {string|null} [options.storageKey] - localStorage key to remember preferences (and the
+     *        board, if the user asks) under; STORAGE_CONFIG.KEY for the page board, none for embedded ones
+     * @param {string} [options.renderer='auto'] - Drawing backend, one of RENDER_CONFIG.BACKENDS
+     */
+    constructor(options = {}) {
+        this.page = options.page !== undefined ? options.page : !options.canvas;
+        this.controls = options.controls !== undefined ? options.controls : (options.canvas ? null : document);
+        this.canvas = options.canvas || this.findElement(CONFIG.ELEMENTS.CANVAS);
         
         if (!this.canvas) {
             throw new Error('Canvas element not found!');
         }
         
+        // Keys, pastes and drops reach the page's board anywhere, embedded ones through their canvas
+        this.inputTarget = this.page ? document : this.canvas;
+        this.dropZone = this.page ? document.body : this.canvas;
+        
         this.ctx = this.canvas.getContext('2d', { 
             alpha: CONFIG.CANVAS.ALPHA_ENABLED,
             desynchronized: CONFIG.CANVAS.DESYNCHRONIZED
         });
         
-        this.playPauseBtn = document.getElementById(CONFIG.ELEMENTS.PLAY_PAUSE_BTN);
-        this.speedSlider = document.getElementById(CONFIG.ELEMENTS.SPEED_SLIDER);
-        this.speedControl = document.getElementById(CONFIG.ELEMENTS.SPEED_CONTROL);
+        this.settingsBtn = this.findElement(CONFIG.ELEMENTS.SETTINGS_BTN);
+        this.gamePanel = this.findElement(CONFIG.ELEMENTS.GAME_PANEL);
+        this.ruleSelect = this.findElement(CONFIG.ELEMENTS.RULE_SELECT);
+        this.ruleInput = this.findElement(CONFIG.ELEMENTS.RULE_INPUT);
+        this.ruleError = this.findElement(CONFIG.ELEMENTS.RULE_ERROR);
+        this.patternInput = this.findElement(CONFIG.ELEMENTS.PATTERN_INPUT);
+        this.patternLoadBtn = this.findElement(CONFIG.ELEMENTS.PATTERN_LOAD_BTN);
+        this.patternError = this.findElement(CONFIG.ELEMENTS.PATTERN_ERROR);
+        this.exportFormat = this.findElement(CONFIG.ELEMENTS.EXPORT_FORMAT);
+        this.exportCopyBtn = this.findElement(CONFIG.ELEMENTS.EXPORT_COPY_BTN);
+        this.exportDownloadBtn = this.findElement(CONFIG.ELEMENTS.EXPORT_DOWNLOAD_BTN);
+        this.patternPicker = this.findElement(CONFIG.ELEMENTS.PATTERN_PICKER);
+        this.patternPlaceBtn = this.findElement(CONFIG.ELEMENTS.PATTERN_PLACE_BTN);
+        this.patternRotateBtn = this.findElement(CONFIG.ELEMENTS.PATTERN_ROTATE_BTN);
+        this.patternFlipHBtn = this.findElement(CONFIG.ELEMENTS.PATTERN_FLIP_H_BTN);
+        this.patternFlipVBtn = this.findElement(CONFIG.ELEMENTS.PATTERN_FLIP_V_BTN);
+        this.patternStatus = this.findElement(CONFIG.ELEMENTS.PATTERN_STATUS);
+        this.topologySelect = this.findElement(CONFIG.ELEMENTS.TOPOLOGY_SELECT);
+        this.jumpControls = this.findElement(CONFIG.ELEMENTS.JUMP_CONTROLS);
+        this.jumpExponent = this.findElement(CONFIG.ELEMENTS.JUMP_EXPONENT);
+        this.jumpBtn = this.findElement(CONFIG.ELEMENTS.JUMP_BTN);
+        this.topologyStatus = this.findElement(CONFIG.ELEMENTS.TOPOLOGY_STATUS);
+        this.topologyError = this.findElement(CONFIG.ELEMENTS.TOPOLOGY_ERROR);
+        this.fitViewBtn = this.findElement(CONFIG.ELEMENTS.FIT_VIEW_BTN);
+        this.resetViewBtn = this.findElement(CONFIG.ELEMENTS.RESET_VIEW_BTN);
+        this.undoBtn = this.findElement(CONFIG.ELEMENTS.UNDO_BTN);
+        this.redoBtn = this.findElement(CONFIG.ELEMENTS.REDO_BTN);
+        this.stepBackCount = this.findElement(CONFIG.ELEMENTS.STEP_BACK_COUNT);
+        this.stepBackBtn = this.findElement(CONFIG.ELEMENTS.STEP_BACK_BTN);
+        this.historyStatus = this.findElement(CONFIG.ELEMENTS.HISTORY_STATUS);
+        this.renderModeSelect = this.findElement(CONFIG.ELEMENTS.RENDER_MODE_SELECT);
+        this.rendererSelect = this.findElement(CONFIG.ELEMENTS.RENDERER_SELECT);
+        
+        // Rule and pattern passed by the embedding page; invalid ones are a programming error
+        this.startPattern = options.pattern ? PatternIO.parse(options.pattern) : null;
+        this.rule = LifeRule.parse(
+            options.rule || (this.startPattern && this.startPattern.rule) || CONFIG.RULES.DEFAULT
+        );
+        this.topology = options.topology || CONFIG.TOPOLOGY.DEFAULT;
+        if (!Object.values(ENGINE_CONFIG.TOPOLOGIES).includes(this.topology)) {
+            throw new Error(`Unknown topology "${this.topology}"`);
+        }
+        if (this.topology === ENGINE_CONFIG.TOPOLOGIES.UNBOUNDED && !HashLifeEngine.supportsRule(this.rule)) {
+            throw new Error(`${this.rule} cannot run on an unbounded plane`);
+        }
+        this.generation = 0;
+        
+        // Generation the engine is running to without drawing, null when it isn't
+        this.runTarget = null;
+        
+        // Every random decision draws from this.random, so a seed and board size reproduce a board
+        this.seed = options.seed !== undefined ? options.seed : SeededRandom.randomSeed();
+        this.random = new SeededRandom(this.seed);
+        
+        // Figures for the optional statistics overlay, updated from every engine frame
+        this.stats = new LifeStats();
+        
+        // Latest cycle reported by the engine ({kind, period, generation} or null)
+        this.cycle = null;
         
         // Game state
         this.isPlaying = true;
+        this.autoplay = options.autoplay !== false;
+        this.startSpeed = options.speed;
+        this.minSpeed = options.minSpeed !== undefined ? options.minSpeed : CONFIG.SPEED.MIN_SPEED;
+        this.maxSpeed = options.maxSpeed !== undefined ? options.maxSpeed : CONFIG.SPEED.MAX_SPEED;
+        if (!(this.minSpeed > 0 && this.maxSpeed > this.minSpeed && Number.isFinite(this.maxSpeed))) {
+            throw new Error('Speed range needs 0 < minSpeed < maxSpeed');
+        }
+        this.maxSpeedMode = false; // Step as fast as the engine can, ignoring the slider
         this.cellSize = CONFIG.GAME.CELL_SIZE;
-        this.grid = null;
-        this.nextGrid = null;
         this.rows = 0;
         this.cols = 0;
+        this.boardSize = options.size ? { rows: options.size.rows, cols: options.size.cols } : null;
+        if (this.boardSize && !(Number.isInteger(this.boardSize.rows) && this.boardSize.rows > 0 &&
+            Number.isInteger(this.boardSize.cols) && this.boardSize.cols > 0)) {
+            throw new Error('Board size needs whole, positive rows and cols');
+        }
+        
+        // The engine (see life-engine.js) owns the real grid, in a worker when possible.
+        // This is a row-major copy of its latest frame, used for rendering and input.
+        this.useWorker = options.worker !== false;
+        this.engine = null;
+        this.cells = null;
+        this.pendingFrame = null;
+        
+        // Edits are applied to the copy at once and sent to the engine in batches.
+        // Each batch gets a sequence number so frames that predate it can be dropped.
+        this.pendingEdits = [];
+        this.editSeq = 0;
+        
+        // Whole-board requests waiting for the engine's answer, by request id
+        this.boardRequests = new Map();
+        this.boardRequestSeq = 0;
         
         // Performance optimizations
         this.animationId = null;
-        this.lastUpdateTime = 0;
         this.updateInterval = CONFIG.GAME.INITIAL_UPDATE_INTERVAL;
+        this.sliderValue = this.speedToSlider(1);
         this.needsRedraw = true; // Track if redraw is needed
-        this.gridChanged = false; // Track if grid actually changed
+        
+        // Pattern stamping: the (rotated/flipped) pattern follows the cursor until placed
+        this.stampPattern = null;
+        this.hoverCell = null;
+        
+        // Editing tools (see edit-tools.js). A selection is a {row, col, height, width} box;
+        // while it is being moved its cells float above the board until dropped.
+        this.tool = EDIT_TOOLS_CONFIG.DEFAULT_TOOL;
+        this.fillRectangles = false;
+        this.editWhileRunning = false;
+        this.toolDrag = null;
+        this.toolPreview = null; // [row, col] pairs of the line/rectangle being dragged
+        this.selection = null;
+        this.floating = null;    // { pattern, row, col } lifted out of the selection
+        this.clipboard = null;   // Pattern copied or cut from a selection
+        
+        // Undo/redo of edits (see edit-history.js). Edits made in one frame, or in one
+        // tool drag, form a single undo step. Past generations are kept by the engine;
+        // this is how many it can currently step back.
+        this.editHistory = new EditHistory();
+        this.generationHistory = 0;
         
         // Cache theme colors to avoid DOM lookups every frame
-        this.currentTheme = 'dark';
-        this.bgColor = CONFIG.THEME_COLORS.DARK.BACKGROUND;
-        this.cellColor = CONFIG.THEME_COLORS.DARK.CELL;
+        this.currentTheme = null;
+        this.bgColor = CONFIG.THEME_COLORS.BACKGROUND;
+        this.cellColor = CONFIG.THEME_COLORS.CELL;
+        this.accentColor = CONFIG.THEME_COLORS.ACCENT;
+        
+        // Render mode and the per-cell history it colours by (see cell-activity.js)
+        this.renderMode = Object.values(ACTIVITY_CONFIG.MODES).includes(options.renderMode)
+            ? options.renderMode
+            : ACTIVITY_CONFIG.DEFAULT_MODE;
+        this.defaultRule = this.rule.toString();
+        this.defaultRenderMode = this.renderMode;
+        this.activity = new CellActivity();
+        this.modeColors = [];
+        this.colourBuffer = null; // Palette index per cell in the activity modes
+        
+        // Drawing backends, created when first used (see cell-renderers.js)
+        this.rendererChoice = Object.values(RENDER_CONFIG.BACKENDS).includes(options.renderer)
+            ? options.renderer
+            : RENDER_CONFIG.DEFAULT_BACKEND;
+        this.renderers = {};         // Backend name to renderer, or null if it could not be created
+        this.activeRenderer = null;  // Backend that drew the last frame
+        
+        // Partial repaints: changed tiles, and what the last frame was drawn with (see redraw())
+        this.dirtyTiles = new DirtyTiles();
+        this.lastViewKey = '';
+        this.overlaysDrawn = false;
         
         // Mobile support
         this.isMobile = window.innerWidth <= CONFIG.MOBILE.BREAKPOINT;
-        this.isLongPress = false;
-        this.longPressTimer = null;
         
-        // Mobile zoom support
-        this.zoomLevel = 1.0;
-        this.isPinching = false;
-        this.lastPinchDistance = 0;
-        this.transformOriginX = 50; // percentage
-        this.transformOriginY = 50; // percentage
-        this.pinchStartTime = 0;
+        // Pan and zoom (see camera.js), driven by the mouse, touch and keyboard alike
+        this.camera = new Camera(this.cellSize);
+        
+        // Pointers currently pressed on the canvas, by pointerId, in canvas pixels.
+        // The gesture is a 'press' until it moves, then a 'pan' (one pointer) or 'pinch' (two).
+        this.pointers = new Map();
+        this.gesture = null;
         
         // Store bound functions for cleanup
         this.boundResizeCanvas = null;
         this.boundThemeChange = null;
+        this.boundVisibilityChange = null;
+        this.boundKeyDown = null;
+        this.boundPaste = null;
+        this.boundDragOver = null;
+        this.boundDragLeave = null;
+        this.boundDrop = null;
+        
+        // Panel features, each wiring its own controls to this board. Preferences, and
+        // optionally the board, survive reloads (see storage-controls.js).
+        const storageKey = options.storageKey !== undefined ? options.storageKey : (this.page ? STORAGE_CONFIG.KEY : null);
+        this.runControls = new RunControls(this);
+        this.toolControls = new ToolControls(this);
+        this.shortcutHelp = new ShortcutHelp(this);
+        this.statsOverlay = new StatsOverlay(this);
+        this.soupControls = new SoupControls(
+            this,
+            options.autoReseed !== undefined ? options.autoReseed : CONFIG.CYCLES.AUTO_RESEED_DEFAULT
+        );
+        this.storageControls = new StorageControls(this, storageKey);
+        this.shareControls = new ShareControls(this);
         
         this.init();
     }
 
+    /**
+     * @param {string} id - Element id from CONFIG.ELEMENTS
+     * @returns {HTMLElement|null} The element among this board's controls, if there is one
+     */
+    findElement(id) {
+        if (!this.controls) return null;
+        if (this.controls === document) return document.getElementById(id);
+        return this.controls.querySelector(`#${id}`);
+    }
+
     init() {
+        // Before anything that may change the rule and recolour states. The page's theme
+        // was applied before this board existed, so its first themeChanged has been missed.
+        this.updateThemeColors(typeof ThemeManager !== 'undefined' ? ThemeManager.active : null);
         this.setupCanvas();
         this.initializeGrid();
         this.setupEventListeners();
-        this.loadInitialPattern();
-        this.updateThemeColors();
+        this.setupSettingsPanel();
+        this.setupRuleControls();
+        this.setupPatternIO();
+        this.setupPatternPicker();
+        this.setupTopologyControls();
+        this.setupViewControls();
+        this.setupHistoryControls();
+        
+        // Stored preferences come first so explicit options, the URL and permalinks override them
+        const saved = this.storageControls.load();
+        if (saved) {
+            this.storageControls.applyPreferences(saved.preferences);
+        }
+        if (this.startSpeed !== undefined) {
+            this.setSpeed(this.speedToSlider(this.startSpeed));
+        } else {
+            this.runControls.syncSpeed();
+        }
+        if (this.page) {
+            this.loadSettingsFromUrl();
+        }
+        
+        // A permalink in the URL replaces the starting pattern, and so does a remembered board
+        if (!this.page || !this.shareControls.loadPermalink(window.location.hash)) {
+            if (!(saved && saved.board && this.storageControls.restoreBoard(saved.board))) {
+                this.loadInitialPattern();
+            }
+        }
+        this.editHistory.clear(); // The starting board is not an undoable edit
+        this.startEngine();
         
         this.canvas.classList.add(CONFIG.CLASSES.PLAYING);
-        this.canvas.style.cursor = CONFIG.CURSORS.DEFAULT;
+        this.updateCursor();
         this.needsRedraw = true;
 
+        this.runControls.syncPlayPause();
+        if (!this.autoplay) {
+            this.togglePlayPause();
+        }
+
         this.gameLoop();
         
-        this.boundThemeChange = () => {
-            this.updateThemeColors();
+        this.boundThemeChange = (e) => {
+            this.updateThemeColors(e.detail);
             this.needsRedraw = true;
         };
         document.addEventListener('themeChanged', this.boundThemeChange);
+        
+        // Pause while the tab is hidden and carry on where we were when it returns
+        this.boundVisibilityChange = () => {
+            if (document.hidden) {
+                this.wasPlaying = this.isPlaying;
+                if (this.isPlaying) {
+                    this.togglePlayPause();
+                }
+                this.storageControls.saveSession(); // The tab may never come back
+            } else if (this.wasPlaying && !this.isPlaying) {
+                this.togglePlayPause();
+            }
+        };
+        document.addEventListener('visibilitychange', this.boundVisibilityChange);
     }
 
     setupCanvas() {
@@ -191,54 +625,39 @@ class ConwayGameOfLife {
         this.cellSize = this.isMobile ? CONFIG.GAME.CELL_SIZE_MOBILE : CONFIG.GAME.CELL_SIZE;
         
         // Set initial canvas dimensions immediately (before setting up resize handler)
-        const container = this.canvas.parentElement;
-        const containerRect = container.getBoundingClientRect();
-        
-        // Set canvas size based on container
-        if (this.isMobile) {
-            // Larger scrollable area for mobile
-            this.canvas.width = window.innerWidth * CONFIG.MOBILE.CANVAS_SCALE;
-            this.canvas.height = window.innerHeight * CONFIG.MOBILE.CANVAS_SCALE;
-        } else {
-            this.canvas.width = containerRect.width;
-            this.canvas.height = containerRect.height;
-        }
-        
-        // Calculate grid dimensions
-        this.cols = Math.floor(this.canvas.width / this.cellSize);
-        this.rows = Math.floor(this.canvas.height / this.cellSize);
+        this.sizeCanvas();
+        this.camera.setCellSize(this.cellSize);
+        this.resetView();
         
         // Debounce resize handler for better performance
-        let resizeTimeout;
         this.boundResizeCanvas = () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
+            clearTimeout(this.resizeTimeout);
+            this.resizeTimeout = setTimeout(() => {
                 // Update mobile detection
                 this.isMobile = window.innerWidth <= CONFIG.MOBILE.BREAKPOINT;
                 this.cellSize = this.isMobile ? CONFIG.GAME.CELL_SIZE_MOBILE : CONFIG.GAME.CELL_SIZE;
                 
-                const container = this.canvas.parentElement;
-                const containerRect = container.getBoundingClientRect();
-                
-                // Set canvas size based on container
-                if (this.isMobile) {
-                    // Larger scrollable area for mobile
-                    this.canvas.width = window.innerWidth * CONFIG.MOBILE.CANVAS_SCALE;
-                    this.canvas.height = window.innerHeight * CONFIG.MOBILE.CANVAS_SCALE;
-                } else {
-                    this.canvas.width = containerRect.width;
-                    this.canvas.height = containerRect.height;
+                const oldRows = this.rows;
+                const oldCols = this.cols;
+                this.sizeCanvas();
+                this.camera.setCellSize(this.cellSize);
+                if (this.boardSize) {
+                    this.resetView();
                 }
                 
-                // Calculate grid dimensions
-                this.cols = Math.floor(this.canvas.width / this.cellSize);
-                this.rows = Math.floor(this.canvas.height / this.cellSize);
-                
                 // Recreate grids with new dimensions
-                if (this.grid) {
-                    const oldGrid = this.grid;
+                if (this.cells && (this.rows !== oldRows || this.cols !== oldCols)) {
+                    const oldCells = this.cells;
                     this.initializeGrid();
-                    this.transferGridData(oldGrid);
+                    this.transferGridData(oldCells, oldRows, oldCols);
+                    this.postToEngine({ type: ENGINE_CONFIG.MESSAGES.RESIZE, rows: this.rows, cols: this.cols });
+                    
+                    // Recorded edits refer to cells by their index in the old layout
+                    this.editHistory.clear();
+                    this.syncHistoryControls();
+                }
+                if (this.selection) {
+                    this.setSelection(this.clipToBoard(this.selection));
                 }
                 
                 this.needsRedraw = true;
@@ -248,477 +667,2445 @@ class ConwayGameOfLife {
         window.addEventListener('resize', this.boundResizeCanvas);
     }
 
-    initializeGrid() {
-        this.grid = new Array(this.rows);
-        this.nextGrid = new Array(this.rows);
+    /**
+     * Match the canvas to its container and derive the board dimensions from it
+     */
+    sizeCanvas() {
+        const containerRect = this.canvas.parentElement.getBoundingClientRect();
+        this.canvas.width = containerRect.width;
+        this.canvas.height = containerRect.height;
         
-        for (let i = 0; i < this.rows; i++) {
-            this.grid[i] = new Array(this.cols).fill(false);
-            this.nextGrid[i] = new Array(this.cols).fill(false);
+        if (this.boardSize) {
+            this.rows = this.boardSize.rows;
+            this.cols = this.boardSize.cols;
+        } else {
+            // Mobile boards are larger than the screen; the camera pans across them
+            const boardScale = this.isMobile ? CONFIG.MOBILE.BOARD_SCALE : 1;
+            this.cols = Math.floor(this.canvas.width * boardScale / this.cellSize);
+            this.rows = Math.floor(this.canvas.height * boardScale / this.cellSize);
+        }
+        
+        this.camera.setBounds(this.rows, this.cols, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Show the whole of a fixed-size board, or the middle of one that fills the canvas
+     */
+    resetView() {
+        if (this.boardSize) {
+            this.camera.fit(0, 0, this.rows, this.cols);
+        } else {
+            this.camera.reset();
         }
     }
 
-    transferGridData(oldGrid) {
-        if (!oldGrid) return;
+    initializeGrid() {
+        this.cells = new Uint8Array(this.rows * this.cols);
+        this.dirtyTiles.resize(this.rows, this.cols);
+    }
+
+    transferGridData(oldCells, oldRows, oldCols) {
+        if (!oldCells) return;
         
-        const minRows = Math.min(this.rows, oldGrid.length);
-        const minCols = Math.min(this.cols, oldGrid[0]?.length || 0);
+        const minRows = Math.min(this.rows, oldRows);
+        const minCols = Math.min(this.cols, oldCols);
         
         for (let i = 0; i < minRows; i++) {
-            for (let j = 0; j < minCols; j++) {
-                this.grid[i][j] = oldGrid[i][j];
-            }
+            this.cells.set(oldCells.subarray(i * oldCols, i * oldCols + minCols), i * this.cols);
         }
     }
 
+    getCell(row, col) {
+        return this.cells[row * this.cols + col];
+    }
+
     /**
-     * Convert slider value (0-100) to speed multiplier (0.1x to 10x) using logarithmic scale
-     * At slider value 50, speed is 1x
-     * @param {number} sliderValue - Value from slider (0-100)
-     * @returns {number} Speed multiplier (0.1 to 10)
+     * Edit a cell, recording the change for undo
      */
-    sliderToSpeed(sliderValue) {
-        // Logarithmic mapping:
-        // slider 0 -> 0.1x (log10(0.1) = -1)
-        // slider 50 -> 1x (log10(1) = 0)
-        // slider 100 -> 10x (log10(10) = 1)
-        
-        // Normalize slider to range [-1, 1]
-        const normalized = (sliderValue - CONFIG.SPEED.SLIDER_DEFAULT) / CONFIG.SPEED.SLIDER_DEFAULT;
-        
-        // Convert to logarithmic scale: 10^normalized gives us the multiplier
-        const speedMultiplier = Math.pow(10, normalized);
-        
-        // Clamp to ensure we stay within bounds
-        return Math.max(CONFIG.SPEED.MIN_SPEED, Math.min(CONFIG.SPEED.MAX_SPEED, speedMultiplier));
+    setCell(row, col, state) {
+        const value = this.toCellState(state);
+        const index = row * this.cols + col;
+        this.editHistory.record(index, this.cells[index], value);
+        this.writeCell(row, col, value);
     }
 
-    setupEventListeners() {
-        // Play/Pause button
-        this.playPauseBtn.addEventListener('click', this.togglePlayPause.bind(this));
-        
-        // Speed control with logarithmic conversion
-        this.speedSlider.addEventListener('input', (e) => {
-            const sliderValue = parseInt(e.target.value, 10);
-            // Security: Validate input range
-            if (!isNaN(sliderValue) && sliderValue >= CONFIG.SPEED.SLIDER_MIN && sliderValue <= CONFIG.SPEED.SLIDER_MAX) {
-                // Convert slider value (0-100) to logarithmic speed (0.1x to 10x)
-                // At 50, speed = 1x
-                const speedMultiplier = this.sliderToSpeed(sliderValue);
-                
-                // Update interval: lower speed multiplier = longer interval (slower)
-                this.updateInterval = CONFIG.SPEED.BASE_INTERVAL / speedMultiplier;
-                
-                // Update speed label with formatted value
-                const speedLabel = document.getElementById(CONFIG.ELEMENTS.SPEED_LABEL);
-                if (speedLabel) {
-                    speedLabel.textContent = `${speedMultiplier.toFixed(1)}x`;
-                }
-            }
-        });
+    /**
+     * Edit a cell without recording it, for undo and redo themselves
+     */
+    writeCell(row, col, value) {
+        value = this.toCellState(value);
+        this.cells[row * this.cols + col] = value;
+        this.dirtyTiles.markIndex(row * this.cols + col);
+        this.pendingEdits.push(row, col, value);
+        this.needsRedraw = true;
+    }
 
-        // Canvas interaction
-        this.canvas.addEventListener('click', this.handleCanvasClick.bind(this));
-        
-        // Touch support for mobile
-        if (this.isMobile) {
-            this.canvas.addEventListener('touchstart', this.handleCanvasTouch.bind(this), { passive: false });
-            
-            // Pinch-to-zoom support
-            this.canvas.addEventListener('touchmove', this.handlePinchZoom.bind(this), { passive: false });
-            this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: false });
+    /**
+     * @param {number|boolean} state - Cell state or alive flag
+     * @returns {number} State the current rule can hold; states it lacks count as alive
+     */
+    toCellState(state) {
+        const value = Number(state) || 0;
+        return value < this.rule.states ? value : 1;
+    }
+
+    /**
+     * @returns {number[][]} Board as rows of cell states
+     */
+    getCellRows() {
+        const cells = [];
+        for (let i = 0; i < this.rows; i++) {
+            cells.push(Array.from(this.cells.subarray(i * this.cols, (i + 1) * this.cols)));
         }
+        return cells;
+    }
+
+    /**
+     * Start the simulation engine, preferring a Web Worker, seeded with the current board
+     */
+    startEngine() {
+        const onFrame = (frame) => {
+            if (frame.type === ENGINE_CONFIG.MESSAGES.RUN_PROGRESS) {
+                this.showRunProgress(frame.generation, frame.target);
+                return;
+            }
+            if (frame.type === ENGINE_CONFIG.MESSAGES.BOARD) {
+                this.settleBoardRequest(frame.requestId, frame);
+                return;
+            }
+            if (frame.type === ENGINE_CONFIG.MESSAGES.ERROR) {
+                this.setPanelMessage(this.topologyError, `The simulation could not carry out a command: ${frame.message}.`);
+                return;
+            }
+            this.pendingFrame = frame;
+        };
         
-        // Mobile long press for speed control
-        if (this.isMobile) {
-            this.setupMobileControls();
+        // A restarted engine won't answer what the old one was asked
+        this.settleBoardRequests();
+        
+        this.engine = null;
+        if (this.useWorker && WorkerEngineClient.isSupported()) {
+            try {
+                // If the worker fails to load or crashes, carry on with the same engine on the main thread
+                this.engine = new WorkerEngineClient(onFrame, () => {
+                    this.useWorker = false;
+                    this.engine.destroy();
+                    this.startEngine();
+                });
+            } catch (error) {
+                // Some browsers refuse workers outright, e.g. on file:// pages
+                this.engine = null;
+            }
         }
-
-        // Keyboard controls
-        document.addEventListener('keydown', (e) => {
-            if (e.code === CONFIG.KEYS.SPACE) {
-                e.preventDefault();
-                this.togglePlayPause();
+        if (!this.engine) {
+            this.engine = new LocalEngineClient(onFrame);
+        }
+        
+        // Anything queued so far is already part of the cells we send, except cells
+        // placed outside the view on the unbounded plane (see placePatternOnPlane)
+        const offView = [];
+        for (let k = 0; k + 2 < this.pendingEdits.length; k += 3) {
+            const row = this.pendingEdits[k];
+            const col = this.pendingEdits[k + 1];
+            if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) {
+                offView.push(row, col, this.pendingEdits[k + 2]);
             }
+        }
+        this.pendingEdits = offView;
+        this.pendingFrame = null;
+        this.postToEngine({
+            type: ENGINE_CONFIG.MESSAGES.INIT,
+            rows: this.rows,
+            cols: this.cols,
+            rule: this.rule.toString(),
+            topology: this.topology,
+            interval: this.updateInterval,
+            playing: this.isPlaying,
+            editSeq: this.editSeq,
+            generation: this.generation,
+            cells: this.cells.slice()
         });
+        this.flushEdits();
     }
 
-    setupMobileControls() {
-        // Long press on play/pause button to show speed control
-        this.playPauseBtn.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            this.longPressTimer = setTimeout(() => {
-                this.isLongPress = true;
-                this.speedControl.classList.add(CONFIG.CLASSES.VISIBLE);
-            }, CONFIG.MOBILE.LONG_PRESS_DURATION);
-        });
-
-        this.playPauseBtn.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            clearTimeout(this.longPressTimer);
-            
-            if (!this.isLongPress) {
-                this.togglePlayPause();
-            }
-            this.isLongPress = false;
-        });
-
-        // Hide speed control when clicking elsewhere
-        document.addEventListener('click', (e) => {
-            if (!this.speedControl.contains(e.target) && e.target !== this.playPauseBtn) {
-                this.speedControl.classList.remove(CONFIG.CLASSES.VISIBLE);
-            }
+    /**
+     * Ask the engine for every live cell, including any the unbounded plane has
+     * carried out of view
+     * @returns {Promise<Object|null>} The engine's BOARD answer {generation, bounds, cells}, where
+     *          cells is null if the board is too spread out to export; null if the engine went away
+     */
+    requestBoard() {
+        this.flushEdits(); // The answer has to include edits made since the last frame
+        const requestId = ++this.boardRequestSeq;
+        return new Promise((resolve) => {
+            this.boardRequests.set(requestId, resolve);
+            this.postToEngine({
+                type: ENGINE_CONFIG.MESSAGES.EXPORT,
+                requestId,
+                maxCells: PATTERN_IO_CONFIG.MAX_CELLS
+            });
         });
     }
 
-    loadInitialPattern() {
-        const patterns = [
-            { // Gosper Glider Gun - A "gun" that produces gliders.
-            name: 'Glider Gun',
-            pattern: [
-                [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,0,0,0,0,0,0,0,0,0,0,0],
-                [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,0,1,0,0,0,0,0,0,0,0,0,0,0],
-                [0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,1,1],
-                [0,0,0,0,0,0,0,0,0,0,0,1,0,0,0,1,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,1,1],
-                [1,1,0,0,0,0,0,0,0,0,1,0,0,0,0,0,1,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-                [1,1,0,0,0,0,0,0,0,0,1,0,0,0,1,0,1,1,0,0,0,0,1,0,1,0,0,0,0,0,0,0,0,0,0,0],
-                [0,0,0,0,0,0,0,0,0,0,1,0,0,0,0,0,1,0,0,0,0,0,0,0,1,0,0,0,0,0,0,0,0,0,0,0],
-                [0,0,0,0,0,0,0,0,0,0,0,1,0,0,0,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-                [0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
-            ]
-            },
-            // { // Pulsar - A period-3 oscillator.
-            // name: 'Pulsar',
-            // pattern: [
-            //     [0,0,1,1,1,0,0,0,1,1,1,0,0],
-            //     [0,0,0,0,0,0,0,0,0,0,0,0,0],
-            //     [1,0,0,0,0,1,0,1,0,0,0,0,1],
-            //     [1,0,0,0,0,1,0,1,0,0,0,0,1],
-            //     [1,0,0,0,0,1,0,1,0,0,0,0,1],
-            //     [0,0,1,1,1,0,0,0,1,1,1,0,0],
-            //     [0,0,0,0,0,0,0,0,0,0,0,0,0],
-            //     [0,0,1,1,1,0,0,0,1,1,1,0,0],
-            //     [1,0,0,0,0,1,0,1,0,0,0,0,1],
-            //     [1,0,0,0,0,1,0,1,0,0,0,0,1],
-            //     [1,0,0,0,0,1,0,1,0,0,0,0,1],
-            //     [0,0,0,0,0,0,0,0,0,0,0,0,0],
-            //     [0,0,1,1,1,0,0,0,1,1,1,0,0]
-            // ]
-            // },
-            // { // Pentadecathlon - A period-15 oscillator.
-            // name: 'Pentadecathlon',
-            // pattern: [
-            //     [0,1,1,0,0,0,0,1,1,0],
-            //     [1,0,0,1,0,0,1,0,0,1],
-            //     [1,0,0,1,0,0,1,0,0,1],
-            //     [0,1,1,0,0,0,0,1,1,0]
-            // ]
-            // },
-        ];
-
-        // Select a random pattern
-        const selectedPatternData = patterns[Math.floor(Math.random() * patterns.length)];
-        const pattern = selectedPatternData.pattern;
-
-        // Place the pattern in the center
-        const startRow = Math.floor(this.rows / 2) - Math.floor(pattern.length / 2);
-        const startCol = Math.floor(this.cols / 2) - Math.floor(pattern[0].length / 2);
-
-        for (let i = 0; i < pattern.length; i++) {
-            for (let j = 0; j < pattern[i].length; j++) {
-                if (startRow + i >= 0 && startRow + i < this.rows &&
-                    startCol + j >= 0 && startCol + j < this.cols) {
-                    this.grid[startRow + i][startCol + j] = pattern[i][j] === 1;
-                }
-            }
+    settleBoardRequest(requestId, board) {
+        const resolve = this.boardRequests.get(requestId);
+        if (resolve) {
+            this.boardRequests.delete(requestId);
+            resolve(board);
         }
+    }
 
-        // Add some random cells for variety
-        this.addRandomCells(CONFIG.GAME.INITIAL_RANDOM_CELLS);
+    /**
+     * Answer every outstanding board request with null
+     */
+    settleBoardRequests() {
+        this.boardRequests.forEach(resolve => resolve(null));
+        this.boardRequests.clear();
     }
 
-    addRandomCells(count) {
-        for (let i = 0; i < count; i++) {
-            const row = Math.floor(Math.random() * this.rows);
-            const col = Math.floor(Math.random() * this.cols);
-            this.grid[row][col] = Math.random() > CONFIG.RANDOM_CELL_THRESHOLD;
+    postToEngine(message) {
+        if (this.engine) {
+            this.engine.post(message);
         }
     }
 
-    handleCanvasClick(e) {
-        if (this.isPlaying) return;
-
-        const rect = this.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-
-        // Account for canvas scaling on mobile
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
-
-        const canvasX = x * scaleX;
-        const canvasY = y * scaleY;
-
-        const col = Math.floor(canvasX / this.cellSize);
-        const row = Math.floor(canvasY / this.cellSize);
-
-        if (row >= 0 && row < this.rows && col >= 0 && col < this.cols) {
-            this.grid[row][col] = !this.grid[row][col];
-            this.needsRedraw = true;
-        }
+    /**
+     * Send queued cell edits to the engine as one batch
+     */
+    flushEdits() {
+        if (this.pendingEdits.length === 0) return;
+        
+        this.editSeq++;
+        const cells = Int32Array.from(this.pendingEdits);
+        this.pendingEdits = [];
+        this.engine.post({ type: ENGINE_CONFIG.MESSAGES.SET_CELLS, cells, editSeq: this.editSeq }, [cells.buffer]);
     }
 
-    handleCanvasTouch(e) {
-        if (this.isPlaying) return;
+    /**
+     * Adopt the latest engine frame, unless it predates local edits or a resize
+     */
+    applyFrame() {
+        const frame = this.pendingFrame;
+        this.pendingFrame = null;
         
-        // Prevent default behavior (scrolling, zooming) when paused
-        if (!this.isPlaying) {
-            e.preventDefault();
+        if (frame.generation !== this.generation) {
+            this.emit(CONFIG.EVENTS.GENERATION_CHANGED, { generation: frame.generation, population: frame.population });
+        }
+        this.generation = frame.generation;
+        if (frame.runTarget !== this.runTarget) {
+            this.runTarget = frame.runTarget;
+            this.runControls.syncRun();
+        }
+        this.stats.recordFrame(frame, performance.now());
+        this.updateTopologyStatus();
+        if (frame.history !== this.generationHistory) {
+            this.generationHistory = frame.history;
+            this.syncHistoryControls();
         }
         
-        // Don't handle clicks immediately after a pinch gesture
-        const timeSincePinch = Date.now() - this.pinchStartTime;
-        const recentlyPinched = timeSincePinch < 300; // 300ms grace period
-        
-        // Handle single touch for cell toggling
-        if (e.touches.length === 1 && !this.isPinching && !recentlyPinched) {
-            const touch = e.touches[0];
-            const rect = this.canvas.getBoundingClientRect();
-            
-            // Get touch coordinates relative to canvas
-            const x = touch.clientX - rect.left;
-            const y = touch.clientY - rect.top;
-            
-            // Account for canvas scaling
-            const scaleX = this.canvas.width / rect.width;
-            const scaleY = this.canvas.height / rect.height;
-            
-            const canvasX = x * scaleX;
-            const canvasY = y * scaleY;
-            
-            const col = Math.floor(canvasX / this.cellSize);
-            const row = Math.floor(canvasY / this.cellSize);
-            
-            if (row >= 0 && row < this.rows && col >= 0 && col < this.cols) {
-                this.grid[row][col] = !this.grid[row][col];
-                this.needsRedraw = true;
+        if (frame.editSeq >= this.editSeq && frame.rows === this.rows && frame.cols === this.cols) {
+            this.dirtyTiles.markChanges(this.cells, frame.cells);
+            this.cells = frame.cells;
+            this.needsRedraw = true;
+            if (this.renderMode !== ACTIVITY_CONFIG.MODES.PLAIN) {
+                this.activity.update(this.cells, frame.steps);
             }
-        }
-        // Handle two-finger pinch for zooming
-        else if (e.touches.length === 2) {
-            this.isPinching = true;
-            this.pinchStartTime = Date.now();
-            
-            // Calculate center point of pinch
-            const rect = this.canvas.getBoundingClientRect();
-            const centerX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
-            const centerY = (e.touches[0].clientY + e.touches[1].clientY) / 2;
             
-            // Convert to percentage relative to canvas
-            this.transformOriginX = ((centerX - rect.left) / rect.width) * 100;
-            this.transformOriginY = ((centerY - rect.top) / rect.height) * 100;
-            
-            const distance = this.getTouchDistance(e.touches[0], e.touches[1]);
-            this.lastPinchDistance = distance;
+            // A frame from before an edit would report the cycle the edit just broke
+            this.updateCycle(frame.cycle);
         }
+        
+        this.postToEngine({ type: ENGINE_CONFIG.MESSAGES.FRAME_ACK });
     }
 
-    handlePinchZoom(e) {
-        if (!this.isPinching || e.touches.length !== 2) return;
+    /**
+     * Convert slider value (0-100) to speed multiplier (minSpeed to maxSpeed) using logarithmic scale
+     * With the default 0.1x to 10x range, slider value 50 is 1x
+     * @param {number} sliderValue - Value from slider (0-100)
+     * @returns {number} Speed multiplier (minSpeed to maxSpeed)
+     */
+    sliderToSpeed(sliderValue) {
+        // Logarithmic mapping, e.g. with the default range:
+        // slider 0 -> 0.1x (log10(0.1) = -1)
+        // slider 50 -> 1x (log10(1) = 0)
+        // slider 100 -> 10x (log10(10) = 1)
         
-        e.preventDefault();
+        // Normalize slider to range [0, 1]
+        const normalized = (sliderValue - CONFIG.SPEED.SLIDER_MIN) / (CONFIG.SPEED.SLIDER_MAX - CONFIG.SPEED.SLIDER_MIN);
         
-        const distance = this.getTouchDistance(e.touches[0], e.touches[1]);
+        // Equal slider steps multiply the speed by equal factors
+        const speedMultiplier = this.minSpeed * Math.pow(this.maxSpeed / this.minSpeed, normalized);
         
-        if (this.lastPinchDistance > 0) {
-            const delta = distance - this.lastPinchDistance;
-            const zoomChange = delta * 0.005; // Sensitivity factor
-            
-            const newZoom = Math.max(
-                CONFIG.MOBILE.MIN_ZOOM,
-                Math.min(CONFIG.MOBILE.MAX_ZOOM, this.zoomLevel + zoomChange)
-            );
-            
-            if (newZoom !== this.zoomLevel) {
-                this.zoomLevel = newZoom;
-                this.applyZoom();
-            }
+        // Clamp to ensure we stay within bounds
+        return Math.max(this.minSpeed, Math.min(this.maxSpeed, speedMultiplier));
+    }
+
+    /**
+     * Inverse of sliderToSpeed()
+     * @param {number} speed - Speed multiplier
+     * @returns {number} Slider value (0-100) for the nearest speed the slider can show
+     */
+    speedToSlider(speed) {
+        const clamped = Math.max(this.minSpeed, Math.min(this.maxSpeed, speed));
+        const normalized = Math.log(clamped / this.minSpeed) / Math.log(this.maxSpeed / this.minSpeed);
+        return CONFIG.SPEED.SLIDER_MIN + normalized * (CONFIG.SPEED.SLIDER_MAX - CONFIG.SPEED.SLIDER_MIN);
+    }
+
+    /**
+     * Apply a speed slider position
+     * @param {number} sliderValue - Value from slider (0-100)
+     * @returns {boolean} Whether the value was in range and applied
+     */
+    setSpeed(sliderValue) {
+        // Security: Validate input range
+        if (isNaN(sliderValue) || sliderValue < CONFIG.SPEED.SLIDER_MIN || sliderValue > CONFIG.SPEED.SLIDER_MAX) {
+            return false;
         }
         
-        this.lastPinchDistance = distance;
+        // Convert slider value (0-100) to logarithmic speed (minSpeed to maxSpeed)
+        const speedMultiplier = this.sliderToSpeed(sliderValue);
+        this.sliderValue = sliderValue;
+        this.maxSpeedMode = false; // Picking a speed leaves max speed mode
+        
+        // Update interval: lower speed multiplier = longer interval (slower). Intervals
+        // shorter than a display frame make the engine step several times per frame.
+        this.updateInterval = CONFIG.SPEED.BASE_INTERVAL / speedMultiplier;
+        this.postToEngine({ type: ENGINE_CONFIG.MESSAGES.SET_SPEED, interval: this.updateInterval });
+        this.runControls.syncSpeed();
+        this.storageControls.scheduleSave();
+        return true;
+    }
+
+    /**
+     * Step as fast as the engine can, or go back to the slider's speed
+     * @param {boolean} enabled - Whether to run at max speed
+     */
+    setMaxSpeedMode(enabled) {
+        if (!enabled) {
+            this.setSpeed(this.sliderValue);
+            return;
+        }
+        
+        this.maxSpeedMode = true;
+        this.updateInterval = 0; // The engine's "no waiting" interval
+        this.postToEngine({ type: ENGINE_CONFIG.MESSAGES.SET_SPEED, interval: this.updateInterval });
+        this.runControls.syncSpeed();
+        this.storageControls.scheduleSave();
     }
 
-    handleTouchEnd(e) {
-        if (e.touches.length < 2) {
-            this.isPinching = false;
-            this.lastPinchDistance = 0;
+    setupEventListeners() {
+        // Canvas interaction: pointer events cover mouse, touch and pen the same way
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+        this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+        this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp.bind(this));
+        this.canvas.addEventListener('pointerleave', () => {
+            this.hoverCell = null;
+            if (this.stampPattern) {
+                this.needsRedraw = true;
+            }
+        });
+        this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+
+        // Keyboard controls; an embedded board's canvas has to be focusable to get them
+        if (!this.page && this.canvas.tabIndex < 0) {
+            this.canvas.tabIndex = 0;
         }
+        this.boundKeyDown = (e) => {
+            // Already handled, e.g. by an embedded board inside the page
+            if (e.defaultPrevented) return;
+            
+            // Keys typed into a form control belong to it: rulestrings, seeds, the speed slider's arrows
+            if (e.target.closest && e.target.closest('input, select, textarea, [contenteditable="true"]')) return;
+            
+            if (e.code === CONFIG.KEYS.ESCAPE && this.shortcutHelp.isOpen()) {
+                this.shortcutHelp.setOpen(false);
+            } else if (e.code === CONFIG.KEYS.ESCAPE && this.runTarget !== null) {
+                this.stopRun();
+            } else if (e.code === CONFIG.KEYS.ESCAPE && this.stampPattern) {
+                this.cancelStamping();
+            } else if (e.code === CONFIG.KEYS.ESCAPE && this.selection && !this.floating) {
+                this.setSelection(null);
+            } else if (this.handleHistoryKey(e) || this.handleSelectionKey(e) ||
+                       this.handleCommandKey(e) || this.handleCameraKey(e)) {
+                e.preventDefault();
+            }
+        };
+        this.inputTarget.addEventListener('keydown', this.boundKeyDown);
     }
 
-    getTouchDistance(touch1, touch2) {
-        const dx = touch2.clientX - touch1.clientX;
-        const dy = touch2.clientY - touch1.clientY;
-        return Math.sqrt(dx * dx + dy * dy);
+    setupSettingsPanel() {
+        // Settings button reveals the panel holding rule and pattern controls
+        if (this.settingsBtn && this.gamePanel) {
+            this.settingsBtn.addEventListener('click', () => {
+                this.setSettingsPanelOpen(this.gamePanel.hidden);
+            });
+        }
     }
 
-    applyZoom() {
-        if (!this.isMobile) return;
+    setSettingsPanelOpen(open) {
+        if (!this.gamePanel) return;
         
-        const gameSection = this.canvas.parentElement;
-        if (gameSection) {
-            this.canvas.style.transform = `scale(${this.zoomLevel})`;
-            // Use the pinch center point as transform origin
-            this.canvas.style.transformOrigin = `${this.transformOriginX}% ${this.transformOriginY}%`;
+        this.gamePanel.hidden = !open;
+        if (this.settingsBtn) {
+            this.settingsBtn.setAttribute('aria-expanded', String(open));
         }
-        
-        this.needsRedraw = true;
     }
 
-    togglePlayPause() {
-        this.isPlaying = !this.isPlaying;
-        
-        const icon = this.playPauseBtn.querySelector(CONFIG.ELEMENTS.BTN_ICON);
-        if (icon) {
-            icon.innerHTML = this.isPlaying ? CONFIG.ICONS.PAUSE : CONFIG.ICONS.PLAY;
+    /**
+     * Show a message in one of the panel's message slots; boards without the slot drop it
+     * @param {HTMLElement|null} element - Message element
+     * @param {string} message - Message text, or '' to clear it
+     */
+    setPanelMessage(element, message) {
+        if (element) {
+            element.textContent = message;
+            element.hidden = message === '';
         }
         
-        this.canvas.classList.toggle(CONFIG.CLASSES.PAUSED, !this.isPlaying);
-        this.canvas.classList.toggle(CONFIG.CLASSES.PLAYING, this.isPlaying);
-        this.canvas.style.cursor = this.isPlaying ? CONFIG.CURSORS.DEFAULT : CONFIG.CURSORS.CROSSHAIR;
-        
-        // Reset zoom when playing starts
-        if (this.isPlaying && this.isMobile && this.zoomLevel !== 1.0) {
-            this.zoomLevel = 1.0;
-            this.transformOriginX = 50;
-            this.transformOriginY = 50;
-            this.applyZoom();
+        // Make sure the user actually sees errors
+        if (message && element && this.gamePanel && this.gamePanel.contains(element)) {
+            this.setSettingsPanelOpen(true);
         }
-        
-        const gameSection = this.canvas.parentElement;
-        if (gameSection) {
-            gameSection.classList.toggle('grid-clickable', !this.isPlaying);
+    }
+
+    setupRuleControls() {
+        if (this.ruleSelect) {
+            RULE_CONFIG.PRESETS.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.rule;
+                option.textContent = `${preset.name} (${preset.rule})`;
+                this.ruleSelect.appendChild(option);
+            });
+            
+            const customOption = document.createElement('option');
+            customOption.value = CONFIG.RULES.CUSTOM_OPTION;
+            customOption.textContent = 'Custom';
+            this.ruleSelect.appendChild(customOption);
+            
+            this.ruleSelect.addEventListener('change', () => {
+                if (this.ruleSelect.value === CONFIG.RULES.CUSTOM_OPTION) {
+                    if (this.ruleInput) {
+                        this.ruleInput.focus();
+                    }
+                    return;
+                }
+                this.setRule(this.ruleSelect.value);
+            });
         }
         
-        const mainContent = document.querySelector('.main-content');
-        if (mainContent) {
-            mainContent.classList.toggle('grid-clickable', !this.isPlaying);
+        if (this.ruleInput) {
+            this.ruleInput.addEventListener('change', () => {
+                this.setRule(this.ruleInput.value);
+            });
         }
         
-        const heroSection = document.querySelector('.hero-section');
-        if (heroSection) {
-            heroSection.classList.toggle('grid-clickable', !this.isPlaying);
+        this.syncRuleControls();
+    }
+
+    /**
+     * Apply ?rule=, ?topology= and ?seed= so a configured board can be shared as a link
+     */
+    loadSettingsFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const rulestring = params.get(CONFIG.RULES.URL_PARAM);
+        const topology = params.get(CONFIG.TOPOLOGY.URL_PARAM);
+        const seed = params.get(CONFIG.SOUP.URL_PARAM);
+        
+        if (topology !== null) {
+            this.setTopology(topology);
+        }
+        if (rulestring !== null) {
+            this.setRule(rulestring);
+        }
+        if (seed !== null) {
+            this.soupControls.setSeedText(seed);
+        }
+    }
+
+    /**
+     * Switch to a new rule, reporting parse errors to the user
+     * @param {string} rulestring - Rule in B/S notation
+     * @returns {boolean} Whether the rule was applied
+     */
+    setRule(rulestring) {
+        let rule;
+        try {
+            rule = LifeRule.parse(rulestring);
+        } catch (error) {
+            if (!(error instanceof RuleParseError)) throw error;
+            
+            // Keep the current rule running and tell the user why
+            this.showRuleError(`Invalid rule: ${error.message}. Still using ${this.rule}.`);
+            return false;
+        }
+        
+        if (this.topology === ENGINE_CONFIG.TOPOLOGIES.UNBOUNDED && !HashLifeEngine.supportsRule(rule)) {
+            this.showRuleError(`${rule} ${HashLifeEngine.unsupportedReason(rule)}, so it needs a bounded board. Still using ${this.rule}.`);
+            this.syncRuleControls();
+            return false;
+        }
+        
+        // Dying states the new rule lacks disappear; the engine does the same to its grid
+        if (rule.states < this.rule.states) {
+            this.cells.forEach((state, index) => {
+                if (state >= rule.states) this.cells[index] = 0;
+            });
+            this.dirtyTiles.markAll();
+        }
+        
+        this.rule = rule;
+        this.postToEngine({ type: ENGINE_CONFIG.MESSAGES.SET_RULE, rule: rule.toString() });
+        this.updateStateColors();
+        this.needsRedraw = true;
+        this.showRuleError('');
+        this.syncRuleControls();
+        this.storageControls.scheduleSave();
+        return true;
+    }
+
+    showRuleError(message) {
+        this.setPanelMessage(this.ruleError, message);
+        
+        if (this.ruleInput) {
+            this.ruleInput.setAttribute('aria-invalid', String(message !== ''));
+        }
+    }
+
+    syncRuleControls() {
+        const rulestring = this.rule.toString();
+        
+        if (this.ruleSelect) {
+            const isPreset = RULE_CONFIG.PRESETS.some(preset => preset.rule === rulestring);
+            this.ruleSelect.value = isPreset ? rulestring : CONFIG.RULES.CUSTOM_OPTION;
+        }
+        
+        if (this.ruleInput) {
+            this.ruleInput.value = rulestring;
+        }
+    }
+
+    setupTopologyControls() {
+        if (this.topologySelect) {
+            this.topologySelect.value = this.topology;
+            this.topologySelect.addEventListener('change', () => {
+                if (!this.setTopology(this.topologySelect.value)) {
+                    this.topologySelect.value = this.topology;
+                }
+            });
+        }
+        
+        if (this.jumpExponent) {
+            for (let exponent = 1; exponent <= HASHLIFE_CONFIG.MAX_JUMP_EXPONENT; exponent++) {
+                const option = document.createElement('option');
+                option.value = String(exponent);
+                option.textContent = `2^${exponent} (${(2 ** exponent).toLocaleString()})`;
+                this.jumpExponent.appendChild(option);
+            }
+            this.jumpExponent.value = String(CONFIG.TOPOLOGY.JUMP_EXPONENT_DEFAULT);
+        }
+        
+        if (this.jumpBtn && this.jumpExponent) {
+            this.jumpBtn.addEventListener('click', () => {
+                this.jumpAhead(parseInt(this.jumpExponent.value, 10));
+            });
+        }
+        
+        this.updateTopologyStatus();
+    }
+
+    /**
+     * Change how the board's edges join up, including the unbounded HashLife plane
+     * @param {string} topology - One of ENGINE_CONFIG.TOPOLOGIES
+     * @returns {boolean} Whether the topology was applied
+     */
+    setTopology(topology) {
+        if (!Object.values(ENGINE_CONFIG.TOPOLOGIES).includes(topology)) {
+            this.setPanelMessage(this.topologyError, `Unknown topology "${topology}".`);
+            return false;
+        }
+        if (topology === ENGINE_CONFIG.TOPOLOGIES.UNBOUNDED && !HashLifeEngine.supportsRule(this.rule)) {
+            this.setPanelMessage(this.topologyError, `${this.rule} ${HashLifeEngine.unsupportedReason(this.rule)}, so it cannot run on an unbounded plane.`);
+            return false;
+        }
+        
+        this.topology = topology;
+        this.postToEngine({ type: ENGINE_CONFIG.MESSAGES.SET_TOPOLOGY, topology });
+        this.setPanelMessage(this.topologyError, '');
+        if (this.topologySelect) {
+            this.topologySelect.value = topology;
+        }
+        this.syncHistoryControls();
+        this.updateTopologyStatus();
+        return true;
+    }
+
+    /**
+     * Advance the unbounded plane by 2^exponent generations without drawing the ones between
+     * @param {number} exponent - Power of two
+     */
+    jumpAhead(exponent) {
+        if (this.topology !== ENGINE_CONFIG.TOPOLOGIES.UNBOUNDED) return;
+        
+        // Edits made since the last frame must land before the jump
+        this.flushEdits();
+        this.postToEngine({ type: ENGINE_CONFIG.MESSAGES.FAST_FORWARD, exponent });
+    }
+
+    updateTopologyStatus() {
+        const unbounded = this.topology === ENGINE_CONFIG.TOPOLOGIES.UNBOUNDED;
+        
+        if (this.jumpControls) {
+            this.jumpControls.hidden = !unbounded;
+        }
+        if (this.topologyStatus) {
+            this.topologyStatus.hidden = !unbounded;
+            this.topologyStatus.textContent = unbounded ? `Generation ${this.generation.toLocaleString()}` : '';
+        }
+    }
+
+    setupPatternPicker() {
+        if (!this.patternPicker) return;
+        
+        PatternLibrary.groupByCategory().forEach(group => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            group.entries.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.id;
+                option.textContent = PatternLibrary.describe(entry);
+                optgroup.appendChild(option);
+            });
+            this.patternPicker.appendChild(optgroup);
+        });
+        
+        this.patternPicker.addEventListener('change', () => {
+            // Swap the pattern being placed, or just describe the new choice
+            if (this.stampPattern) {
+                this.startStamping(this.patternPicker.value);
+            } else {
+                this.describePickedPattern();
+            }
+        });
+        
+        if (this.patternPlaceBtn) {
+            this.patternPlaceBtn.addEventListener('click', () => {
+                if (this.stampPattern) {
+                    this.cancelStamping();
+                } else {
+                    this.startStamping(this.patternPicker.value);
+                }
+            });
+        }
+        
+        if (this.patternRotateBtn) {
+            this.patternRotateBtn.addEventListener('click', () => this.transformStamp(PatternIO.rotateClockwise));
+        }
+        if (this.patternFlipHBtn) {
+            this.patternFlipHBtn.addEventListener('click', () => this.transformStamp(PatternIO.flipHorizontal));
+        }
+        if (this.patternFlipVBtn) {
+            this.patternFlipVBtn.addEventListener('click', () => this.transformStamp(PatternIO.flipVertical));
+        }
+        
+        this.describePickedPattern();
+    }
+
+    describePickedPattern() {
+        const entry = PatternLibrary.get(this.patternPicker.value);
+        if (entry && this.patternStatus) {
+            this.patternStatus.textContent = entry.description;
+        }
+    }
+
+    /**
+     * Attach a library pattern to the cursor so the next click on the board places it
+     * @param {string} id - Pattern library id
+     */
+    startStamping(id) {
+        this.holdPattern(PatternLibrary.load(id));
+    }
+
+    /**
+     * Attach any pattern to the cursor; each click on the board places a copy
+     * @param {Object} pattern - Pattern to place
+     */
+    holdPattern(pattern) {
+        this.stampPattern = pattern;
+        this.setSelection(null);
+        
+        // Cells can only be placed while paused, unless editing while running is on
+        if (!this.canEdit()) {
+            this.togglePlayPause();
+        }
+        this.updateCursor();
+        
+        if (this.patternPlaceBtn) {
+            this.patternPlaceBtn.textContent = 'Done';
+            this.patternPlaceBtn.setAttribute('aria-pressed', 'true');
+        }
+        if (this.patternStatus) {
+            this.patternStatus.textContent = `Click the board to place ${this.stampPattern.name}. Press Esc when done.`;
+        }
+        this.needsRedraw = true;
+    }
+
+    cancelStamping() {
+        this.stampPattern = null;
+        this.updateCursor();
+        
+        if (this.patternPlaceBtn) {
+            this.patternPlaceBtn.textContent = 'Place';
+            this.patternPlaceBtn.setAttribute('aria-pressed', 'false');
+        }
+        this.describePickedPattern();
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Rotate or flip the pattern before it is placed
+     * @param {Function} transform - One of the PatternIO transforms
+     */
+    transformStamp(transform) {
+        if (!this.stampPattern) {
+            if (!this.patternPicker) return;
+            this.startStamping(this.patternPicker.value);
+        }
+        
+        this.stampPattern = transform(this.stampPattern);
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Top-left board cell of the stamp when centred on the given cell
+     */
+    getStampOrigin(row, col) {
+        return {
+            row: row - Math.floor(this.stampPattern.height / 2),
+            col: col - Math.floor(this.stampPattern.width / 2)
+        };
+    }
+
+    /**
+     * @returns {boolean} Whether the board accepts edits right now
+     */
+    canEdit() {
+        return !this.isPlaying || this.editWhileRunning;
+    }
+
+    /**
+     * @param {string} tool - One of EDIT_TOOLS_CONFIG.TOOLS
+     */
+    setTool(tool) {
+        if (!Object.values(EDIT_TOOLS_CONFIG.TOOLS).includes(tool)) {
+            throw new Error(`Unknown tool "${tool}"`);
+        }
+        
+        this.endToolDrag();
+        if (this.stampPattern) {
+            this.cancelStamping();
+        }
+        if (tool !== EDIT_TOOLS_CONFIG.TOOLS.SELECT) {
+            this.setSelection(null);
+        }
+        
+        this.tool = tool;
+        this.updateCursor();
+        this.toolControls.sync();
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Allow editing while the simulation runs instead of only while paused
+     */
+    setEditWhileRunning(enabled) {
+        this.editWhileRunning = Boolean(enabled);
+        this.toolControls.sync();
+        this.updateGridInteractivity();
+    }
+
+    /**
+     * @param {Object|null} box - {row, col, height, width} on the board, or null to deselect
+     */
+    setSelection(box) {
+        this.selection = box;
+        this.toolControls.sync();
+        this.needsRedraw = true;
+    }
+
+    /**
+     * @param {string} action - copy, cut, paste, delete, rotate, flip-h or flip-v
+     */
+    runSelectionAction(action) {
+        switch (action) {
+            case 'copy':
+                this.copySelection();
+                break;
+            case 'cut':
+                this.cutSelection();
+                break;
+            case 'paste':
+                this.pasteClipboard();
+                break;
+            case 'delete':
+                this.deleteSelection();
+                break;
+            case 'rotate':
+                this.transformSelection(PatternIO.rotateClockwise);
+                break;
+            case 'flip-h':
+                this.transformSelection(PatternIO.flipHorizontal);
+                break;
+            case 'flip-v':
+                this.transformSelection(PatternIO.flipVertical);
+                break;
+            default:
+                throw new Error(`Unknown selection action "${action}"`);
+        }
+    }
+
+    /**
+     * Copy the selection to the internal clipboard, and as RLE to the system clipboard when allowed
+     * @returns {boolean} Whether there was a selection to copy
+     */
+    copySelection() {
+        if (!this.selection) return false;
+        
+        this.clipboard = this.getRegionPattern(this.selection);
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            // Best effort: the internal clipboard still works if the browser refuses
+            navigator.clipboard.writeText(PatternIO.toRLE(this.clipboard)).catch(() => {});
+        }
+        this.toolControls.sync();
+        return true;
+    }
+
+    cutSelection() {
+        if (!this.copySelection()) return false;
+        
+        this.fillRegion(this.selection, 0);
+        return true;
+    }
+
+    /**
+     * Attach the clipboard to the cursor so the next click pastes it
+     * @param {Object} [pattern] - Pattern to paste instead of the internal clipboard
+     */
+    pasteClipboard(pattern = this.clipboard) {
+        if (!pattern) return false;
+        
+        this.holdPattern(pattern);
+        return true;
+    }
+
+    deleteSelection() {
+        if (!this.selection) return false;
+        
+        this.fillRegion(this.selection, 0);
+        return true;
+    }
+
+    /**
+     * Rotate or flip the selected cells in place, keeping the top-left corner
+     * @param {Function} transform - One of the PatternIO transforms
+     */
+    transformSelection(transform) {
+        if (!this.selection) return false;
+        
+        const pattern = transform(this.getRegionPattern(this.selection));
+        this.fillRegion(this.selection, 0);
+        this.placePattern(pattern.cells, this.selection.row, this.selection.col);
+        this.setSelection(this.clipToBoard({
+            row: this.selection.row,
+            col: this.selection.col,
+            height: pattern.height,
+            width: pattern.width
+        }));
+        return true;
+    }
+
+    /**
+     * Ctrl/Cmd+C and +X copy and cut the selection, Delete clears it.
+     * Pasting goes through the document paste event, see setupPatternIO().
+     * @returns {boolean} Whether the key was used
+     */
+    handleSelectionKey(e) {
+        if (!this.selection || this.floating) return false;
+        
+        const command = e.ctrlKey || e.metaKey;
+        if (command && e.code === CONFIG.KEYS.COPY) {
+            return this.copySelection();
+        }
+        if (command && e.code === CONFIG.KEYS.CUT) {
+            return this.cutSelection();
+        }
+        if (!command && CONFIG.KEYS.DELETE.includes(e.code)) {
+            return this.deleteSelection();
+        }
+        return false;
+    }
+
+    /**
+     * @param {{row: number, col: number, height: number, width: number}} box - Region of the board
+     * @returns {Object} The region's cells as a pattern
+     */
+    getRegionPattern(box) {
+        const cells = [];
+        for (let i = box.row; i < box.row + box.height; i++) {
+            const row = [];
+            for (let j = box.col; j < box.col + box.width; j++) {
+                row.push(this.getCell(i, j));
+            }
+            cells.push(row);
+        }
+        return PatternIO.fromCells(cells, { name: 'Selection', rule: this.rule.toString() });
+    }
+
+    fillRegion(box, state) {
+        for (let i = box.row; i < box.row + box.height; i++) {
+            for (let j = box.col; j < box.col + box.width; j++) {
+                this.setCell(i, j, state);
+            }
+        }
+    }
+
+    setCellIfInside(row, col, state) {
+        if (row >= 0 && row < this.rows && col >= 0 && col < this.cols) {
+            this.setCell(row, col, state);
+        }
+    }
+
+    clampCell(cell) {
+        return {
+            row: Math.max(0, Math.min(this.rows - 1, cell.row)),
+            col: Math.max(0, Math.min(this.cols - 1, cell.col))
+        };
+    }
+
+    /**
+     * @returns {Object|null} The part of a box that lies on the board, or null if none does
+     */
+    clipToBoard(box) {
+        const top = Math.max(0, box.row);
+        const left = Math.max(0, box.col);
+        const bottom = Math.min(this.rows, box.row + box.height);
+        const right = Math.min(this.cols, box.col + box.width);
+        
+        if (bottom <= top || right <= left) return null;
+        return { row: top, col: left, height: bottom - top, width: right - left };
+    }
+
+    setupHistoryControls() {
+        if (this.undoBtn) {
+            this.undoBtn.addEventListener('click', () => this.undo());
+        }
+        if (this.redoBtn) {
+            this.redoBtn.addEventListener('click', () => this.redo());
+        }
+        if (this.stepBackBtn) {
+            this.stepBackBtn.addEventListener('click', () => {
+                const count = this.stepBackCount ? parseInt(this.stepBackCount.value, 10) : 1;
+                this.stepBack(Number.isNaN(count) ? 1 : count);
+            });
+        }
+        if (this.stepBackCount) {
+            this.stepBackCount.max = String(ENGINE_CONFIG.HISTORY.MAX_GENERATIONS);
+        }
+        
+        this.syncHistoryControls();
+    }
+
+    syncHistoryControls() {
+        const bounded = this.topology !== ENGINE_CONFIG.TOPOLOGIES.UNBOUNDED;
+        
+        if (this.undoBtn) {
+            this.undoBtn.disabled = !this.canEdit() || !this.editHistory.canUndo;
+        }
+        if (this.redoBtn) {
+            this.redoBtn.disabled = !this.canEdit() || !this.editHistory.canRedo;
+        }
+        if (this.stepBackBtn) {
+            this.stepBackBtn.disabled = !bounded || this.generationHistory === 0;
+        }
+        if (this.historyStatus) {
+            if (!bounded) {
+                this.historyStatus.textContent = 'Stepping back needs a bounded board.';
+            } else {
+                const count = this.generationHistory;
+                this.historyStatus.textContent = `Can step back ${count.toLocaleString()} generation${count === 1 ? '' : 's'}.`;
+            }
+        }
+    }
+
+    /**
+     * Revert the most recent edit
+     * @returns {boolean} Whether there was an edit to undo
+     */
+    undo() {
+        if (this.toolDrag || !this.canEdit()) return false;
+        
+        const operation = this.editHistory.undo();
+        if (!operation) return false;
+        
+        this.applyCellStates(operation.indices, operation.before, operation.after);
+        this.syncHistoryControls();
+        return true;
+    }
+
+    /**
+     * Repeat the most recently undone edit
+     * @returns {boolean} Whether there was an edit to redo
+     */
+    redo() {
+        if (this.toolDrag || !this.canEdit()) return false;
+        
+        const operation = this.editHistory.redo();
+        if (!operation) return false;
+        
+        this.applyCellStates(operation.indices, operation.after, operation.before);
+        this.syncHistoryControls();
+        return true;
+    }
+
+    /**
+     * Apply an edit's diff to the board as it is now, which may be generations past the edit.
+     * Only cells still in the state the diff starts from change; cells that evolved since are left alone.
+     * @param {Int32Array} indices - Row-major cell indices
+     * @param {Uint8Array} states - State to give each cell
+     * @param {Uint8Array} expected - State each cell must have for it to change
+     */
+    applyCellStates(indices, states, expected) {
+        for (let k = 0; k < indices.length; k++) {
+            if (this.cells[indices[k]] !== expected[k]) continue;
+            
+            const row = Math.floor(indices[k] / this.cols);
+            this.writeCell(row, indices[k] - row * this.cols, states[k]);
+        }
+    }
+
+    /**
+     * Go back through the generations the engine has kept, pausing first
+     * @param {number} count - Generations to go back
+     */
+    stepBack(count) {
+        if (this.topology === ENGINE_CONFIG.TOPOLOGIES.UNBOUNDED || count < 1) return;
+        
+        if (this.isPlaying) {
+            this.togglePlayPause();
+        }
+        this.postToEngine({ type: ENGINE_CONFIG.MESSAGES.STEP_BACK, count });
+    }
+
+    /**
+     * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y redo
+     * @returns {boolean} Whether the key was used
+     */
+    handleHistoryKey(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return false;
+        
+        if (e.code === CONFIG.KEYS.UNDO && !e.shiftKey) {
+            this.undo();
+            return true;
+        }
+        if ((e.code === CONFIG.KEYS.UNDO && e.shiftKey) || e.code === CONFIG.KEYS.REDO) {
+            this.redo();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {Object} board - The engine's BOARD answer, see requestBoard()
+     * @returns {number[][]|null} Rows of cell states across the live cells' bounds, null if none are alive
+     */
+    getBoardCellRows(board) {
+        const bounds = board.bounds;
+        if (!bounds) return null;
+        
+        const cells = [];
+        for (let i = 0; i < bounds.height; i++) {
+            cells.push(Array.from(board.cells.subarray(i * bounds.width, (i + 1) * bounds.width)));
+        }
+        return cells;
+    }
+
+    /**
+     * Place a pattern at its saved position when it fits, otherwise in the middle
+     * @param {Object} pattern - Pattern no larger than the board
+     * @param {{row: number, col: number}} origin - Board position of the pattern's top-left cell
+     */
+    placePatternAt(pattern, origin) {
+        const fits = origin.row >= 0 && origin.col >= 0 &&
+            origin.row + pattern.height <= this.rows && origin.col + pattern.width <= this.cols;
+        this.placePattern(
+            pattern.cells,
+            fits ? origin.row : Math.floor((this.rows - pattern.height) / 2),
+            fits ? origin.col : Math.floor((this.cols - pattern.width) / 2)
+        );
+    }
+
+    /**
+     * Place a pattern exactly at its saved position on the unbounded plane. Cells outside
+     * the view go straight to the engine, which has room for them.
+     * @param {Object} pattern - Pattern of any size
+     * @param {{row: number, col: number}} origin - Viewport position of the pattern's top-left cell
+     */
+    placePatternOnPlane(pattern, origin) {
+        for (let i = 0; i < pattern.height; i++) {
+            for (let j = 0; j < pattern.width; j++) {
+                const row = origin.row + i;
+                const col = origin.col + j;
+                if (row >= 0 && row < this.rows && col >= 0 && col < this.cols) {
+                    this.setCell(row, col, pattern.cells[i][j]);
+                } else if (pattern.cells[i][j]) {
+                    this.pendingEdits.push(row, col, this.toCellState(pattern.cells[i][j]));
+                }
+            }
+        }
+        this.needsRedraw = true;
+    }
+
+    /**
+     * @param {number} generation - Generation number of the board as it is now, e.g. from a permalink
+     */
+    setGeneration(generation) {
+        if (this.engine) {
+            this.flushEdits(); // The generation belongs to the board as it is now
+            this.postToEngine({ type: ENGINE_CONFIG.MESSAGES.SET_GENERATION, generation });
+        } else {
+            this.generation = generation; // Handed to the engine when it starts
+        }
+    }
+
+    /**
+     * @param {number} seed - Unsigned 32-bit integer for the next random board
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.random = new SeededRandom(seed);
+        this.soupControls.syncSeed();
+    }
+
+    /**
+     * Rebuild the starting board from the current seed
+     */
+    restartFromSeed() {
+        this.clearGrid();
+        this.loadInitialPattern();
+    }
+
+    /**
+     * Fill a region with random cells drawn from the current seed
+     * @param {string} region - One of CONFIG.SOUP.REGIONS
+     * @param {number} density - Chance of each cell being alive, 0 to 1
+     * @returns {boolean} Whether the soup was placed
+     */
+    randomSoup(region, density) {
+        const regions = CONFIG.SOUP.REGIONS;
+        let box;
+        if (region === regions.SELECTION) {
+            box = this.selection;
+            if (!box) {
+                this.soupControls.showError('Select an area with the Select tool first.');
+                return false;
+            }
+        } else if (region === regions.VIEW) {
+            const visible = this.camera.visibleCells();
+            box = this.clipToBoard({
+                row: visible.rowStart,
+                col: visible.colStart,
+                height: visible.rowEnd - visible.rowStart,
+                width: visible.colEnd - visible.colStart
+            });
+        } else {
+            box = { row: 0, col: 0, height: this.rows, width: this.cols };
+        }
+        if (!box) return false;
+        
+        const chance = Math.max(0, Math.min(1, density));
+        this.random = new SeededRandom(this.seed);
+        for (let i = box.row; i < box.row + box.height; i++) {
+            for (let j = box.col; j < box.col + box.width; j++) {
+                this.setCell(i, j, this.random.next() < chance ? 1 : 0);
+            }
+        }
+        this.soupControls.showError('');
+        return true;
+    }
+
+    /**
+     * Take the cycle state from an engine frame, announcing a new one
+     * @param {Object|null} cycle - {kind, period, generation} from CycleDetector, or null
+     */
+    updateCycle(cycle) {
+        const previous = this.cycle;
+        if (cycle === previous ||
+            (cycle && previous && cycle.kind === previous.kind && cycle.period === previous.period)) {
+            return;
+        }
+        
+        this.cycle = cycle || null;
+        this.soupControls.cycleChanged();
+        
+        if (this.cycle) {
+            this.emit(CONFIG.EVENTS.CYCLE_DETECTED, { ...this.cycle });
+        }
+    }
+
+    setupPatternIO() {
+        if (this.patternLoadBtn && this.patternInput) {
+            this.patternLoadBtn.addEventListener('click', () => {
+                if (this.importPattern(this.patternInput.value)) {
+                    this.patternInput.value = '';
+                }
+            });
+        }
+        
+        if (this.exportCopyBtn) {
+            this.exportCopyBtn.addEventListener('click', () => this.copyPatternToClipboard(this.getExportFormat()));
+        }
+        if (this.exportDownloadBtn) {
+            this.exportDownloadBtn.addEventListener('click', () => this.downloadPattern(this.getExportFormat()));
+        }
+        
+        // Pasting pattern text anywhere outside a form field loads it; with the
+        // selection tool it is attached to the cursor instead of replacing the board
+        this.boundPaste = (e) => {
+            if (e.target.closest && e.target.closest('input, textarea, select')) return;
+            
+            const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+            if (this.tool === EDIT_TOOLS_CONFIG.TOOLS.SELECT) {
+                e.preventDefault();
+                this.pasteText(text);
+            } else if (text.trim() !== '') {
+                e.preventDefault();
+                this.importPattern(text);
+            }
+        };
+        this.inputTarget.addEventListener('paste', this.boundPaste);
+        
+        // Dropping an .rle/.cells file (or dragged text) onto the page loads it
+        this.boundDragOver = (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types).some(type => type === 'Files' || type === 'text/plain')) return;
+            
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            this.dropZone.classList.add(CONFIG.CLASSES.DROP_ACTIVE);
+        };
+        this.boundDragLeave = (e) => {
+            // Only clear the highlight when the pointer leaves the drop zone, not when it crosses a child
+            if (!e.relatedTarget || !this.dropZone.contains(e.relatedTarget)) {
+                this.dropZone.classList.remove(CONFIG.CLASSES.DROP_ACTIVE);
+            }
+        };
+        this.boundDrop = (e) => {
+            this.dropZone.classList.remove(CONFIG.CLASSES.DROP_ACTIVE);
+            if (!e.dataTransfer) return;
+            if (e.target.closest && e.target.closest('input, textarea')) return;
+            
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                this.importPatternFile(file);
+            } else {
+                this.importPattern(e.dataTransfer.getData('text/plain'));
+            }
+        };
+        this.inputTarget.addEventListener('dragover', this.boundDragOver);
+        this.inputTarget.addEventListener('dragleave', this.boundDragLeave);
+        this.inputTarget.addEventListener('drop', this.boundDrop);
+    }
+
+    /**
+     * Paste pattern text at the cursor, falling back to the internal clipboard
+     * when the system clipboard holds something else
+     */
+    pasteText(text) {
+        if (text.trim() !== '') {
+            try {
+                return this.pasteClipboard(PatternIO.parse(text));
+            } catch (error) {
+                if (!(error instanceof PatternParseError)) throw error;
+                if (!this.clipboard) {
+                    this.setPanelMessage(this.patternError, `Could not read pattern: ${error.message}`);
+                    return false;
+                }
+            }
+        }
+        return this.pasteClipboard();
+    }
+
+    getExportFormat() {
+        return this.exportFormat ? this.exportFormat.value : PATTERN_IO_CONFIG.FORMATS.RLE;
+    }
+
+    async importPatternFile(file) {
+        if (file.size > CONFIG.PATTERN_IO.MAX_FILE_BYTES) {
+            this.setPanelMessage(this.patternError, `"${file.name}" is too large to be a pattern file.`);
+            return false;
+        }
+        
+        try {
+            const text = await file.text();
+            return this.importPattern(text, file.name.replace(/\.[^.]+$/, ''));
+        } catch (error) {
+            this.setPanelMessage(this.patternError, `Could not read "${file.name}": ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Replace the board with a pattern given as RLE or plaintext
+     * @param {string} text - Pattern text
+     * @param {string} [fallbackName] - Name to report if the pattern has none
+     * @returns {boolean} Whether the pattern was loaded
+     */
+    importPattern(text, fallbackName = 'Pattern') {
+        let pattern;
+        try {
+            pattern = PatternIO.parse(text);
+        } catch (error) {
+            if (!(error instanceof PatternParseError)) throw error;
+            
+            this.setPanelMessage(this.patternError, `Could not read pattern: ${error.message}`);
+            return false;
+        }
+        
+        const name = pattern.name || fallbackName;
+        if (pattern.width > this.cols || pattern.height > this.rows) {
+            this.setPanelMessage(
+                this.patternError,
+                `${name} is ${pattern.width}×${pattern.height} cells but the board is only ${this.cols}×${this.rows}.`
+            );
+            return false;
+        }
+        
+        // Patterns carry their own rule; a bad one is reported by the rule controls
+        if (pattern.rule) {
+            this.setRule(pattern.rule);
+        }
+        
+        this.clearGrid();
+        this.placePattern(
+            pattern.cells,
+            Math.floor((this.rows - pattern.height) / 2),
+            Math.floor((this.cols - pattern.width) / 2)
+        );
+        this.setPanelMessage(this.patternError, '');
+        return true;
+    }
+
+    /**
+     * Capture the live part of the board as a pattern
+     * @returns {Object} Pattern cropped to the bounding box of live cells
+     */
+    /**
+     * The selection if there is one, otherwise the whole board as the engine has it,
+     * which on the unbounded plane includes cells carried out of view
+     * @returns {Promise<Object>} Pattern to export
+     * @throws {Error} If the board can't be read or is too spread out to export
+     */
+    async getExportPattern() {
+        if (this.selection) {
+            return this.getRegionPattern(this.selection);
+        }
+        
+        const board = await this.requestBoard();
+        if (!board) {
+            throw new Error('the board could not be read');
+        }
+        if (board.bounds && !board.cells) {
+            throw new Error(`the live cells are spread over ${board.bounds.width}×${board.bounds.height} cells, too many to export`);
+        }
+        return PatternIO.fromCells(this.getBoardCellRows(board) || [], {
+            name: CONFIG.PATTERN_IO.EXPORT_NAME,
+            rule: this.rule.toString()
+        });
+    }
+
+    async exportPattern(format) {
+        return PatternIO.serialize(await this.getExportPattern(), format);
+    }
+
+    async copyPatternToClipboard(format) {
+        try {
+            await navigator.clipboard.writeText(await this.exportPattern(format));
+            this.setPanelMessage(this.patternError, '');
+        } catch (error) {
+            this.setPanelMessage(this.patternError, `Could not copy the pattern: ${error.message}`);
+        }
+    }
+
+    async downloadPattern(format) {
+        let text;
+        try {
+            text = await this.exportPattern(format);
+        } catch (error) {
+            this.setPanelMessage(this.patternError, `Could not export the pattern: ${error.message}`);
+            return;
+        }
+        this.setPanelMessage(this.patternError, '');
+        
+        const blob = new Blob([text], { type: PATTERN_IO_CONFIG.MIME_TYPES[format] });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${CONFIG.PATTERN_IO.FILE_NAME}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        URL.revokeObjectURL(url);
+    }
+
+    clearGrid() {
+        // Clearing skips setCell(), so record the cells it kills for undo
+        for (let index = 0; index < this.cells.length; index++) {
+            if (this.cells[index]) {
+                this.editHistory.record(index, this.cells[index], 0);
+            }
+        }
+        
+        this.cells.fill(0);
+        this.dirtyTiles.markAll();
+        this.activity.reset(this.cells.length); // A new board starts with no history
+        this.pendingEdits = [];
+        this.editSeq++;
+        this.postToEngine({ type: ENGINE_CONFIG.MESSAGES.CLEAR, editSeq: this.editSeq });
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Copy a 2D array of cells onto the board, clipping anything outside it
+     * @param {Array<Array<number|boolean>>} cells - Rows of cell states
+     * @param {number} startRow - Board row for the pattern's top edge
+     * @param {number} startCol - Board column for the pattern's left edge
+     */
+    placePattern(cells, startRow, startCol) {
+        for (let i = 0; i < cells.length; i++) {
+            for (let j = 0; j < cells[i].length; j++) {
+                if (startRow + i >= 0 && startRow + i < this.rows &&
+                    startCol + j >= 0 && startCol + j < this.cols) {
+                    this.setCell(startRow + i, startCol + j, cells[i][j]);
+                }
+            }
+        }
+        this.needsRedraw = true;
+    }
+
+    loadInitialPattern() {
+        // Start the sequence over so the seed alone decides the board
+        this.random = new SeededRandom(this.seed);
+        
+        // A pattern given by the embedding page is placed as it is
+        if (this.startPattern) {
+            this.placePattern(
+                this.startPattern.cells,
+                Math.floor((this.rows - this.startPattern.height) / 2),
+                Math.floor((this.cols - this.startPattern.width) / 2)
+            );
+            return;
+        }
+        
+        // Select a random pattern from the library
+        const patternIds = CONFIG.GAME.INITIAL_PATTERNS;
+        const pattern = PatternLibrary.load(patternIds[this.random.nextInt(patternIds.length)]);
+
+        // Place the pattern in the center
+        const startRow = Math.floor(this.rows / 2) - Math.floor(pattern.height / 2);
+        const startCol = Math.floor(this.cols / 2) - Math.floor(pattern.width / 2);
+        this.placePattern(pattern.cells, startRow, startCol);
+
+        // Add some random cells for variety
+        this.addRandomCells(CONFIG.GAME.INITIAL_RANDOM_CELLS);
+    }
+
+    addRandomCells(count) {
+        for (let i = 0; i < count; i++) {
+            const row = this.random.nextInt(this.rows);
+            const col = this.random.nextInt(this.cols);
+            this.setCell(row, col, this.random.next() > CONFIG.RANDOM_CELL_THRESHOLD);
+        }
+    }
+
+    /**
+     * Convert viewport coordinates to canvas pixels
+     * @returns {{x: number, y: number}}
+     */
+    getCanvasPoint(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+
+        // Account for any CSS scaling of the canvas element
+        const scaleX = rect.width ? this.canvas.width / rect.width : 1;
+        const scaleY = rect.height ? this.canvas.height / rect.height : 1;
+
+        return {
+            x: (clientX - rect.left) * scaleX,
+            y: (clientY - rect.top) * scaleY
+        };
+    }
+
+    /**
+     * Convert viewport coordinates to the board cell under them, even if it lies off the board
+     * @returns {{row: number, col: number}}
+     */
+    getCellUnder(clientX, clientY) {
+        const point = this.getCanvasPoint(clientX, clientY);
+        return this.camera.screenToCell(point.x, point.y);
+    }
+
+    /**
+     * Convert viewport coordinates to the board cell under them
+     * @returns {{row: number, col: number}|null} Cell, or null if outside the board
+     */
+    getCellAt(clientX, clientY) {
+        const { row, col } = this.getCellUnder(clientX, clientY);
+
+        if (row >= 0 && row < this.rows && col >= 0 && col < this.cols) {
+            return { row, col };
+        }
+        return null;
+    }
+
+    /**
+     * Edit the board at a cell: place the pending pattern or apply a click of the current tool
+     */
+    activateCell(row, col) {
+        const tools = EDIT_TOOLS_CONFIG.TOOLS;
+        
+        if (this.stampPattern) {
+            const origin = this.getStampOrigin(row, col);
+            this.placePattern(this.stampPattern.cells, origin.row, origin.col);
+        } else if (this.tool === tools.DRAW) {
+            this.setCell(row, col, !this.getCell(row, col));
+        } else if (this.tool === tools.ERASE) {
+            this.setCell(row, col, 0);
+        } else if (this.tool === tools.LINE || this.tool === tools.RECTANGLE) {
+            this.setCell(row, col, 1);
+        }
+        this.needsRedraw = true;
+    }
+
+    /**
+     * A press that was released without moving: click or tap on a cell
+     */
+    handleCanvasTap(e) {
+        if (!this.canEdit()) return;
+
+        const cell = this.getCellAt(e.clientX, e.clientY);
+        
+        // Clicking away from the selection drops it
+        if (this.tool === EDIT_TOOLS_CONFIG.TOOLS.SELECT && !this.stampPattern) {
+            if (this.selection && !(cell && EditTools.contains(this.selection, cell.row, cell.col))) {
+                this.setSelection(null);
+            }
+            return;
+        }
+        
+        if (cell) {
+            this.activateCell(cell.row, cell.col);
+        }
+    }
+
+    handleCanvasHover(e) {
+        if (!this.stampPattern) return;
+        
+        const cell = this.getCellAt(e.clientX, e.clientY);
+        if (!cell || !this.hoverCell || cell.row !== this.hoverCell.row || cell.col !== this.hoverCell.col) {
+            this.hoverCell = cell;
+            this.needsRedraw = true;
+        }
+    }
+
+    handlePointerDown(e) {
+        // Primary button edits (touch and pen always report it); middle-button drags always pan
+        if (e.button !== 0 && e.button !== 1) return;
+        
+        const point = this.getCanvasPoint(e.clientX, e.clientY);
+        this.pointers.set(e.pointerId, point);
+        if (this.canvas.setPointerCapture) {
+            this.canvas.setPointerCapture(e.pointerId);
+        }
+        
+        if (this.pointers.size === 1 && e.button === 1) {
+            e.preventDefault(); // No autoscroll
+            this.gesture = { type: 'pan' };
+            this.canvas.style.cursor = CONFIG.CURSORS.GRABBING;
+        } else if (this.pointers.size === 1) {
+            this.gesture = { type: 'press', x: point.x, y: point.y, cell: this.getCellUnder(e.clientX, e.clientY) };
+        } else if (this.pointers.size === 2) {
+            // A second finger turns any gesture into a pinch
+            this.endToolDrag();
+            this.gesture = { type: 'pinch', ...this.getPinch() };
+        }
+    }
+
+    handlePointerMove(e) {
+        if (e.pointerType === 'mouse') {
+            this.handleCanvasHover(e);
+        }
+        
+        const previous = this.pointers.get(e.pointerId);
+        if (!previous || !this.gesture) return;
+        
+        const point = this.getCanvasPoint(e.clientX, e.clientY);
+        this.pointers.set(e.pointerId, point);
+        
+        if (this.gesture.type === 'press') {
+            const moved = Math.hypot(point.x - this.gesture.x, point.y - this.gesture.y);
+            if (moved < CONFIG.INPUT.DRAG_THRESHOLD) return;
+            
+            if (this.canEdit() && !this.stampPattern && this.tool !== EDIT_TOOLS_CONFIG.TOOLS.PAN) {
+                this.beginToolDrag(this.gesture.cell);
+                this.gesture = { type: 'edit' };
+                this.continueToolDrag(this.getCellUnder(e.clientX, e.clientY));
+            } else {
+                // Pan from where the press started so the board stays under the pointer
+                this.camera.panBy(point.x - this.gesture.x, point.y - this.gesture.y);
+                this.gesture = { type: 'pan' };
+                this.canvas.style.cursor = CONFIG.CURSORS.GRABBING;
+            }
+        } else if (this.gesture.type === 'edit') {
+            this.continueToolDrag(this.getCellUnder(e.clientX, e.clientY));
+        } else if (this.gesture.type === 'pan') {
+            this.camera.panBy(point.x - previous.x, point.y - previous.y);
+        } else if (this.gesture.type === 'pinch' && this.pointers.size === 2) {
+            // Zoom around the pinch centre and follow it as it moves
+            const pinch = this.getPinch();
+            this.camera.zoomAt(pinch.distance / this.gesture.distance, this.gesture.x, this.gesture.y);
+            this.camera.panBy(pinch.x - this.gesture.x, pinch.y - this.gesture.y);
+            this.gesture = { type: 'pinch', ...pinch };
+        }
+        this.needsRedraw = true;
+    }
+
+    handlePointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+        
+        if (this.gesture && this.gesture.type === 'press' && e.type === 'pointerup') {
+            this.handleCanvasTap(e);
+        }
+        this.endToolDrag();
+        
+        if (this.pointers.size === 0) {
+            this.gesture = null;
+            this.updateCursor();
+        } else {
+            // Lifting one finger of a pinch keeps panning with the other, never taps
+            this.gesture = { type: 'pan' };
+        }
+    }
+
+    /**
+     * Start dragging the current tool from a cell (which may lie off the board)
+     */
+    beginToolDrag(cell) {
+        const tools = EDIT_TOOLS_CONFIG.TOOLS;
+        this.toolDrag = { tool: this.tool, anchor: cell, last: cell };
+        
+        if (this.tool === tools.DRAW || this.tool === tools.ERASE) {
+            this.setCellIfInside(cell.row, cell.col, this.tool === tools.DRAW);
+        } else if (this.tool === tools.SELECT) {
+            if (this.selection && EditTools.contains(this.selection, cell.row, cell.col)) {
+                // Lift the selected cells so they can be dragged elsewhere
+                this.toolDrag.moving = true;
+                this.floating = {
+                    pattern: this.getRegionPattern(this.selection),
+                    row: this.selection.row,
+                    col: this.selection.col
+                };
+                this.fillRegion(this.selection, 0);
+            } else {
+                this.toolDrag.anchor = this.clampCell(cell);
+            }
+        }
+    }
+
+    continueToolDrag(cell) {
+        const drag = this.toolDrag;
+        if (!drag) return;
+        
+        const tools = EDIT_TOOLS_CONFIG.TOOLS;
+        switch (drag.tool) {
+            case tools.DRAW:
+            case tools.ERASE:
+                // Fill in the cells between pointer events so fast strokes have no gaps
+                EditTools.line(drag.last.row, drag.last.col, cell.row, cell.col).forEach(([row, col]) => {
+                    this.setCellIfInside(row, col, drag.tool === tools.DRAW);
+                });
+                break;
+            case tools.LINE:
+                this.toolPreview = EditTools.line(drag.anchor.row, drag.anchor.col, cell.row, cell.col);
+                break;
+            case tools.RECTANGLE: {
+                const anchor = this.clampCell(drag.anchor);
+                const corner = this.clampCell(cell);
+                this.toolPreview = EditTools.rectangle(anchor.row, anchor.col, corner.row, corner.col, this.fillRectangles);
+                break;
+            }
+            case tools.SELECT:
+                if (drag.moving) {
+                    this.floating.row = this.selection.row + cell.row - drag.last.row;
+                    this.floating.col = this.selection.col + cell.col - drag.last.col;
+                    this.selection = { ...this.selection, row: this.floating.row, col: this.floating.col };
+                } else {
+                    const corner = this.clampCell(cell);
+                    this.setSelection(EditTools.bounds(drag.anchor.row, drag.anchor.col, corner.row, corner.col));
+                }
+                break;
+        }
+        
+        drag.last = cell;
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Finish a tool drag: commit the line or rectangle, or drop the moved selection
+     */
+    endToolDrag() {
+        const drag = this.toolDrag;
+        if (!drag) return;
+        this.toolDrag = null;
+        
+        if (this.toolPreview) {
+            this.toolPreview.forEach(([row, col]) => this.setCellIfInside(row, col, 1));
+            this.toolPreview = null;
+        }
+        
+        if (this.floating) {
+            this.placePattern(this.floating.pattern.cells, this.floating.row, this.floating.col);
+            this.floating = null;
+            this.setSelection(this.clipToBoard(this.selection));
         }
+        this.needsRedraw = true;
+    }
+
+    /**
+     * @returns {{x: number, y: number, distance: number}} Centre and spread of the two active pointers
+     */
+    getPinch() {
+        const [a, b] = this.pointers.values();
+        return {
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y))
+        };
+    }
+
+    handleWheel(e) {
+        e.preventDefault();
         
-        const contentContainer = document.querySelector('.content-container');
-        if (contentContainer) {
-            contentContainer.classList.toggle('grid-clickable', !this.isPlaying);
+        const point = this.getCanvasPoint(e.clientX, e.clientY);
+        this.camera.zoomByWheel(e.deltaY, e.deltaMode, point.x, point.y);
+        this.handleCanvasHover(e);
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Space plays or pauses, N steps, [ and ] change speed, R makes a random soup,
+     * Shift+C clears, 1-6 pick a tool and ? toggles the shortcut help
+     * @returns {boolean} Whether the key was used
+     */
+    handleCommandKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return false;
+        
+        const keys = CONFIG.KEYS;
+        if (e.key === keys.HELP && this.shortcutHelp.overlay) {
+            this.shortcutHelp.setOpen(!this.shortcutHelp.isOpen());
+        } else if (e.code === keys.CLEAR && e.shiftKey) {
+            // Clearing is an edit like any other, so it waits for the board to be editable
+            if (!this.canEdit()) return false;
+            this.clearGrid();
+        } else if (e.shiftKey) {
+            return false;
+        } else if (e.code === keys.SPACE) {
+            this.togglePlayPause();
+        } else if (e.code === keys.STEP) {
+            this.step();
+        } else if (e.code === keys.MAX_SPEED) {
+            this.setMaxSpeedMode(!this.maxSpeedMode);
+        } else if (e.code === keys.SPEED_UP || e.code === keys.SPEED_DOWN) {
+            const change = e.code === keys.SPEED_UP ? CONFIG.SPEED.KEY_STEP : -CONFIG.SPEED.KEY_STEP;
+            this.setSpeed(Math.max(CONFIG.SPEED.SLIDER_MIN, Math.min(CONFIG.SPEED.SLIDER_MAX, this.sliderValue + change)));
+        } else if (e.code === keys.RANDOMISE) {
+            this.setSeed(SeededRandom.randomSeed());
+            this.soupControls.randomSoup();
+        } else if (keys.TOOLS[e.code]) {
+            this.setTool(keys.TOOLS[e.code]);
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Arrow keys pan, +/- zoom around the centre, F fits the pattern and 0 resets the view
+     * @returns {boolean} Whether the key was used
+     */
+    handleCameraKey(e) {
+        // Leave shortcuts to the browser
+        if (e.ctrlKey || e.metaKey || e.altKey) return false;
+        
+        const keys = CONFIG.KEYS;
+        const step = CAMERA_CONFIG.KEY_PAN_STEP;
+        const centreX = this.canvas.width / 2;
+        const centreY = this.canvas.height / 2;
+        
+        if (e.code === keys.PAN_LEFT) {
+            this.camera.panBy(step, 0);
+        } else if (e.code === keys.PAN_RIGHT) {
+            this.camera.panBy(-step, 0);
+        } else if (e.code === keys.PAN_UP) {
+            this.camera.panBy(0, step);
+        } else if (e.code === keys.PAN_DOWN) {
+            this.camera.panBy(0, -step);
+        } else if (keys.ZOOM_IN.includes(e.code)) {
+            this.camera.zoomAt(CAMERA_CONFIG.KEY_ZOOM_FACTOR, centreX, centreY);
+        } else if (keys.ZOOM_OUT.includes(e.code)) {
+            this.camera.zoomAt(1 / CAMERA_CONFIG.KEY_ZOOM_FACTOR, centreX, centreY);
+        } else if (e.code === keys.FIT_VIEW) {
+            this.fitPattern();
+        } else if (e.code === keys.RESET_VIEW) {
+            this.resetView();
+        } else {
+            return false;
         }
         
         this.needsRedraw = true;
+        return true;
+    }
+
+    setupViewControls() {
+        if (this.rendererSelect) {
+            this.rendererSelect.value = this.rendererChoice;
+            this.rendererSelect.addEventListener('change', () => {
+                if (!this.setRenderer(this.rendererSelect.value)) {
+                    this.rendererSelect.value = this.rendererChoice;
+                }
+            });
+        }
+        if (this.renderModeSelect) {
+            this.renderModeSelect.value = this.renderMode;
+            this.renderModeSelect.addEventListener('change', () => this.setRenderMode(this.renderModeSelect.value));
+        }
+        if (this.fitViewBtn) {
+            this.fitViewBtn.addEventListener('click', () => this.fitPattern());
+        }
+        if (this.resetViewBtn) {
+            this.resetViewBtn.addEventListener('click', () => {
+                this.resetView();
+                this.needsRedraw = true;
+            });
+        }
     }
 
-    updateThemeColors() {
-        const theme = document.documentElement.hasAttribute(CONFIG.ATTRIBUTES.THEME) ? 'light' : 'dark';
-        this.currentTheme = theme;
+    /**
+     * Zoom to the bounding box of the live cells, or reset the view on an empty board
+     */
+    fitPattern() {
+        const bounds = this.getLiveBounds();
         
-        if (theme === 'light') {
-            this.bgColor = CONFIG.THEME_COLORS.LIGHT.BACKGROUND;
-            this.cellColor = CONFIG.THEME_COLORS.LIGHT.CELL;
+        if (bounds) {
+            this.camera.fit(bounds.row, bounds.col, bounds.height, bounds.width);
         } else {
-            this.bgColor = CONFIG.THEME_COLORS.DARK.BACKGROUND;
-            this.cellColor = CONFIG.THEME_COLORS.DARK.CELL;
+            this.resetView();
         }
+        this.needsRedraw = true;
     }
 
-    updateGrid() {
-        this.gridChanged = false;
+    /**
+     * @returns {Object|null} {row, col, height, width} box around the live cells, or null if there are none
+     */
+    getLiveBounds() {
+        let top = this.rows;
+        let bottom = -1;
+        let left = this.cols;
+        let right = -1;
         
         for (let i = 0; i < this.rows; i++) {
+            const rowStart = i * this.cols;
             for (let j = 0; j < this.cols; j++) {
-                // Inline neighbor counting for better performance
-                let count = 0;
-                
-                // Unrolled loop for neighbor counting (faster than nested loops)
-                const rowAbove = (i - 1 + this.rows) % this.rows;
-                const rowBelow = (i + 1) % this.rows;
-                const colLeft = (j - 1 + this.cols) % this.cols;
-                const colRight = (j + 1) % this.cols;
-                
-                // Count neighbors using pre-calculated indices
-                if (this.grid[rowAbove][colLeft]) count++;
-                if (this.grid[rowAbove][j]) count++;
-                if (this.grid[rowAbove][colRight]) count++;
-                if (this.grid[i][colLeft]) count++;
-                if (this.grid[i][colRight]) count++;
-                if (this.grid[rowBelow][colLeft]) count++;
-                if (this.grid[rowBelow][j]) count++;
-                if (this.grid[rowBelow][colRight]) count++;
-                
-                const cell = this.grid[i][j];
-                let newState;
-
-                // Apply Conway's rules
-                if (cell) {
-                    // Live cell with 2 or 3 neighbors survives
-                    newState = count === CONFIG.RULES.SURVIVAL_MIN || count === CONFIG.RULES.SURVIVAL_MAX;
-                } else {
-                    // Dead cell with exactly 3 neighbors becomes alive
-                    newState = count === CONFIG.RULES.BIRTH_COUNT;
-                }
-                
-                this.nextGrid[i][j] = newState;
-                
-                // Track if grid actually changed
-                if (newState !== cell) {
-                    this.gridChanged = true;
+                if (this.cells[rowStart + j]) {
+                    top = Math.min(top, i);
+                    bottom = i;
+                    left = Math.min(left, j);
+                    right = Math.max(right, j);
                 }
             }
         }
+        
+        if (bottom < 0) return null;
+        return { row: top, col: left, height: bottom - top + 1, width: right - left + 1 };
+    }
+
+    /**
+     * Dispatch one of CONFIG.EVENTS from the canvas. It bubbles, so page-wide listeners
+     * on the document still hear every board; listen on a canvas to hear just that one.
+     * @param {string} name - Event name
+     * @param {Object} detail - Event detail
+     */
+    emit(name, detail) {
+        this.canvas.dispatchEvent(new CustomEvent(name, { bubbles: true, detail }));
+    }
 
-        // Swap grids (much faster than copying)
-        [this.grid, this.nextGrid] = [this.nextGrid, this.grid];
+    togglePlayPause() {
+        this.isPlaying = !this.isPlaying;
+        this.postToEngine({ type: this.isPlaying ? ENGINE_CONFIG.MESSAGES.PLAY : ENGINE_CONFIG.MESSAGES.PAUSE });
+        this.runControls.syncPlayPause();
+        this.storageControls.scheduleSave();
         
-        // Only request redraw if grid actually changed
-        if (this.gridChanged) {
-            this.needsRedraw = true;
+        this.canvas.classList.toggle(CONFIG.CLASSES.PAUSED, !this.isPlaying);
+        this.canvas.classList.toggle(CONFIG.CLASSES.PLAYING, this.isPlaying);
+        this.updateGridInteractivity();
+        
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Pause and advance the board, drawing only the last of the generations
+     * @param {number} [count=1] - Generations to advance
+     */
+    step(count = 1) {
+        this.runTo(this.generation + count);
+    }
+
+    /**
+     * Pause and have the engine compute up to a generation without drawing the
+     * ones in between. Long runs keep going in the background until stopRun().
+     * @param {number} generation - Generation to stop at, after the current one
+     * @returns {boolean} Whether the run was started
+     */
+    runTo(generation) {
+        if (!Number.isSafeInteger(generation) || generation <= this.generation) {
+            this.runControls.setStatus(`Pick a generation after ${this.generation.toLocaleString()}.`);
+            return false;
+        }
+        
+        if (this.isPlaying) {
+            this.togglePlayPause();
+        }
+        this.flushEdits(); // The run has to start from edits made since the last frame
+        this.postToEngine({ type: ENGINE_CONFIG.MESSAGES.RUN_TO, generation });
+        return true;
+    }
+
+    /**
+     * Interrupt a run; the board shows whichever generation it had reached
+     */
+    stopRun() {
+        if (this.runTarget === null) return;
+        this.postToEngine({ type: ENGINE_CONFIG.MESSAGES.STOP_RUN });
+    }
+
+    /**
+     * @param {number} generation - Generation the engine has computed so far
+     * @param {number} target - Generation it is running to
+     */
+    showRunProgress(generation, target) {
+        // Runs that finish within one slice never report progress, so never show Stop
+        if (this.runTarget !== target) {
+            this.runTarget = target;
+            this.runControls.syncRun();
+        }
+        this.runControls.setStatus(`${generation.toLocaleString()} / ${target.toLocaleString()}`);
+    }
+
+    /**
+     * Bring the board above the page content while it can be edited
+     */
+    updateGridInteractivity() {
+        const clickable = this.canEdit();
+        this.updateCursor();
+        this.syncHistoryControls();
+        
+        const gameSection = this.canvas.parentElement;
+        if (gameSection) {
+            gameSection.classList.toggle(CONFIG.CLASSES.GRID_CLICKABLE, clickable);
+        }
+        if (!this.page) return;
+        
+        const mainContent = document.querySelector('.main-content');
+        if (mainContent) {
+            mainContent.classList.toggle(CONFIG.CLASSES.GRID_CLICKABLE, clickable);
+        }
+        
+        const heroSection = document.querySelector('.hero-section');
+        if (heroSection) {
+            heroSection.classList.toggle(CONFIG.CLASSES.GRID_CLICKABLE, clickable);
+        }
+        
+        const contentContainer = document.querySelector('.content-container');
+        if (contentContainer) {
+            contentContainer.classList.toggle(CONFIG.CLASSES.GRID_CLICKABLE, clickable);
+        }
+    }
+
+    updateCursor() {
+        if (!this.canEdit()) {
+            this.canvas.style.cursor = CONFIG.CURSORS.DEFAULT;
+        } else if (this.tool === EDIT_TOOLS_CONFIG.TOOLS.PAN && !this.stampPattern) {
+            this.canvas.style.cursor = CONFIG.CURSORS.GRAB;
+        } else {
+            this.canvas.style.cursor = CONFIG.CURSORS.CROSSHAIR;
+        }
+    }
+
+    /**
+     * @param {Object|null} theme - themeChanged detail {theme, palette}, or null for the default colours
+     */
+    updateThemeColors(theme) {
+        const palette = theme && theme.palette;
+        this.currentTheme = theme ? theme.theme : null;
+        
+        if (palette) {
+            this.bgColor = palette.board;
+            this.cellColor = palette.cell;
+            this.accentColor = palette.accent;
+        } else {
+            this.bgColor = CONFIG.THEME_COLORS.BACKGROUND;
+            this.cellColor = CONFIG.THEME_COLORS.CELL;
+            this.accentColor = CONFIG.THEME_COLORS.ACCENT;
+        }
+        this.updateStateColors();
+        this.updateModeColors();
+    }
+
+    /**
+     * Gradient for the current render mode, one colour per ACTIVITY_CONFIG.LEVELS step
+     */
+    updateModeColors() {
+        const modes = ACTIVITY_CONFIG.MODES;
+        const levels = ACTIVITY_CONFIG.LEVELS;
+        let stops;
+        let from;
+        
+        if (this.renderMode === modes.AGE) {
+            stops = [this.accentColor, this.cellColor]; // Newborn to old
+            from = 0;
+        } else if (this.renderMode === modes.TRAILS) {
+            stops = [this.bgColor, this.accentColor];   // Nearly faded to just died
+            from = 1;
+        } else if (this.renderMode === modes.HEATMAP) {
+            stops = [this.bgColor, this.accentColor, this.cellColor]; // Cool to hot
+            from = 1;
+        } else {
+            this.modeColors = [];
+            return;
+        }
+        
+        // Gradients that start at the background skip it so every level stays visible
+        this.modeColors = [];
+        for (let level = 0; level < levels; level++) {
+            this.modeColors.push(ConwayGameOfLife.gradient(stops, (level + from) / (levels - 1 + from)));
+        }
+        this.needsRedraw = true;
+    }
+
+    /**
+     * @param {string} mode - One of ACTIVITY_CONFIG.MODES
+     * @returns {boolean} Whether the mode was applied
+     */
+    setRenderMode(mode) {
+        if (!Object.values(ACTIVITY_CONFIG.MODES).includes(mode)) return false;
+        
+        this.renderMode = mode;
+        if (this.renderModeSelect) {
+            this.renderModeSelect.value = mode;
+        }
+        
+        // Start collecting from the board as it is now
+        this.activity.reset(this.cells.length);
+        this.activity.update(this.cells, 0);
+        this.updateModeColors();
+        this.needsRedraw = true;
+        this.storageControls.scheduleSave();
+        return true;
+    }
+
+    /**
+     * Colour per cell state: background for dead, the cell colour for alive, and
+     * dying states fading evenly from the cell colour towards the background
+     */
+    updateStateColors() {
+        const states = this.rule.states;
+        this.stateColors = [this.bgColor, this.cellColor];
+        for (let state = 2; state < states; state++) {
+            this.stateColors.push(ConwayGameOfLife.mixColors(this.cellColor, this.bgColor, (state - 1) / (states - 1)));
         }
+        this.needsRedraw = true;
+    }
+
+    /**
+     * @param {string} from - Colour as #rrggbb
+     * @param {string} to - Colour as #rrggbb
+     * @param {number} amount - 0 gives from, 1 gives to
+     * @returns {string} Blended colour as rgb()
+     */
+    static mixColors(from, to, amount) {
+        const channels = (hex) => [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
+        const a = channels(from);
+        const b = channels(to);
+        const mixed = a.map((channel, k) => Math.round(channel + (b[k] - channel) * amount));
+        return `rgb(${mixed.join(', ')})`;
+    }
+
+    /**
+     * @param {string[]} stops - Evenly spaced colours as #rrggbb
+     * @param {number} amount - Position along the gradient, 0 to 1
+     * @returns {string} Colour as rgb()
+     */
+    static gradient(stops, amount) {
+        const position = Math.max(0, Math.min(1, amount)) * (stops.length - 1);
+        const segment = Math.min(stops.length - 2, Math.floor(position));
+        return ConwayGameOfLife.mixColors(stops[segment], stops[segment + 1], position - segment);
     }
 
     redraw() {
         // Only redraw if actually needed
         if (!this.needsRedraw) return;
         
+        // Only the cells the camera can see, by whichever backend suits the current zoom
+        const scale = this.camera.scale;
+        const visible = this.camera.visibleCells();
+        const scene = this.getScene(visible, scale);
+        const renderer = this.getRenderer(scale);
+        const regions = this.dirtyTiles.take(visible);
+        
+        // Repaint just the changed tiles unless the picture moved or was recoloured. Overlays
+        // and activity colours span unchanged cells, so they always need the full repaint.
+        const viewKey = [
+            this.camera.offsetX, this.camera.offsetY, scale, this.canvas.width, this.canvas.height,
+            this.activeRenderer, scene.palette.join()
+        ].join();
+        const hasOverlays = Boolean((this.stampPattern && this.hoverCell) || this.floating || this.toolPreview || this.selection);
+        const partial = regions && viewKey === this.lastViewKey && !hasOverlays && !this.overlaysDrawn &&
+            this.renderMode === ACTIVITY_CONFIG.MODES.PLAIN;
+        this.lastViewKey = viewKey;
+        this.overlaysDrawn = hasOverlays;
+        
+        if (partial) {
+            this.repaintRegions(renderer, scene, regions, visible);
+            this.needsRedraw = false;
+            return;
+        }
+        
         // Use cached theme colors instead of querying DOM
         this.ctx.fillStyle = this.bgColor;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        renderer.draw(scene);
+        
+        this.drawBoardEdge();
+        
+        if (this.stampPattern && this.hoverCell) {
+            const origin = this.getStampOrigin(this.hoverCell.row, this.hoverCell.col);
+            this.drawPatternPreview(this.stampPattern, origin.row, origin.col);
+        }
+        if (this.floating) {
+            this.drawPatternPreview(this.floating.pattern, this.floating.row, this.floating.col);
+        }
+        if (this.toolPreview) {
+            this.drawToolPreview();
+        }
+        if (this.selection) {
+            this.drawSelection();
+        }
+        
+        this.needsRedraw = false;
+    }
 
-        // Draw cells - batch drawing for better performance
-        this.ctx.fillStyle = this.cellColor;
+    /**
+     * Repaint parts of the board, leaving the rest of the canvas as it is
+     * @param {CellRenderer} renderer - Renderer for this frame
+     * @param {Object} scene - Scene covering the visible cells
+     * @param {Object[]} regions - Cell ranges to repaint, from DirtyTiles.take()
+     * @param {Object} visible - Visible cell range from Camera.visibleCells()
+     */
+    repaintRegions(renderer, scene, regions, visible) {
+        if (regions.length === 0) return;
         
-        // Use single beginPath/fill for minimal object creation
+        // Clip to whole pixels so nothing is half blended with the old picture
+        const { offsetX, offsetY } = this.camera;
+        const scale = scene.scale;
+        this.ctx.save();
         this.ctx.beginPath();
-        for (let i = 0; i < this.rows; i++) {
-            for (let j = 0; j < this.cols; j++) {
-                if (this.grid[i][j]) {
-                    this.ctx.rect(
-                        j * this.cellSize + CONFIG.CANVAS.CELL_PADDING,
-                        i * this.cellSize + CONFIG.CANVAS.CELL_PADDING,
-                        this.cellSize - CONFIG.CANVAS.CELL_BORDER,
-                        this.cellSize - CONFIG.CANVAS.CELL_BORDER
-                    );
+        regions.forEach(region => {
+            const left = Math.floor(offsetX + region.colStart * scale);
+            const top = Math.floor(offsetY + region.rowStart * scale);
+            const right = Math.ceil(offsetX + region.colEnd * scale);
+            const bottom = Math.ceil(offsetY + region.rowEnd * scale);
+            this.ctx.rect(left, top, right - left, bottom - top);
+        });
+        this.ctx.clip();
+        
+        this.ctx.fillStyle = this.bgColor;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        // Cells next to a region can reach into its rounded-out edge, so draw those too
+        scene.regions = regions.map(region => ({
+            rowStart: Math.max(visible.rowStart, region.rowStart - 1),
+            rowEnd: Math.min(visible.rowEnd, region.rowEnd + 1),
+            colStart: Math.max(visible.colStart, region.colStart - 1),
+            colEnd: Math.min(visible.colEnd, region.colEnd + 1)
+        }));
+        renderer.draw(scene);
+        this.ctx.restore();
+    }
+
+    /**
+     * Gather what a renderer needs to draw the visible cells (see CellRenderer)
+     * @param {Object} visible - Visible cell range from Camera.visibleCells()
+     * @param {number} scale - On-screen cell size in pixels
+     * @returns {Object} Scene for CellRenderer.draw()
+     */
+    getScene(visible, scale) {
+        let colours = this.cells;
+        let palette = this.stateColors;
+        
+        if (this.renderMode !== ACTIVITY_CONFIG.MODES.PLAIN) {
+            // Colours are the state colours followed by the render mode's gradient
+            palette = this.stateColors.concat(this.modeColors);
+            colours = this.getActivityColours(visible, this.stateColors.length);
+        }
+        
+        // Inset each cell so neighbours stay distinct until they get tiny
+        const { padding, size } = this.getCellInset(scale);
+        return {
+            colours,
+            palette,
+            rows: this.rows,
+            cols: this.cols,
+            regions: [visible],
+            offsetX: this.camera.offsetX,
+            offsetY: this.camera.offsetY,
+            scale,
+            padding,
+            size
+        };
+    }
+
+    /**
+     * Palette indices for the visible cells under the current render mode
+     * @param {Object} visible - Visible cell range from Camera.visibleCells()
+     * @param {number} gradientStart - Palette index of the mode gradient's first colour
+     * @returns {Uint16Array} Index per cell; only the visible ones are filled in
+     */
+    getActivityColours(visible, gradientStart) {
+        if (!this.colourBuffer || this.colourBuffer.length !== this.cells.length) {
+            this.colourBuffer = new Uint16Array(this.cells.length);
+        }
+        const colours = this.colourBuffer;
+        const mode = this.renderMode;
+        
+        // Age recolours live cells; trails and heat colour the dead cells between them
+        const shadedState = mode === ACTIVITY_CONFIG.MODES.AGE ? 1 : 0;
+        
+        for (let i = visible.rowStart; i < visible.rowEnd; i++) {
+            const rowOffset = i * this.cols;
+            for (let j = visible.colStart; j < visible.colEnd; j++) {
+                const index = rowOffset + j;
+                const state = this.cells[index];
+                const level = state === shadedState ? this.activity.level(mode, index) : -1;
+                colours[index] = level >= 0 ? gradientStart + level : state;
+            }
+        }
+        return colours;
+    }
+
+    /**
+     * Renderer for this frame: the chosen backend, or the next one down if it cannot
+     * draw this board (WebGL, then the pixel buffer, then canvas rectangles)
+     * @param {number} scale - On-screen cell size in pixels
+     * @returns {CellRenderer} Renderer to draw with
+     */
+    getRenderer(scale) {
+        const backends = RENDER_CONFIG.BACKENDS;
+        let name = this.rendererChoice;
+        if (name === backends.AUTO) {
+            const webgl = CellRenderer.choose(scale, true) === backends.WEBGL ? this.createRenderer(backends.WEBGL) : null;
+            name = CellRenderer.choose(scale, webgl !== null && !webgl.software);
+        }
+        
+        const fallbacks = [backends.WEBGL, backends.PIXELS, backends.CANVAS];
+        for (let k = fallbacks.indexOf(name); k < fallbacks.length; k++) {
+            const renderer = this.createRenderer(fallbacks[k]);
+            if (renderer && renderer.supports(this.rows, this.cols)) {
+                this.activeRenderer = fallbacks[k];
+                return renderer;
+            }
+        }
+        return this.createRenderer(backends.CANVAS);
+    }
+
+    /**
+     * @param {string} name - One of RENDER_CONFIG.BACKENDS other than AUTO
+     * @returns {CellRenderer|null} The backend's renderer, or null if the browser lacks it
+     */
+    createRenderer(name) {
+        if (name in this.renderers) return this.renderers[name];
+        
+        const backends = RENDER_CONFIG.BACKENDS;
+        let renderer = null;
+        try {
+            if (name === backends.WEBGL) {
+                // Only an explicit choice settles for WebGL emulated without a GPU
+                const allowSoftware = this.rendererChoice === backends.WEBGL;
+                renderer = new WebGLRenderer(this.ctx, allowSoftware);
+            } else if (name === backends.PIXELS) {
+                renderer = new PixelRenderer(this.ctx);
+            } else {
+                renderer = new CanvasRenderer(this.ctx);
+            }
+        } catch (error) {
+            // Not available here; callers fall back to another backend
+        }
+        this.renderers[name] = renderer;
+        return renderer;
+    }
+
+    /**
+     * @param {string} name - One of RENDER_CONFIG.BACKENDS
+     * @returns {boolean} Whether the backend was applied; false if unknown or unsupported here
+     */
+    setRenderer(name) {
+        const backends = RENDER_CONFIG.BACKENDS;
+        if (!Object.values(backends).includes(name)) return false;
+        
+        const previous = this.rendererChoice;
+        this.rendererChoice = name;
+        if (name === backends.WEBGL) {
+            // Give WebGL another try now software rendering is acceptable
+            if (this.renderers.webgl === null) {
+                delete this.renderers.webgl;
+            }
+            if (!this.createRenderer(name)) {
+                this.rendererChoice = previous;
+                return false;
+            }
+        }
+        
+        if (this.rendererSelect) {
+            this.rendererSelect.value = name;
+        }
+        this.needsRedraw = true;
+        return true;
+    }
+
+    /**
+     * @param {number} scale - On-screen cell size in pixels
+     * @returns {{padding: number, size: number}} Gap before a cell and its drawn size
+     */
+    getCellInset(scale) {
+        if (scale <= CONFIG.CANVAS.CELL_BORDER * 2) {
+            return { padding: 0, size: scale };
+        }
+        return { padding: CONFIG.CANVAS.CELL_PADDING, size: scale - CONFIG.CANVAS.CELL_BORDER };
+    }
+
+    /**
+     * Outline the board when zoomed out far enough to see past it
+     */
+    drawBoardEdge() {
+        const topLeft = this.camera.cellToScreen(0, 0);
+        const width = this.cols * this.camera.scale;
+        const height = this.rows * this.camera.scale;
+        if (width >= this.canvas.width && height >= this.canvas.height) return;
+        
+        // Keep to whole pixels outside the board, where partial repaints never reach
+        const left = Math.floor(topLeft.x) - 0.5;
+        const top = Math.floor(topLeft.y) - 0.5;
+        const right = Math.ceil(topLeft.x + width) + 0.5;
+        const bottom = Math.ceil(topLeft.y + height) + 0.5;
+        
+        this.ctx.save();
+        this.ctx.globalAlpha = CONFIG.CANVAS.BOARD_EDGE_ALPHA;
+        this.ctx.strokeStyle = this.cellColor;
+        this.ctx.strokeRect(left, top, right - left, bottom - top);
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw a translucent pattern with its bounding box, for stamps and moved selections
+     * @param {Object} pattern - Pattern to draw
+     * @param {number} row - Board row of its top edge
+     * @param {number} col - Board column of its left edge
+     */
+    drawPatternPreview(pattern, row, col) {
+        const scale = this.camera.scale;
+        const { padding, size } = this.getCellInset(scale);
+        const topLeft = this.camera.cellToScreen(row, col);
+        
+        this.ctx.save();
+        this.ctx.globalAlpha = CONFIG.CANVAS.PREVIEW_ALPHA;
+        this.ctx.fillStyle = this.cellColor;
+        this.ctx.beginPath();
+        for (let i = 0; i < pattern.height; i++) {
+            for (let j = 0; j < pattern.width; j++) {
+                if (pattern.cells[i][j]) {
+                    this.ctx.rect(topLeft.x + j * scale + padding, topLeft.y + i * scale + padding, size, size);
                 }
             }
         }
         this.ctx.fill();
         
-        this.needsRedraw = false;
+        // Outline the pattern's bounding box so empty rows/columns are visible
+        this.ctx.strokeStyle = this.cellColor;
+        this.ctx.strokeRect(
+            topLeft.x + 0.5,
+            topLeft.y + 0.5,
+            pattern.width * scale - 1,
+            pattern.height * scale - 1
+        );
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw the line or rectangle being dragged
+     */
+    drawToolPreview() {
+        const scale = this.camera.scale;
+        const { padding, size } = this.getCellInset(scale);
+        
+        this.ctx.save();
+        this.ctx.globalAlpha = CONFIG.CANVAS.PREVIEW_ALPHA;
+        this.ctx.fillStyle = this.cellColor;
+        this.ctx.beginPath();
+        this.toolPreview.forEach(([row, col]) => {
+            const { x, y } = this.camera.cellToScreen(row, col);
+            this.ctx.rect(x + padding, y + padding, size, size);
+        });
+        this.ctx.fill();
+        this.ctx.restore();
+    }
+
+    drawSelection() {
+        const scale = this.camera.scale;
+        const topLeft = this.camera.cellToScreen(this.selection.row, this.selection.col);
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = this.cellColor;
+        this.ctx.setLineDash(CONFIG.CANVAS.SELECTION_DASH);
+        this.ctx.strokeRect(
+            topLeft.x + 0.5,
+            topLeft.y + 0.5,
+            this.selection.width * scale - 1,
+            this.selection.height * scale - 1
+        );
+        this.ctx.restore();
     }
 
-    gameLoop(currentTime = 0) {
-        // Only update if playing and enough time has passed
-        if (this.isPlaying && currentTime - this.lastUpdateTime >= this.updateInterval) {
-            this.updateGrid();
-            this.lastUpdateTime = currentTime;
+    gameLoop() {
+        // Close this frame's edits as one undo step, unless a drag is still adding to it
+        if (!this.toolDrag && this.editHistory.commit()) {
+            this.syncHistoryControls();
+            this.emit(CONFIG.EVENTS.BOARD_EDITED, {});
+        }
+        
+        // The engine steps on its own schedule; here we only exchange edits and frames
+        this.flushEdits();
+        if (this.pendingFrame) {
+            this.applyFrame();
         }
         
         // Only redraw if something actually changed
@@ -726,6 +3113,11 @@ class ConwayGameOfLife {
             this.redraw();
         }
         
+        const now = performance.now();
+        this.stats.sample(now);
+        this.statsOverlay.tick(now);
+        this.soupControls.tick(now);
+        
         this.animationId = requestAnimationFrame(this.gameLoop.bind(this));
     }
 
@@ -734,7 +3126,14 @@ class ConwayGameOfLife {
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
         }
-        clearTimeout(this.longPressTimer);
+        clearTimeout(this.resizeTimeout);
+        this.storageControls.destroy(); // While the board is still there to save
+        this.runControls.destroy();
+        this.shareControls.destroy();
+        
+        Object.values(this.renderers).forEach(renderer => {
+            if (renderer) renderer.destroy();
+        });
         
         // Remove event listeners
         if (this.boundResizeCanvas) {
@@ -743,35 +3142,29 @@ class ConwayGameOfLife {
         if (this.boundThemeChange) {
             document.removeEventListener('themeChanged', this.boundThemeChange);
         }
+        if (this.boundVisibilityChange) {
+            document.removeEventListener('visibilitychange', this.boundVisibilityChange);
+        }
+        if (this.boundKeyDown) {
+            this.inputTarget.removeEventListener('keydown', this.boundKeyDown);
+        }
+        if (this.boundPaste) {
+            this.inputTarget.removeEventListener('paste', this.boundPaste);
+        }
+        if (this.boundDragOver) {
+            this.inputTarget.removeEventListener('dragover', this.boundDragOver);
+            this.inputTarget.removeEventListener('dragleave', this.boundDragLeave);
+            this.inputTarget.removeEventListener('drop', this.boundDrop);
+        }
+        
+        if (this.engine) {
+            this.engine.destroy();
+            this.engine = null;
+        }
+        this.settleBoardRequests();
         
         // Clear grids
-        this.grid = null;
-        this.nextGrid = null;
+        this.cells = null;
+        this.pendingFrame = null;
     }
 }
-
-// Initialize Conway's Game of Life when DOM is loaded
-let conwayGame = null;
-document.addEventListener('DOMContentLoaded', () => {
-    conwayGame = new ConwayGameOfLife();
-    // Store globally for visibility change handler
-    window.conwayGame = conwayGame;
-});
-
-// Handle page visibility changes to optimize performance
-document.addEventListener('visibilitychange', () => {
-    if (!window.conwayGame) return;
-    
-    if (document.hidden) {
-        // Save playing state and pause when tab is not visible
-        window.conwayGame.wasPlaying = window.conwayGame.isPlaying;
-        if (window.conwayGame.isPlaying) {
-            window.conwayGame.togglePlayPause();
-        }
-    } else {
-        // Resume the game when tab becomes visible again
-        if (window.conwayGame.wasPlaying && !window.conwayGame.isPlaying) {
-            window.conwayGame.togglePlayPause();
-        }
-    }
-});
\ No newline at end of file
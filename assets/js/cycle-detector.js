@@ -0,0 +1,80 @@
+/**
+ * Game of Life Cycle Detection
+ * Spots boards that have died out, frozen or fallen into a repeating loop
+ */
+
+// Cycle Detection Configuration Constants
+const CYCLE_CONFIG = {
+    WINDOW: 128, // Generations remembered, i.e. the longest period that can be detected
+    KINDS: {
+        EXTINCT: 'extinct',
+        STILL_LIFE: 'still-life',
+        OSCILLATOR: 'oscillator'
+    }
+};
+
+/**
+ * Compares each generation's board summary ({population, occupied, hashA, hashB}, see
+ * LifeEngine.boardSummary) with the recent ones. A match means the board
+ * repeats with period equal to the generation gap. Two independent 32-bit
+ * hashes plus the population keep false matches out of practical reach.
+ * A board is extinct once no cell is occupied; under Generations rules dying
+ * cells still count, as they go on changing the board.
+ */
+class CycleDetector {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Forget the past generations, e.g. after an edit made them irrelevant
+     */
+    reset() {
+        this.summaries = [];
+        this.status = null;
+    }
+
+    /**
+     * @param {Object} summary - {population, occupied, hashA, hashB} of the board after a step
+     * @param {number} generation - Generation the summary belongs to
+     * @returns {Object|null} {kind, period, generation} while the board repeats, where
+     *          generation is when the repetition was first noticed; null otherwise
+     */
+    push(summary, generation) {
+        const kinds = CYCLE_CONFIG.KINDS;
+        let kind = null;
+        let period = 0;
+
+        if (summary.occupied === 0) {
+            kind = kinds.EXTINCT;
+            period = 1;
+        } else {
+            for (let k = this.summaries.length - 1; k >= 0; k--) {
+                const earlier = this.summaries[k];
+                if (earlier.hashA === summary.hashA && earlier.hashB === summary.hashB &&
+                    earlier.population === summary.population) {
+                    period = generation - earlier.generation;
+                    kind = period === 1 ? kinds.STILL_LIFE : kinds.OSCILLATOR;
+                    break;
+                }
+            }
+        }
+
+        this.summaries.push({
+            population: summary.population,
+            hashA: summary.hashA,
+            hashB: summary.hashB,
+            generation
+        });
+        if (this.summaries.length > CYCLE_CONFIG.WINDOW) {
+            this.summaries.shift();
+        }
+
+        if (!kind) {
+            this.status = null;
+        } else if (!this.status || this.status.kind !== kind || this.status.period !== period) {
+            this.status = { kind, period, generation };
+        }
+        return this.status;
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * Game of Life Dirty Tiles
+ * Remembers which blocks of the board changed since the last redraw
+ */
+
+// Dirty Tile Configuration Constants
+const DIRTY_CONFIG = {
+    TILE_SIZE: 16 // Cells along each side of a tile
+};
+
+/**
+ * The board is split into square tiles; a changed cell marks its tile. The
+ * renderer then repaints only the marked tiles instead of the whole canvas.
+ */
+class DirtyTiles {
+    constructor() {
+        this.resize(0, 0);
+    }
+
+    /**
+     * Size the tiles to a board and mark everything dirty
+     */
+    resize(rows, cols) {
+        this.rows = rows;
+        this.cols = cols;
+        this.tileRows = Math.ceil(rows / DIRTY_CONFIG.TILE_SIZE);
+        this.tileCols = Math.ceil(cols / DIRTY_CONFIG.TILE_SIZE);
+        this.tiles = new Uint8Array(this.tileRows * this.tileCols);
+        this.markAll();
+    }
+
+    /**
+     * Everything needs repainting, e.g. after clearing the board
+     */
+    markAll() {
+        this.all = true;
+    }
+
+    /**
+     * @param {number} index - Row-major index of the changed cell
+     */
+    markIndex(index) {
+        const row = Math.floor(index / this.cols);
+        const col = index - row * this.cols;
+        const size = DIRTY_CONFIG.TILE_SIZE;
+        this.tiles[Math.floor(row / size) * this.tileCols + Math.floor(col / size)] = 1;
+    }
+
+    /**
+     * Mark the tiles of every cell that differs between two boards of this size
+     * @param {Uint8Array} before - Previous cell states
+     * @param {Uint8Array} after - New cell states
+     */
+    markChanges(before, after) {
+        if (this.all) return;
+        if (!before || before.length !== after.length) {
+            this.markAll();
+            return;
+        }
+
+        // Compare four cells at a time where the buffers allow it; most of a board does not change
+        const aligned = before.byteOffset % 4 === 0 && after.byteOffset % 4 === 0;
+        const words = aligned ? Math.floor(after.length / 4) : 0;
+        if (words > 0) {
+            const a = new Uint32Array(before.buffer, before.byteOffset, words);
+            const b = new Uint32Array(after.buffer, after.byteOffset, words);
+            for (let k = 0; k < words; k++) {
+                if (a[k] !== b[k]) {
+                    for (let index = k * 4; index < k * 4 + 4; index++) {
+                        if (before[index] !== after[index]) this.markIndex(index);
+                    }
+                }
+            }
+        }
+        for (let index = words * 4; index < after.length; index++) {
+            if (before[index] !== after[index]) this.markIndex(index);
+        }
+    }
+
+    /**
+     * Hand over the dirty part of the view and start afresh
+     * @param {Object} visible - Visible cell range from Camera.visibleCells()
+     * @returns {Object[]|null} Cell ranges to repaint, each {rowStart, rowEnd, colStart, colEnd}
+     *          and clipped to the view; null if everything needs repainting
+     */
+    take(visible) {
+        const all = this.all;
+        const regions = [];
+        const size = DIRTY_CONFIG.TILE_SIZE;
+
+        if (!all) {
+            // Neighbouring dirty tiles in a row of tiles become one range
+            const firstTileRow = Math.floor(visible.rowStart / size);
+            const lastTileRow = Math.ceil(visible.rowEnd / size);
+            const firstTileCol = Math.floor(visible.colStart / size);
+            const lastTileCol = Math.ceil(visible.colEnd / size);
+
+            for (let tileRow = firstTileRow; tileRow < lastTileRow; tileRow++) {
+                let runStart = -1;
+                for (let tileCol = firstTileCol; tileCol <= lastTileCol; tileCol++) {
+                    const dirty = tileCol < lastTileCol && this.tiles[tileRow * this.tileCols + tileCol];
+                    if (dirty && runStart < 0) {
+                        runStart = tileCol;
+                    } else if (!dirty && runStart >= 0) {
+                        regions.push({
+                            rowStart: Math.max(visible.rowStart, tileRow * size),
+                            rowEnd: Math.min(visible.rowEnd, (tileRow + 1) * size),
+                            colStart: Math.max(visible.colStart, runStart * size),
+                            colEnd: Math.min(visible.colEnd, tileCol * size)
+                        });
+                        runStart = -1;
+                    }
+                }
+            }
+        }
+
+        this.tiles.fill(0);
+        this.all = false;
+        return all ? null : regions;
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Game of Life Edit History
+ * Undo/redo stack of board edits, stored as per-operation cell diffs
+ */
+
+// Edit History Configuration Constants
+const EDIT_HISTORY_CONFIG = {
+    MAX_OPERATIONS: 200,  // Undo steps kept
+    MAX_CELLS: 1000000    // Changed cells kept across all undo steps
+};
+
+/**
+ * Edits are recorded cell by cell into an open operation; commit() closes it
+ * as one undo step. An operation only keeps cells whose state really changed,
+ * with the state before the first edit and after the last.
+ *
+ * History outlives generations: undo and redo apply an operation as a diff to
+ * the board as it is by then, changing only cells still in the diff's start state.
+ */
+class EditHistory {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = null; // Map of cell index -> [before, after]
+        this.cellCount = 0;
+    }
+
+    /**
+     * @param {number} index - Row-major cell index
+     * @param {number} before - State before this edit
+     * @param {number} after - State after this edit
+     */
+    record(index, before, after) {
+        if (!this.current) {
+            this.current = new Map();
+        }
+
+        const change = this.current.get(index);
+        if (change) {
+            change[1] = after;
+        } else if (before !== after) {
+            this.current.set(index, [before, after]);
+        }
+    }
+
+    /**
+     * Close the open operation as one undo step
+     * @returns {boolean} Whether an undo step was added
+     */
+    commit() {
+        const changes = this.current;
+        this.current = null;
+        if (!changes) return false;
+
+        const indices = [];
+        const before = [];
+        const after = [];
+        changes.forEach((change, index) => {
+            if (change[0] !== change[1]) {
+                indices.push(index);
+                before.push(change[0]);
+                after.push(change[1]);
+            }
+        });
+        if (indices.length === 0) return false;
+
+        this.undoStack.push({
+            indices: Int32Array.from(indices),
+            before: Uint8Array.from(before),
+            after: Uint8Array.from(after)
+        });
+        this.cellCount += indices.length;
+        this.redoStack = [];
+
+        // Forget the oldest steps first, but always keep the newest one
+        while (this.undoStack.length > 1 &&
+               (this.undoStack.length > EDIT_HISTORY_CONFIG.MAX_OPERATIONS || this.cellCount > EDIT_HISTORY_CONFIG.MAX_CELLS)) {
+            this.cellCount -= this.undoStack.shift().indices.length;
+        }
+        return true;
+    }
+
+    /**
+     * @returns {Object|null} Operation to revert ({indices, before, after}); cells holding
+     *     its after states go back to its before states
+     */
+    undo() {
+        this.commit();
+        const operation = this.undoStack.pop();
+        if (!operation) return null;
+
+        this.cellCount -= operation.indices.length;
+        this.redoStack.push(operation);
+        return operation;
+    }
+
+    /**
+     * @returns {Object|null} Operation to repeat; cells holding its before states take its after states
+     */
+    redo() {
+        // A pending edit starts a new branch, which discards the redo steps
+        this.commit();
+        const operation = this.redoStack.pop();
+        if (!operation) return null;
+
+        this.cellCount += operation.indices.length;
+        this.undoStack.push(operation);
+        return operation;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0 || (this.current !== null && this.current.size > 0);
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = null;
+        this.cellCount = 0;
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * Game of Life Editing Tools
+ * Tool names and the cell geometry behind lines, rectangles and selections
+ */
+
+// Editing Tools Configuration Constants
+const EDIT_TOOLS_CONFIG = {
+    TOOLS: {
+        DRAW: 'draw',           // Click toggles a cell, dragging paints live cells
+        ERASE: 'erase',         // Click or drag kills cells
+        LINE: 'line',           // Drag a straight line of live cells
+        RECTANGLE: 'rectangle', // Drag an outlined or filled rectangle
+        SELECT: 'select',       // Drag a selection, drag inside it to move it
+        PAN: 'pan'              // Drag moves the camera
+    },
+    DEFAULT_TOOL: 'draw'
+};
+
+class EditTools {
+    /**
+     * @returns {boolean} Whether a tool changes cells (as opposed to panning or selecting)
+     */
+    static isDrawingTool(tool) {
+        const tools = EDIT_TOOLS_CONFIG.TOOLS;
+        return tool === tools.DRAW || tool === tools.ERASE || tool === tools.LINE || tool === tools.RECTANGLE;
+    }
+
+    /**
+     * Cells on the straight line between two cells, both ends included (Bresenham)
+     * @returns {Array<[number, number]>} [row, col] pairs
+     */
+    static line(row0, col0, row1, col1) {
+        const cells = [];
+        const dRow = Math.abs(row1 - row0);
+        const dCol = Math.abs(col1 - col0);
+        const stepRow = row0 < row1 ? 1 : -1;
+        const stepCol = col0 < col1 ? 1 : -1;
+        let error = dCol - dRow;
+        let row = row0;
+        let col = col0;
+
+        for (;;) {
+            cells.push([row, col]);
+            if (row === row1 && col === col1) break;
+
+            const doubled = 2 * error;
+            if (doubled > -dRow) {
+                error -= dRow;
+                col += stepCol;
+            }
+            if (doubled < dCol) {
+                error += dCol;
+                row += stepRow;
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Cells of the rectangle spanned by two opposite corners
+     * @param {boolean} filled - Include the interior, not just the outline
+     * @returns {Array<[number, number]>} [row, col] pairs
+     */
+    static rectangle(row0, col0, row1, col1, filled) {
+        const { row, col, height, width } = EditTools.bounds(row0, col0, row1, col1);
+        const cells = [];
+
+        for (let i = row; i < row + height; i++) {
+            for (let j = col; j < col + width; j++) {
+                const onEdge = i === row || i === row + height - 1 || j === col || j === col + width - 1;
+                if (filled || onEdge) {
+                    cells.push([i, j]);
+                }
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * @returns {{row: number, col: number, height: number, width: number}} Box spanned by two corner cells
+     */
+    static bounds(row0, col0, row1, col1) {
+        return {
+            row: Math.min(row0, row1),
+            col: Math.min(col0, col1),
+            height: Math.abs(row1 - row0) + 1,
+            width: Math.abs(col1 - col0) + 1
+        };
+    }
+
+    static contains(box, row, col) {
+        return row >= box.row && row < box.row + box.height && col >= box.col && col < box.col + box.width;
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * Engine Clients
+ * Main-thread handles for the simulation: a Web Worker or a synchronous fallback
+ */
+
+// Engine Client Configuration Constants
+const ENGINE_CLIENT_CONFIG = {
+    WORKER_SCRIPT: 'life-worker.js',
+
+    // The worker is resolved against this script's URL so any page depth works
+    SCRIPT_URL: document.currentScript ? document.currentScript.src : window.location.href
+};
+
+/**
+ * Runs the simulation in life-worker.js. Frames arrive asynchronously.
+ */
+class WorkerEngineClient {
+    /**
+     * @param {Function} onFrame - Receives frames and other messages from the engine, including
+     *                           ERROR messages for commands the worker could not carry out
+     * @param {Function} onError - Called if the worker fails to load or crashes
+     */
+    constructor(onFrame, onError) {
+        const workerUrl = new URL(ENGINE_CLIENT_CONFIG.WORKER_SCRIPT, ENGINE_CLIENT_CONFIG.SCRIPT_URL);
+        this.worker = new Worker(workerUrl);
+
+        this.worker.addEventListener('message', (e) => onFrame(e.data));
+
+        // Script load failures (e.g. pages opened from file://) surface here
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            onError(new Error(e.message || 'Worker failed to start'));
+        });
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * @param {Object} message - Engine command, see ENGINE_CONFIG.MESSAGES
+     * @param {Transferable[]} [transfer] - Buffers to hand over instead of copying
+     */
+    post(message, transfer = []) {
+        this.worker.postMessage(message, transfer);
+    }
+
+    destroy() {
+        this.worker.terminate();
+    }
+}
+
+/**
+ * Runs the simulation on the main thread for environments without workers.
+ */
+class LocalEngineClient {
+    /**
+     * @param {Function} onFrame - Receives frame objects from the engine
+     */
+    constructor(onFrame) {
+        this.simulation = new LifeSimulation(onFrame);
+    }
+
+    post(message) {
+        this.simulation.handleMessage(message);
+    }
+
+    destroy() {
+        this.simulation.destroy();
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * Game of Life Custom Element
+ * <game-of-life> wraps a board, with its own canvas and controls, for use on any page
+ *
+ *   <script type="module" src="assets/js/game-of-life-element.mjs"></script>
+ *   <game-of-life rule="B3/S23" pattern="x = 3, y = 3&#10;bo$2bo$3o!" speed="2" autoplay></game-of-life>
+ *
+ * Attributes: rule, pattern, speed (multiplier), min-speed and max-speed for the slider's
+ * range, autoplay, and rows plus cols for a fixed board size. Events, dispatched on the element:
+ *   generation - detail {generation, population}, whenever the board advances
+ *   stable     - detail {kind, period, generation}, when it dies out, freezes or repeats
+ *   edit       - after each completed edit, like an undo step
+ *   error      - detail {attribute, message}, when the rule or pattern attribute can't be used;
+ *                a board that can't start as asked starts with the default rule and no cells
+ */
+
+import { ConwayGameOfLife, LifeRule, PatternIO, RuleParseError, PatternParseError } from './game-of-life.mjs';
+
+// Element Configuration Constants
+const ELEMENT_CONFIG = {
+    TAG: 'game-of-life',
+
+    // Board events (CONFIG.EVENTS in conway-game.js) re-dispatched from the element under its own names
+    FORWARDED_EVENTS: {
+        generationChanged: 'generation',
+        cycleDetected: 'stable',
+        boardEdited: 'edit'
+    },
+
+    // Changing these needs a new board; the others are applied to the running one
+    REBUILD_ATTRIBUTES: ['rows', 'cols', 'min-speed', 'max-speed'],
+
+    // One dead cell; giving the board a pattern stops it from picking one of its own
+    EMPTY_PATTERN: 'b!'
+};
+
+const TEMPLATE = document.createElement('template');
+TEMPLATE.innerHTML = `
+    <style>
+        :host {
+            display: block;
+            position: relative;
+            height: 320px;
+            contain: content;
+        }
+        :host([hidden]) {
+            display: none;
+        }
+        .board {
+            position: absolute;
+            inset: 0;
+        }
+        canvas {
+            display: block;
+            outline-offset: -2px;
+        }
+        .controls {
+            position: absolute;
+            left: 0.75rem;
+            bottom: 0.75rem;
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            padding: 0.25rem 0.5rem;
+            border-radius: 12px;
+            border: 1px solid var(--border, #222222);
+            background-color: var(--bg-secondary, #101010);
+            color: var(--text-primary, #ffffff);
+            font: 500 0.875rem system-ui, sans-serif;
+        }
+        button {
+            display: flex;
+            padding: 0.25rem;
+            border: none;
+            border-radius: 8px;
+            background: none;
+            color: inherit;
+            cursor: pointer;
+        }
+        button:hover {
+            background-color: var(--bg-tertiary, #202020);
+        }
+        .btn-icon {
+            width: 20px;
+            height: 20px;
+        }
+        input {
+            width: 80px;
+        }
+    </style>
+    <div class="board">
+        <canvas></canvas>
+    </div>
+    <div class="controls" part="controls">
+        <button type="button" id="play-pause-btn" aria-label="Play or Pause">
+            <svg class="btn-icon" viewBox="0 0 24 24" fill="currentColor" xmlns="http://www.w3.org/2000/svg"></svg>
+        </button>
+        <label for="speed-slider" id="speed-label" aria-live="polite">1x</label>
+        <input type="range" id="speed-slider" min="0" max="100" value="50" step="1">
+    </div>
+`;
+
+class GameOfLifeElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['rule', 'pattern', 'speed', 'autoplay', ...ELEMENT_CONFIG.REBUILD_ATTRIBUTES];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.appendChild(TEMPLATE.content.cloneNode(true));
+        this.canvas = this.shadowRoot.querySelector('canvas');
+        this.board = null;
+
+        // The board's events stop at the shadow root; pass them on under the element's names
+        Object.entries(ELEMENT_CONFIG.FORWARDED_EVENTS).forEach(([boardEvent, elementEvent]) => {
+            this.canvas.addEventListener(boardEvent, (e) => {
+                this.dispatchEvent(new CustomEvent(elementEvent, { detail: e.detail }));
+            });
+        });
+    }
+
+    /**
+     * @returns {ConwayGameOfLife|null} The running board, while the element is in a document
+     */
+    get game() {
+        return this.board;
+    }
+
+    connectedCallback() {
+        if (!this.board) {
+            this.createBoard();
+        }
+    }
+
+    disconnectedCallback() {
+        this.destroy();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.board || oldValue === value) return;
+
+        if (ELEMENT_CONFIG.REBUILD_ATTRIBUTES.includes(name)) {
+            this.destroy();
+            this.createBoard();
+        } else if (name === 'rule' && value) {
+            if (this.readAttribute('rule') !== null) {
+                this.board.setRule(value);
+            }
+        } else if (name === 'pattern' && value) {
+            if (this.readAttribute('pattern') !== null && !this.board.importPattern(value)) {
+                this.reportError('pattern', 'Pattern is larger than the board');
+            }
+        } else if (name === 'speed') {
+            this.applySpeed();
+        } else if (name === 'autoplay') {
+            if (this.hasAttribute('autoplay') !== this.board.isPlaying) {
+                this.board.togglePlayPause();
+            }
+        }
+    }
+
+    createBoard() {
+        const rows = parseInt(this.getAttribute('rows'), 10);
+        const cols = parseInt(this.getAttribute('cols'), 10);
+        const minSpeed = parseFloat(this.getAttribute('min-speed'));
+        const maxSpeed = parseFloat(this.getAttribute('max-speed'));
+        const rule = this.readAttribute('rule');
+        const pattern = this.readAttribute('pattern');
+        const usable = rule !== null && pattern !== null;
+
+        this.board = new ConwayGameOfLife({
+            canvas: this.canvas,
+            controls: this.shadowRoot,
+            rule: usable ? rule : undefined,
+            pattern: usable ? pattern : ELEMENT_CONFIG.EMPTY_PATTERN,
+            size: rows > 0 && cols > 0 ? { rows, cols } : undefined,
+            minSpeed: minSpeed > 0 ? minSpeed : undefined,
+            maxSpeed: maxSpeed > 0 ? maxSpeed : undefined,
+            autoplay: this.hasAttribute('autoplay')
+        });
+        this.applySpeed();
+    }
+
+    /**
+     * Check the rule or pattern attribute, dispatching an error event if it can't be used
+     * @param {string} name - 'rule' or 'pattern'
+     * @returns {string|undefined|null} The value, undefined if it isn't set, or null if it is invalid
+     */
+    readAttribute(name) {
+        const value = this.getAttribute(name);
+        if (!value) return undefined;
+
+        try {
+            if (name === 'rule') {
+                LifeRule.parse(value);
+            } else {
+                // A pattern may name its own rule, which the board uses unless the rule attribute is set
+                const pattern = PatternIO.parse(value);
+                if (pattern.rule && !this.getAttribute('rule')) {
+                    LifeRule.parse(pattern.rule);
+                }
+            }
+        } catch (error) {
+            if (!(error instanceof RuleParseError || error instanceof PatternParseError)) throw error;
+
+            this.reportError(name, error.message);
+            return null;
+        }
+        return value;
+    }
+
+    reportError(attribute, message) {
+        this.dispatchEvent(new CustomEvent('error', { detail: { attribute, message } }));
+    }
+
+    applySpeed() {
+        const speed = parseFloat(this.getAttribute('speed'));
+        if (speed > 0) {
+            this.board.setSpeed(this.board.speedToSlider(speed));
+        }
+    }
+
+    /**
+     * Stop the board and release its worker and listeners; it is rebuilt if the
+     * element is put back into a document
+     */
+    destroy() {
+        if (this.board) {
+            this.board.destroy();
+            this.board = null;
+        }
+    }
+}
+
+if (!customElements.get(ELEMENT_CONFIG.TAG)) {
+    customElements.define(ELEMENT_CONFIG.TAG, GameOfLifeElement);
+}
+
+export { GameOfLifeElement };
@@ -0,0 +1,93 @@
+/**
+ * Game of Life Module
+ * Entry point for embedding boards: loads the game's scripts once and exports the
+ * class. Nothing runs until a board is created, and each board is independent.
+ *
+ *   import { createGame } from './assets/js/game-of-life.mjs';
+ *
+ *   const game = createGame({
+ *       canvas: document.querySelector('#glider-demo'),
+ *       pattern: 'x = 3, y = 3\nbo$2bo$3o!',
+ *       size: { rows: 32, cols: 32 },
+ *       autoplay: false
+ *   });
+ *   // ...later, e.g. when the demo is removed
+ *   game.destroy();
+ */
+
+// Module Configuration Constants
+const MODULE_CONFIG = {
+    // The game's classic scripts in dependency order, as listed in index.html
+    SCRIPTS: [
+        'random.js',
+        'life-rules.js',
+        'pattern-io.js',
+        'pattern-library.js',
+        'life-engine.js',
+        'hashlife-engine.js',
+        'cycle-detector.js',
+        'engine-client.js',
+        'cell-activity.js',
+        'cell-renderers.js',
+        'dirty-tiles.js',
+        'camera.js',
+        'edit-tools.js',
+        'edit-history.js',
+        'life-stats.js',
+        'permalink.js',
+        'game-storage.js',
+        'conway-game.js',
+        'run-controls.js',
+        'tool-controls.js',
+        'shortcut-help.js',
+        'stats-overlay.js',
+        'soup-controls.js',
+        'storage-controls.js',
+        'share-controls.js'
+    ]
+};
+
+/**
+ * @param {URL} url - Classic script to add to the page
+ * @returns {Promise<void>} Settles once the script has run or failed to load
+ */
+function loadScript(url) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = url.href;
+        script.async = false; // Run in insertion order, like the tags in index.html
+        script.addEventListener('load', () => resolve());
+        script.addEventListener('error', () => reject(new Error(`Could not load ${url.href}`)));
+        document.head.appendChild(script);
+    });
+}
+
+// Pages that already include the scripts, like index.html, share them
+if (typeof ConwayGameOfLife === 'undefined') {
+    await Promise.all(MODULE_CONFIG.SCRIPTS.map(name => loadScript(new URL(name, import.meta.url))));
+}
+
+// The class is a global of the classic scripts; re-export it under the same name, with the
+// parsers that check its rule and pattern options and the errors they throw
+const GameOfLife = ConwayGameOfLife;
+const Rules = LifeRule;
+const Patterns = PatternIO;
+const RuleError = RuleParseError;
+const PatternError = PatternParseError;
+
+/**
+ * @param {Object} options - Constructor options, see ConwayGameOfLife; usually at least a canvas
+ * @returns {ConwayGameOfLife} The new board, already running unless options.autoplay is false
+ */
+function createGame(options) {
+    return new GameOfLife(options);
+}
+
+export {
+    GameOfLife as ConwayGameOfLife,
+    Rules as LifeRule,
+    Patterns as PatternIO,
+    RuleError as RuleParseError,
+    PatternError as PatternParseError,
+    createGame
+};
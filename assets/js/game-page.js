@@ -0,0 +1,9 @@
+/**
+ * Game of Life Page Setup
+ * Starts the page's own board from its markup; other pages embed boards through game-of-life.mjs
+ */
+
+// Initialize Conway's Game of Life when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.conwayGame = new ConwayGameOfLife();
+});
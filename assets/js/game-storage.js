@@ -0,0 +1,87 @@
+/**
+ * Game of Life Storage
+ * Remembers a board's preferences, and the board itself if asked, in localStorage
+ */
+
+// Storage Configuration Constants
+const STORAGE_CONFIG = {
+    KEY: 'conway-game', // Used by the page's own board
+    VERSION: 1,
+
+    // Upgrades from older schemas, keyed by the version they read. Each returns
+    // data for the next version; anything that can't be upgraded is dropped.
+    MIGRATIONS: {}
+};
+
+/**
+ * Saved data is a plain object:
+ * {
+ *   version: number,
+ *   preferences: { speed: number (slider value), maxSpeed: boolean, paused: boolean,
+ *                  rule: string, renderMode: string, saveBoard: boolean },
+ *   board: { rle: string, origin: { row, col } of the pattern's top-left cell } or null
+ * }
+ * Values are checked for form here and against the board when they are applied.
+ */
+class GameStorage {
+    /**
+     * @param {string} key - localStorage key, one per board that wants remembering
+     */
+    constructor(key) {
+        this.key = key;
+    }
+
+    /**
+     * @returns {Object|null} Saved data upgraded to the current version, or null if there
+     *          is none, it can't be read, or it comes from an unknown version
+     */
+    load() {
+        let data;
+        try {
+            const text = localStorage.getItem(this.key);
+            if (text === null) return null;
+            data = JSON.parse(text);
+        } catch (error) {
+            // Storage blocked (e.g. some private modes) or damaged JSON
+            return null;
+        }
+
+        while (data && Number.isInteger(data.version) && data.version < STORAGE_CONFIG.VERSION) {
+            const migrate = STORAGE_CONFIG.MIGRATIONS[data.version];
+            if (!migrate) return null;
+            data = migrate(data);
+        }
+        if (!data || data.version !== STORAGE_CONFIG.VERSION) return null;
+        if (!data.preferences || typeof data.preferences !== 'object') return null;
+
+        const board = data.board;
+        const validBoard = board && typeof board.rle === 'string' && board.origin &&
+            Number.isInteger(board.origin.row) && Number.isInteger(board.origin.col);
+        return {
+            version: data.version,
+            preferences: data.preferences,
+            board: validBoard ? board : null
+        };
+    }
+
+    /**
+     * @param {Object} data - Preferences and board, without the version
+     * @returns {boolean} Whether it was stored; fails when storage is blocked or full
+     */
+    save(data) {
+        try {
+            localStorage.setItem(this.key, JSON.stringify({ version: STORAGE_CONFIG.VERSION, ...data }));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    clear() {
+        try {
+            localStorage.removeItem(this.key);
+        } catch (error) {
+            // Nothing stored that could be read back anyway
+        }
+    }
+}
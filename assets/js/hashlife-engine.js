@@ -0,0 +1,476 @@
+/**
+ * HashLife Engine
+ * Unbounded universe stored as a memoised quadtree (Gosper's HashLife),
+ * able to jump ahead by large powers of two generations
+ */
+
+// HashLife Configuration Constants
+const HASHLIFE_CONFIG = {
+    // Smallest root the engine keeps; level n covers 2^n × 2^n cells
+    MIN_ROOT_LEVEL: 3,
+
+    // Drop memoised results once the node table grows past this many nodes
+    MAX_NODES: 1000000,
+
+    // Largest jump accepted by fastForward(), as a power of two
+    MAX_JUMP_EXPONENT: 40
+};
+
+class HashLifeNode {
+    constructor(id, level, nw, ne, sw, se, population) {
+        this.id = id;
+        this.level = level;
+        this.nw = nw;
+        this.ne = ne;
+        this.sw = sw;
+        this.se = se;
+        this.population = population;
+
+        // Memoised centre after 2^resultStep generations
+        this.result = null;
+        this.resultStep = -1;
+    }
+}
+
+/**
+ * Implements the same interface as LifeEngine. rows/cols describe the viewport
+ * window that exportCells() and setCell() address; the universe itself is
+ * unbounded and centred on world cell (0, 0).
+ */
+class HashLifeEngine {
+    /**
+     * @param {number} rows - Viewport height in cells
+     * @param {number} cols - Viewport width in cells
+     * @param {LifeRule} rule - Birth/survival rule without B0
+     */
+    constructor(rows, cols, rule) {
+        this.nodes = new Map();
+        this.nextId = 0;
+        this.dead = new HashLifeNode(this.nextId++, 0, null, null, null, null, 0);
+        this.alive = new HashLifeNode(this.nextId++, 0, null, null, null, null, 1);
+        this.emptyTrees = [this.dead];
+
+        this.generation = 0;
+        this.rows = 0;
+        this.cols = 0;
+        this.originRow = 0;
+        this.originCol = 0;
+
+        this.setRule(rule);
+        this.root = this.emptyTree(HASHLIFE_CONFIG.MIN_ROOT_LEVEL);
+        this.resize(rows, cols);
+    }
+
+    /**
+     * Rules with B0 switch on the whole infinite background, which HashLife cannot
+     * represent, and its nodes only hold two states
+     * @param {LifeRule} rule - Rule to check
+     * @returns {boolean} Whether the rule works on an unbounded plane
+     */
+    static supportsRule(rule) {
+        return HashLifeEngine.unsupportedReason(rule) === null;
+    }
+
+    /**
+     * @param {LifeRule} rule - Rule to check
+     * @returns {string|null} Why the rule can't run on an unbounded plane, e.g. "turns on empty space"
+     */
+    static unsupportedReason(rule) {
+        if (rule.birth.includes(0)) return 'turns on empty space';
+        if (rule.states > 2) return 'has dying states';
+        return null;
+    }
+
+    setRule(rule) {
+        if (!HashLifeEngine.supportsRule(rule)) {
+            throw new Error(`${rule} ${HashLifeEngine.unsupportedReason(rule)} and cannot run on an unbounded plane`);
+        }
+        this.rule = rule;
+        this.clearResults();
+    }
+
+    /**
+     * Resize the viewport, keeping its centre where it was
+     */
+    resize(rows, cols) {
+        this.originRow += Math.floor(this.rows / 2) - Math.floor(rows / 2);
+        this.originCol += Math.floor(this.cols / 2) - Math.floor(cols / 2);
+        this.rows = rows;
+        this.cols = cols;
+    }
+
+    join(nw, ne, sw, se) {
+        const key = `${nw.id},${ne.id},${sw.id},${se.id}`;
+        let node = this.nodes.get(key);
+        if (!node) {
+            node = new HashLifeNode(
+                this.nextId++, nw.level + 1, nw, ne, sw, se,
+                nw.population + ne.population + sw.population + se.population
+            );
+            this.nodes.set(key, node);
+        }
+        return node;
+    }
+
+    emptyTree(level) {
+        for (let i = this.emptyTrees.length; i <= level; i++) {
+            const child = this.emptyTrees[i - 1];
+            this.emptyTrees.push(this.join(child, child, child, child));
+        }
+        return this.emptyTrees[level];
+    }
+
+    /**
+     * Wrap a node in a border of empty space, doubling its size around the same centre
+     */
+    expand(node) {
+        const empty = this.emptyTree(node.level - 1);
+        return this.join(
+            this.join(empty, empty, empty, node.nw),
+            this.join(empty, empty, node.ne, empty),
+            this.join(empty, node.sw, empty, empty),
+            this.join(node.se, empty, empty, empty)
+        );
+    }
+
+    centre(node) {
+        return this.join(node.nw.se, node.ne.sw, node.sw.ne, node.se.nw);
+    }
+
+    /**
+     * Whether every live cell lies in the central quarter of the node
+     */
+    isCentred(node) {
+        if (node.level < HASHLIFE_CONFIG.MIN_ROOT_LEVEL) return false;
+
+        const inner = node.nw.se.se.population + node.ne.sw.sw.population +
+            node.sw.ne.ne.population + node.se.nw.nw.population;
+        return inner === node.population;
+    }
+
+    /**
+     * Half the width of the root, i.e. the world coordinate range is [-half, half)
+     */
+    rootHalf() {
+        return 2 ** (this.root.level - 1);
+    }
+
+    getWorldCell(y, x) {
+        const half = this.rootHalf();
+        if (y < -half || y >= half || x < -half || x >= half) return 0;
+
+        let node = this.root;
+        y += half;
+        x += half;
+        while (node.level > 0) {
+            if (node.population === 0) return 0;
+
+            const size = 2 ** (node.level - 1);
+            const south = y >= size;
+            const east = x >= size;
+            node = south ? (east ? node.se : node.sw) : (east ? node.ne : node.nw);
+            if (south) y -= size;
+            if (east) x -= size;
+        }
+        return node.population;
+    }
+
+    setWorldCell(y, x, state) {
+        while (y < -this.rootHalf() || y >= this.rootHalf() || x < -this.rootHalf() || x >= this.rootHalf()) {
+            this.root = this.expand(this.root);
+        }
+
+        const half = this.rootHalf();
+        this.root = this.setInNode(this.root, y + half, x + half, state ? this.alive : this.dead);
+    }
+
+    setInNode(node, y, x, leaf) {
+        if (node.level === 0) return leaf;
+
+        const size = 2 ** (node.level - 1);
+        if (y < size) {
+            return x < size
+                ? this.join(this.setInNode(node.nw, y, x, leaf), node.ne, node.sw, node.se)
+                : this.join(node.nw, this.setInNode(node.ne, y, x - size, leaf), node.sw, node.se);
+        }
+        return x < size
+            ? this.join(node.nw, node.ne, this.setInNode(node.sw, y - size, x, leaf), node.se)
+            : this.join(node.nw, node.ne, node.sw, this.setInNode(node.se, y - size, x - size, leaf));
+    }
+
+    getCell(row, col) {
+        return this.getWorldCell(this.originRow + row, this.originCol + col);
+    }
+
+    setCell(row, col, state) {
+        this.setWorldCell(this.originRow + row, this.originCol + col, state);
+    }
+
+    /**
+     * Apply a batch of edits
+     * @param {Int32Array|number[]} cells - Flat (row, col, state) triples in viewport coordinates
+     */
+    setCells(cells) {
+        for (let k = 0; k + 2 < cells.length; k += 3) {
+            this.setCell(cells[k], cells[k + 1], cells[k + 2]);
+        }
+    }
+
+    clear() {
+        this.root = this.emptyTree(HASHLIFE_CONFIG.MIN_ROOT_LEVEL);
+    }
+
+    /**
+     * Population of the whole plane, not just the viewport, and a hash of it. Nodes are
+     * unique per content, so the id of the smallest centred node around the pattern
+     * identifies the board (ids are never reused, so at worst a cycle goes unnoticed).
+     * Only two-state rules run here, so every occupied cell is alive.
+     * @returns {{population: number, occupied: number, hashA: number, hashB: number}}
+     */
+    boardSummary() {
+        let node = this.root;
+        while (node.level > HASHLIFE_CONFIG.MIN_ROOT_LEVEL && this.isCentred(node)) {
+            node = this.centre(node);
+        }
+        const population = this.root.population;
+        return { population, occupied: population, hashA: node.id, hashB: node.level };
+    }
+
+    /**
+     * Advance one generation
+     * @returns {boolean} Whether any cell changed
+     */
+    step() {
+        return this.advance(0);
+    }
+
+    /**
+     * Jump ahead by 2^exponent generations in one go
+     * @param {number} exponent - Power of two, at most HASHLIFE_CONFIG.MAX_JUMP_EXPONENT
+     * @returns {boolean} Whether any cell changed
+     */
+    fastForward(exponent) {
+        if (!Number.isInteger(exponent) || exponent < 0 || exponent > HASHLIFE_CONFIG.MAX_JUMP_EXPONENT) {
+            throw new Error(`Jump exponent must be an integer from 0 to ${HASHLIFE_CONFIG.MAX_JUMP_EXPONENT}`);
+        }
+        return this.advance(exponent);
+    }
+
+    advance(exponent) {
+        // Pad the root so nothing can escape the result during 2^exponent generations
+        while (this.root.level < exponent + HASHLIFE_CONFIG.MIN_ROOT_LEVEL || !this.isCentred(this.root)) {
+            this.root = this.expand(this.root);
+        }
+
+        const before = this.centre(this.root);
+        this.root = this.nextGeneration(this.root, exponent);
+        this.generation += 2 ** exponent;
+
+        if (this.nodes.size > HASHLIFE_CONFIG.MAX_NODES) {
+            this.collectGarbage();
+        }
+
+        return this.root !== before;
+    }
+
+    /**
+     * Centre of a node (one level down) advanced by 2^step generations, step <= level - 2
+     */
+    nextGeneration(node, step) {
+        if (node.resultStep === step) return node.result;
+
+        let result;
+        if (node.population === 0) {
+            result = this.emptyTree(node.level - 1);
+        } else if (node.level === 2) {
+            result = this.baseCase(node);
+        } else {
+            result = this.recurse(node, step);
+        }
+
+        node.result = result;
+        node.resultStep = step;
+        return result;
+    }
+
+    /**
+     * Step the centre 2×2 of a 4×4 node by one generation using the rule table
+     */
+    baseCase(node) {
+        const grid = [
+            [node.nw.nw, node.nw.ne, node.ne.nw, node.ne.ne],
+            [node.nw.sw, node.nw.se, node.ne.sw, node.ne.se],
+            [node.sw.nw, node.sw.ne, node.se.nw, node.se.ne],
+            [node.sw.sw, node.sw.se, node.se.sw, node.se.se]
+        ].map(row => row.map(leaf => leaf.population));
+
+        const cellAt = (i, j) => {
+            let count = 0;
+            for (let di = -1; di <= 1; di++) {
+                for (let dj = -1; dj <= 1; dj++) {
+                    if (di !== 0 || dj !== 0) count += grid[i + di][j + dj];
+                }
+            }
+            return this.rule.nextState(grid[i][j] === 1, count) ? this.alive : this.dead;
+        };
+
+        return this.join(cellAt(1, 1), cellAt(1, 2), cellAt(2, 1), cellAt(2, 2));
+    }
+
+    recurse(node, step) {
+        const level = node.level;
+
+        // 4×4 grandchildren, then the nine overlapping sub-squares one level down
+        const g = [
+            [node.nw.nw, node.nw.ne, node.ne.nw, node.ne.ne],
+            [node.nw.sw, node.nw.se, node.ne.sw, node.ne.se],
+            [node.sw.nw, node.sw.ne, node.se.nw, node.se.ne],
+            [node.sw.sw, node.sw.se, node.se.sw, node.se.se]
+        ];
+
+        // At full speed both halves of the time step happen here; otherwise the
+        // first half is skipped and only the centres are taken
+        const fullSpeed = step === level - 2;
+        const r = [];
+        for (let i = 0; i < 3; i++) {
+            r.push([]);
+            for (let j = 0; j < 3; j++) {
+                const square = this.join(g[i][j], g[i][j + 1], g[i + 1][j], g[i + 1][j + 1]);
+                r[i].push(fullSpeed ? this.nextGeneration(square, step - 1) : this.centre(square));
+            }
+        }
+
+        const innerStep = fullSpeed ? step - 1 : step;
+        const quadrant = (i, j) => this.nextGeneration(
+            this.join(r[i][j], r[i][j + 1], r[i + 1][j], r[i + 1][j + 1]),
+            innerStep
+        );
+
+        return this.join(quadrant(0, 0), quadrant(0, 1), quadrant(1, 0), quadrant(1, 1));
+    }
+
+    clearResults() {
+        this.nodes.forEach(node => {
+            node.result = null;
+            node.resultStep = -1;
+        });
+    }
+
+    /**
+     * Rebuild the node table from what the root still references
+     */
+    collectGarbage() {
+        const kept = new Map();
+        const keep = (node) => {
+            if (node.level === 0) return;
+
+            const key = `${node.nw.id},${node.ne.id},${node.sw.id},${node.se.id}`;
+            if (kept.has(key)) return;
+
+            node.result = null;
+            node.resultStep = -1;
+            kept.set(key, node);
+            keep(node.nw);
+            keep(node.ne);
+            keep(node.sw);
+            keep(node.se);
+        };
+
+        keep(this.root);
+        this.emptyTrees.forEach(keep);
+        this.nodes = kept;
+    }
+
+    /**
+     * @returns {Uint8Array} Viewport window of the universe, row-major
+     */
+    exportCells() {
+        return this.exportRegion({ row: 0, col: 0, height: this.rows, width: this.cols });
+    }
+
+    /**
+     * Bounds of the whole population, which may reach far outside the viewport
+     * @returns {Object|null} Smallest {row, col, height, width} holding every live cell, in
+     *          viewport coordinates, or null if there are none
+     */
+    liveBounds() {
+        if (this.root.population === 0) return null;
+
+        // Shared subtrees are measured once: [top, left, bottom, right] relative to the node
+        const measured = new Map();
+        const measure = (node) => {
+            if (node.level === 0) return [0, 0, 0, 0];
+
+            let box = measured.get(node.id);
+            if (box) return box;
+
+            const half = 2 ** (node.level - 1);
+            box = null;
+            [[node.nw, 0, 0], [node.ne, 0, half], [node.sw, half, 0], [node.se, half, half]].forEach(([child, dy, dx]) => {
+                if (child.population === 0) return;
+                const [top, left, bottom, right] = measure(child);
+                box = box
+                    ? [Math.min(box[0], top + dy), Math.min(box[1], left + dx), Math.max(box[2], bottom + dy), Math.max(box[3], right + dx)]
+                    : [top + dy, left + dx, bottom + dy, right + dx];
+            });
+            measured.set(node.id, box);
+            return box;
+        };
+
+        const [top, left, bottom, right] = measure(this.root);
+        const half = this.rootHalf();
+        return {
+            row: top - half - this.originRow,
+            col: left - half - this.originCol,
+            height: bottom - top + 1,
+            width: right - left + 1
+        };
+    }
+
+    /**
+     * @param {Object} box - {row, col, height, width} in viewport coordinates, anywhere on the plane
+     * @returns {Uint8Array} Cell states in the box, row-major
+     */
+    exportRegion(box) {
+        const cells = new Uint8Array(box.height * box.width);
+        const half = this.rootHalf();
+
+        const fill = (node, top, left) => {
+            if (node.population === 0) return;
+
+            const size = 2 ** node.level;
+            const row = top - this.originRow - box.row;
+            const col = left - this.originCol - box.col;
+            if (row >= box.height || col >= box.width || row + size <= 0 || col + size <= 0) return;
+
+            if (node.level === 0) {
+                cells[row * box.width + col] = 1;
+                return;
+            }
+
+            const childSize = size / 2;
+            fill(node.nw, top, left);
+            fill(node.ne, top, left + childSize);
+            fill(node.sw, top + childSize, left);
+            fill(node.se, top + childSize, left + childSize);
+        };
+
+        fill(this.root, -half, -half);
+        return cells;
+    }
+
+    /**
+     * Replace the viewport window with row-major cells of the current dimensions
+     * @param {Uint8Array} cells - Viewport cells
+     */
+    importCells(cells) {
+        for (let i = 0; i < this.rows; i++) {
+            for (let j = 0; j < this.cols; j++) {
+                const state = cells[i * this.cols + j];
+                if (state || this.getCell(i, j)) {
+                    this.setCell(i, j, state);
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,971 @@
+/**
+ * Game of Life Stepping Engine
+ * DOM-free simulation shared by the Web Worker and the main-thread fallback
+ */
+
+// Engine Configuration Constants
+const ENGINE_CONFIG = {
+    // Playing steps on a timer. Once the interval between generations is shorter
+    // than a timer can wait, each tick computes every generation that has fallen due.
+    // An interval of 0 means as fast as possible.
+    SCHEDULER: {
+        TICK_BUDGET: 10, // Most milliseconds computed per tick before yielding to messages
+        MAX_BACKLOG: 50  // Generations due longer ago than this many milliseconds are skipped, not caught up
+    },
+
+    // Message types exchanged between ConwayGameOfLife and the engine
+    MESSAGES: {
+        INIT: 'init',
+        STEP: 'step',
+        RUN_TO: 'runTo',
+        STOP_RUN: 'stopRun',
+        SET_CELLS: 'setCells',
+        CLEAR: 'clear',
+        RESIZE: 'resize',
+        SET_RULE: 'setRule',
+        SET_SPEED: 'setSpeed',
+        SET_TOPOLOGY: 'setTopology',
+        SET_GENERATION: 'setGeneration',
+        FAST_FORWARD: 'fastForward',
+        STEP_BACK: 'stepBack',
+        EXPORT: 'export',   // Ask for the whole board, answered with BOARD
+        BOARD: 'board',
+        PLAY: 'play',
+        PAUSE: 'pause',
+        FRAME: 'frame',
+        FRAME_ACK: 'frameAck',
+        RUN_PROGRESS: 'runProgress',
+        ERROR: 'error'
+    },
+
+    // Runs to a target generation compute in slices, skipping frames, so that
+    // messages such as STOP_RUN get through in between
+    RUN: {
+        SLICE_MS: 50 // Longest stretch computed before yielding
+    },
+
+    // Seeds for the two independent board hashes used to detect cycles
+    HASH_SEEDS: {
+        A: 0x2545F491,
+        B: 0x6A09E667
+    },
+
+    // Generations kept for stepping backwards, as per-step diffs
+    HISTORY: {
+        MAX_GENERATIONS: 1000,
+        MAX_CELLS: 2000000 // Changed cells kept across all stored generations
+    },
+
+    // How the board's edges join up. Every topology but UNBOUNDED runs on the
+    // fixed-size LifeEngine; UNBOUNDED runs on HashLifeEngine.
+    TOPOLOGIES: {
+        TORUS: 'torus',             // Opposite edges wrap
+        DEAD: 'dead',               // Cells beyond the edge are always dead
+        REFLECT: 'reflect',         // Cells beyond the edge mirror the edge row/column
+        KLEIN: 'klein',             // Left/right wrap, top/bottom wrap mirrored
+        PROJECTIVE: 'projective',   // Both pairs of edges wrap mirrored
+        UNBOUNDED: 'unbounded'      // Infinite plane
+    }
+};
+
+class LifeEngine {
+    /**
+     * @param {number} rows - Board height in cells
+     * @param {number} cols - Board width in cells
+     * @param {LifeRule} rule - Birth/survival rule
+     * @param {string} [topology='torus'] - Any ENGINE_CONFIG.TOPOLOGIES value except UNBOUNDED
+     */
+    constructor(rows, cols, rule, topology = ENGINE_CONFIG.TOPOLOGIES.TORUS) {
+        this.rule = rule;
+        this.generation = 0;
+        this.setTopology(topology);
+        this.resize(rows, cols);
+    }
+
+    /**
+     * Rebuild the grid buffers, keeping the overlapping part of the board.
+     * Grids are flat Uint8Arrays with a one-cell border of ghost cells on every
+     * side, so neighbour lookups never need bounds checks or modulo.
+     */
+    resize(rows, cols) {
+        const oldGrid = this.grid;
+        const oldRows = this.rows;
+        const oldCols = this.cols;
+
+        this.rows = rows;
+        this.cols = cols;
+        this.stride = cols + 2; // Row length including the two border cells
+
+        const size = (rows + 2) * this.stride;
+        this.grid = new Uint8Array(size);
+        this.nextGrid = new Uint8Array(size);
+
+        // Cells changed by the last step() and their previous states, see takeChanges()
+        this.changedIndices = new Int32Array(rows * cols);
+        this.changedStates = new Uint8Array(rows * cols);
+        this.changeCount = 0;
+        this.births = 0; // Cells the last step() brought to life
+        this.deaths = 0; // Live cells the last step() killed or set dying
+        this.summary = null; // Cached boardSummary(); null when it must be recounted
+
+        if (oldGrid) {
+            const oldStride = oldCols + 2;
+            const minRows = Math.min(rows, oldRows);
+            const minCols = Math.min(cols, oldCols);
+
+            // Copy row by row: the interior of each padded row is contiguous
+            for (let i = 0; i < minRows; i++) {
+                const from = (i + 1) * oldStride + 1;
+                this.grid.set(oldGrid.subarray(from, from + minCols), this.cellIndex(i, 0));
+            }
+        }
+    }
+
+    /**
+     * @returns {number} Index of a board cell in the padded grid buffers
+     */
+    cellIndex(row, col) {
+        return (row + 1) * this.stride + col + 1;
+    }
+
+    getCell(row, col) {
+        return this.grid[this.cellIndex(row, col)];
+    }
+
+    /**
+     * @param {number} state - 0 dead, 1 alive, 2 and up dying (Generations rules); states
+     *                         the rule doesn't have count as alive
+     */
+    setCell(row, col, state) {
+        if (row >= 0 && row < this.rows && col >= 0 && col < this.cols) {
+            this.grid[this.cellIndex(row, col)] = state < this.rule.states ? Number(state) : 1;
+            this.summary = null;
+        }
+    }
+
+    /**
+     * Apply a batch of edits
+     * @param {Int32Array|number[]} cells - Flat (row, col, state) triples
+     */
+    setCells(cells) {
+        for (let k = 0; k + 2 < cells.length; k += 3) {
+            this.setCell(cells[k], cells[k + 1], cells[k + 2]);
+        }
+    }
+
+    clear() {
+        this.grid.fill(0);
+        this.summary = null;
+    }
+
+    /**
+     * @returns {boolean} Whether dying cells had to be cleared because the new rule has fewer states
+     */
+    setRule(rule) {
+        const cleared = rule.states < this.rule.states && this.grid.some(state => state >= rule.states);
+        if (cleared) {
+            this.grid.forEach((state, idx) => {
+                if (state >= rule.states) this.grid[idx] = 0;
+            });
+            this.summary = null;
+        }
+        this.rule = rule;
+        return cleared;
+    }
+
+    setTopology(topology) {
+        const topologies = ENGINE_CONFIG.TOPOLOGIES;
+        if (topology === topologies.UNBOUNDED || !Object.values(topologies).includes(topology)) {
+            throw new Error(`LifeEngine cannot run a "${topology}" board`);
+        }
+        this.topology = topology;
+    }
+
+    /**
+     * Fill the ghost border so the edge cells see the neighbours their topology
+     * gives them. Top and bottom ghost rows are filled first (interior columns
+     * only), then the left and right ghost columns for every row including the
+     * ghost rows, which fills the corners consistently.
+     */
+    fillBorders() {
+        const grid = this.grid;
+        const stride = this.stride;
+        const rows = this.rows;
+        const cols = this.cols;
+        const topologies = ENGINE_CONFIG.TOPOLOGIES;
+        const bottomGhost = (rows + 1) * stride;
+
+        switch (this.topology) {
+            case topologies.DEAD:
+                grid.fill(0, 0, stride);
+                grid.fill(0, bottomGhost, bottomGhost + stride);
+                for (let i = 1; i <= rows; i++) {
+                    grid[i * stride] = 0;
+                    grid[i * stride + cols + 1] = 0;
+                }
+                return;
+
+            case topologies.REFLECT:
+                // Top ghost row <- first row, bottom ghost row <- last row
+                grid.copyWithin(1, stride + 1, stride + 1 + cols);
+                grid.copyWithin(bottomGhost + 1, rows * stride + 1, rows * stride + 1 + cols);
+                for (let i = 0; i < rows + 2; i++) {
+                    const rowStart = i * stride;
+                    grid[rowStart] = grid[rowStart + 1];
+                    grid[rowStart + cols + 1] = grid[rowStart + cols];
+                }
+                return;
+
+            case topologies.KLEIN:
+            case topologies.PROJECTIVE:
+                // Crossing the top or bottom edge mirrors the column
+                for (let j = 1; j <= cols; j++) {
+                    const mirrored = cols + 1 - j;
+                    grid[j] = grid[rows * stride + mirrored];
+                    grid[bottomGhost + j] = grid[stride + mirrored];
+                }
+                break;
+
+            default:
+                // Top ghost row <- last row, bottom ghost row <- first row
+                grid.copyWithin(1, rows * stride + 1, rows * stride + 1 + cols);
+                grid.copyWithin(bottomGhost + 1, stride + 1, stride + 1 + cols);
+        }
+
+        if (this.topology === topologies.PROJECTIVE) {
+            // Crossing the left or right edge mirrors the row as well
+            for (let i = 0; i < rows + 2; i++) {
+                const rowStart = i * stride;
+                const mirrored = (rows + 1 - i) * stride;
+                grid[rowStart] = grid[mirrored + cols];
+                grid[rowStart + cols + 1] = grid[mirrored + 1];
+            }
+            return;
+        }
+
+        // Left and right ghost columns wrap straight across, including the corners
+        for (let i = 0; i < rows + 2; i++) {
+            const rowStart = i * stride;
+            grid[rowStart] = grid[rowStart + cols];
+            grid[rowStart + cols + 1] = grid[rowStart + 1];
+        }
+    }
+
+    /**
+     * Advance one generation
+     * @returns {boolean} Whether any cell changed
+     */
+    step() {
+        this.fillBorders();
+
+        if (this.rule.states === 2) {
+            this.stepLifeLike();
+        } else {
+            this.stepGenerations();
+        }
+
+        // Swap grids (much faster than copying)
+        [this.grid, this.nextGrid] = [this.nextGrid, this.grid];
+        this.generation++;
+        if (this.summary) {
+            this.updateSummary();
+        }
+
+        return this.changeCount !== 0;
+    }
+
+    /**
+     * Two-state rules: every non-zero cell is alive, so plain sums count neighbours
+     */
+    stepLifeLike() {
+        const grid = this.grid;
+        const next = this.nextGrid;
+        const stride = this.stride;
+        const table = this.rule.table;
+        const aliveOffset = RULE_CONFIG.MAX_NEIGHBORS + 1;
+        const changedIndices = this.changedIndices;
+        const changedStates = this.changedStates;
+        let changed = 0;
+        let births = 0;
+
+        for (let i = 1; i <= this.rows; i++) {
+            const rowStart = i * stride;
+
+            // Sliding window of vertical three-cell sums: left, centre, right column
+            let left = grid[rowStart - stride] + grid[rowStart] + grid[rowStart + stride];
+            let centre = grid[rowStart - stride + 1] + grid[rowStart + 1] + grid[rowStart + stride + 1];
+
+            for (let idx = rowStart + 1, end = rowStart + this.cols; idx <= end; idx++) {
+                const right = grid[idx - stride + 1] + grid[idx + 1] + grid[idx + stride + 1];
+                const cell = grid[idx];
+
+                // Neighbours are the 3x3 block minus the cell itself
+                const newState = table[cell * aliveOffset + left + centre + right - cell];
+                next[idx] = newState;
+                if (newState !== cell) {
+                    changedIndices[changed] = idx;
+                    changedStates[changed] = cell;
+                    changed++;
+                    if (cell === 0) births++;
+                }
+
+                left = centre;
+                centre = right;
+            }
+        }
+
+        this.changeCount = changed;
+        this.births = births;
+        this.deaths = changed - births;
+    }
+
+    /**
+     * Generations rules: only state 1 counts as a neighbour, and dying
+     * states (2 and up) just age towards 0 whatever their neighbours
+     */
+    stepGenerations() {
+        const grid = this.grid;
+        const next = this.nextGrid;
+        const stride = this.stride;
+        const table = this.rule.table;
+        const stateOffset = RULE_CONFIG.MAX_NEIGHBORS + 1;
+        const changedIndices = this.changedIndices;
+        const changedStates = this.changedStates;
+        let changed = 0;
+        let births = 0;
+        let deaths = 0;
+
+        for (let i = 1; i <= this.rows; i++) {
+            const rowStart = i * stride;
+
+            // Same sliding window as stepLifeLike(), counting only live (state 1) cells
+            let left = (grid[rowStart - stride] === 1) + (grid[rowStart] === 1) + (grid[rowStart + stride] === 1);
+            let centre = (grid[rowStart - stride + 1] === 1) + (grid[rowStart + 1] === 1) + (grid[rowStart + stride + 1] === 1);
+
+            for (let idx = rowStart + 1, end = rowStart + this.cols; idx <= end; idx++) {
+                const right = (grid[idx - stride + 1] === 1) + (grid[idx + 1] === 1) + (grid[idx + stride + 1] === 1);
+                const cell = grid[idx];
+
+                const newState = table[cell * stateOffset + left + centre + right - (cell === 1)];
+                next[idx] = newState;
+                if (newState !== cell) {
+                    changedIndices[changed] = idx;
+                    changedStates[changed] = cell;
+                    changed++;
+                    if (cell === 0) {
+                        births++;
+                    } else if (cell === 1) {
+                        deaths++;
+                    }
+                }
+
+                left = centre;
+                centre = right;
+            }
+        }
+
+        this.changeCount = changed;
+        this.births = births;
+        this.deaths = deaths;
+    }
+
+    /**
+     * @returns {{indices: Int32Array, states: Uint8Array}} Grid indices the last step changed and
+     *          their states before it; writing the states back undoes the step
+     */
+    takeChanges() {
+        return {
+            indices: this.changedIndices.slice(0, this.changeCount),
+            states: this.changedStates.slice(0, this.changeCount)
+        };
+    }
+
+    /**
+     * Undo one step recorded by takeChanges()
+     */
+    revert(changes) {
+        const { indices, states } = changes;
+        for (let k = 0; k < indices.length; k++) {
+            this.grid[indices[k]] = states[k];
+        }
+        this.generation--;
+        this.summary = null;
+    }
+
+    /**
+     * Population (live cells, not dying ones), occupied cells (live or dying) and a hash
+     * of the board (Zobrist-style: the XOR of a key per non-dead cell), kept up to date
+     * incrementally while only step() changes it.
+     * @returns {{population: number, occupied: number, hashA: number, hashB: number}} Shared object; copy what you keep
+     */
+    boardSummary() {
+        if (!this.summary) {
+            const { A, B } = ENGINE_CONFIG.HASH_SEEDS;
+            const cellKey = LifeEngine.cellKey;
+            let population = 0;
+            let occupied = 0;
+            let hashA = 0;
+            let hashB = 0;
+
+            for (let i = 0; i < this.rows; i++) {
+                for (let idx = this.cellIndex(i, 0), end = idx + this.cols; idx < end; idx++) {
+                    const state = this.grid[idx];
+                    if (state) {
+                        if (state === 1) population++;
+                        occupied++;
+                        hashA ^= cellKey(idx, state, A);
+                        hashB ^= cellKey(idx, state, B);
+                    }
+                }
+            }
+            this.summary = { population, occupied, hashA, hashB };
+        }
+        return this.summary;
+    }
+
+    /**
+     * Fold the last step's changes into the cached summary
+     */
+    updateSummary() {
+        const { A, B } = ENGINE_CONFIG.HASH_SEEDS;
+        const cellKey = LifeEngine.cellKey;
+        const summary = this.summary;
+        let { hashA, hashB, occupied } = summary;
+
+        for (let k = 0; k < this.changeCount; k++) {
+            const idx = this.changedIndices[k];
+            const before = this.changedStates[k];
+            const after = this.grid[idx];
+            hashA ^= cellKey(idx, before, A) ^ cellKey(idx, after, A);
+            hashB ^= cellKey(idx, before, B) ^ cellKey(idx, after, B);
+            occupied += (after !== 0) - (before !== 0);
+        }
+
+        summary.hashA = hashA;
+        summary.hashB = hashB;
+        summary.occupied = occupied;
+        summary.population += this.births - this.deaths;
+    }
+
+    /**
+     * Pseudo-random 32-bit key for a cell in a given state; dead cells hash to 0
+     * @param {number} index - Padded grid index
+     * @param {number} state - Cell state
+     * @param {number} seed - One of ENGINE_CONFIG.HASH_SEEDS
+     */
+    static cellKey(index, state, seed) {
+        if (state === 0) return 0;
+
+        // Integer finaliser from MurmurHash3
+        let x = Math.imul(index, 0x9E3779B1) ^ Math.imul(state, 0x85EBCA77) ^ seed;
+        x = Math.imul(x ^ (x >>> 16), 0x7FEB352D);
+        x = Math.imul(x ^ (x >>> 15), 0x846CA68B);
+        return x ^ (x >>> 16);
+    }
+
+    /**
+     * @returns {Object|null} Smallest {row, col, height, width} holding every live cell, or null if there are none
+     */
+    liveBounds() {
+        let top = this.rows;
+        let bottom = -1;
+        let left = this.cols;
+        let right = -1;
+
+        for (let i = 0; i < this.rows; i++) {
+            const rowStart = this.cellIndex(i, 0);
+            for (let j = 0; j < this.cols; j++) {
+                if (this.grid[rowStart + j]) {
+                    top = Math.min(top, i);
+                    bottom = i;
+                    left = Math.min(left, j);
+                    right = Math.max(right, j);
+                }
+            }
+        }
+
+        if (bottom < 0) return null;
+        return { row: top, col: left, height: bottom - top + 1, width: right - left + 1 };
+    }
+
+    /**
+     * @param {Object} box - {row, col, height, width} inside the board
+     * @returns {Uint8Array} Cell states in the box, row-major
+     */
+    exportRegion(box) {
+        const cells = new Uint8Array(box.height * box.width);
+        for (let i = 0; i < box.height; i++) {
+            const from = this.cellIndex(box.row + i, box.col);
+            cells.set(this.grid.subarray(from, from + box.width), i * box.width);
+        }
+        return cells;
+    }
+
+    /**
+     * @returns {Uint8Array} Copy of the board without the ghost border, row-major
+     */
+    exportCells() {
+        const cells = new Uint8Array(this.rows * this.cols);
+        for (let i = 0; i < this.rows; i++) {
+            const from = this.cellIndex(i, 0);
+            cells.set(this.grid.subarray(from, from + this.cols), i * this.cols);
+        }
+        return cells;
+    }
+
+    /**
+     * Replace the board with row-major cells of the current dimensions
+     * @param {Uint8Array} cells - Board without the ghost border
+     */
+    importCells(cells) {
+        for (let i = 0; i < this.rows; i++) {
+            this.grid.set(cells.subarray(i * this.cols, (i + 1) * this.cols), this.cellIndex(i, 0));
+        }
+        this.summary = null;
+    }
+}
+
+/**
+ * Bounded stack of per-generation diffs from LifeEngine.takeChanges(),
+ * oldest dropped first once either limit in ENGINE_CONFIG.HISTORY is reached
+ */
+class GenerationHistory {
+    constructor() {
+        this.entries = [];
+        this.cellCount = 0;
+    }
+
+    get length() {
+        return this.entries.length;
+    }
+
+    push(changes) {
+        this.entries.push(changes);
+        this.cellCount += changes.indices.length;
+
+        const limits = ENGINE_CONFIG.HISTORY;
+        while (this.entries.length > limits.MAX_GENERATIONS ||
+               (this.entries.length > 1 && this.cellCount > limits.MAX_CELLS)) {
+            this.cellCount -= this.entries.shift().indices.length;
+        }
+    }
+
+    pop() {
+        const changes = this.entries.pop();
+        if (changes) {
+            this.cellCount -= changes.indices.length;
+        }
+        return changes || null;
+    }
+
+    clear() {
+        this.entries = [];
+        this.cellCount = 0;
+    }
+}
+
+/**
+ * Runs a LifeEngine or HashLifeEngine on a timer and reports frames through a callback.
+ * Commands mirror the worker message types, so the same object backs both
+ * life-worker.js and the synchronous main-thread fallback.
+ */
+class LifeSimulation {
+    /**
+     * @param {Function} onFrame - Called with frames and run progress messages; call frameAck() once a frame is consumed
+     */
+    constructor(onFrame) {
+        this.onFrame = onFrame;
+        this.engine = null;
+        this.topology = ENGINE_CONFIG.TOPOLOGIES.TORUS;
+        this.isPlaying = false;
+        this.interval = 100;
+        this.timer = null;
+        this.lastStepTime = 0; // When the latest generation was due
+
+        // Generation a STEP or RUN_TO is heading for, null when no run is going
+        this.runTarget = null;
+        this.runTimer = null;
+
+        // Back-pressure: only one frame is in flight until the renderer acknowledges it
+        this.awaitingAck = false;
+        this.frameDirty = false;
+
+        // Highest edit sequence number applied, echoed so stale frames can be dropped
+        this.editSeq = 0;
+
+        // Recent generations for stepping back; edits make them unreachable, so they clear it
+        this.history = new GenerationHistory();
+
+        // Generations stepped since the last frame, with their births and deaths when the engine counts them
+        this.stepCounts = { steps: 0, births: 0, deaths: 0 };
+
+        // Notices when the board stops changing or starts repeating; edits reset it
+        this.cycles = new CycleDetector();
+    }
+
+    /**
+     * Dispatch a command message
+     * @param {Object} message - { type, ...payload } as listed in ENGINE_CONFIG.MESSAGES
+     */
+    handleMessage(message) {
+        const types = ENGINE_CONFIG.MESSAGES;
+
+        switch (message.type) {
+            case types.INIT:
+                this.stopRun();
+                this.topology = message.topology || ENGINE_CONFIG.TOPOLOGIES.TORUS;
+                this.engine = this.createEngine(message.rows, message.cols, LifeRule.parse(message.rule));
+                if (message.cells) {
+                    this.engine.importCells(message.cells);
+                }
+                this.engine.generation = message.generation || 0;
+                this.interval = message.interval;
+                this.editSeq = message.editSeq || 0;
+                this.history.clear();
+                this.cycles.reset();
+                this.setPlaying(message.playing);
+                this.queueFrame();
+                break;
+            case types.STEP:
+                this.startRun(this.engine.generation + (message.count || 1));
+                break;
+            case types.RUN_TO:
+                this.startRun(message.generation);
+                break;
+            case types.STOP_RUN:
+                if (this.stopRun()) {
+                    this.queueFrame();
+                }
+                break;
+            case types.STEP_BACK:
+                this.stopRun();
+                this.stepBack(message.count);
+                break;
+            case types.SET_CELLS:
+                this.engine.setCells(message.cells);
+                this.editSeq = message.editSeq;
+                this.history.clear();
+                this.cycles.reset();
+                this.queueFrame();
+                break;
+            case types.CLEAR:
+                this.engine.clear();
+                this.editSeq = message.editSeq;
+                this.history.clear();
+                this.cycles.reset();
+                this.queueFrame();
+                break;
+            case types.RESIZE:
+                this.engine.resize(message.rows, message.cols);
+                this.history.clear();
+                this.cycles.reset();
+                this.queueFrame();
+                break;
+            case types.SET_RULE:
+                if (this.engine.setRule(LifeRule.parse(message.rule))) {
+                    this.history.clear();
+                    this.queueFrame();
+                }
+                this.cycles.reset();
+                break;
+            case types.SET_TOPOLOGY:
+                this.setTopology(message.topology);
+                break;
+            case types.SET_GENERATION:
+                this.stopRun();
+                this.engine.generation = message.generation;
+                this.history.clear();
+                this.cycles.reset();
+                this.queueFrame();
+                break;
+            case types.EXPORT:
+                this.sendBoard(message.requestId, message.maxCells);
+                break;
+            case types.FAST_FORWARD:
+                if (!this.engine.fastForward) {
+                    throw new Error('Only the unbounded topology can jump ahead');
+                }
+                this.stopRun();
+                this.jump(message.exponent);
+                this.queueFrame();
+                break;
+            case types.SET_SPEED:
+                this.interval = Math.max(0, message.interval);
+                this.schedule();
+                break;
+            case types.PLAY:
+                // A still board sends no frames while playing, so end the run with one
+                if (this.stopRun()) {
+                    this.queueFrame();
+                }
+                this.setPlaying(true);
+                break;
+            case types.PAUSE:
+                if (this.stopRun()) {
+                    this.queueFrame();
+                }
+                this.setPlaying(false);
+                break;
+            case types.FRAME_ACK:
+                this.frameAck();
+                break;
+            default:
+                throw new Error(`Unknown engine message "${message.type}"`);
+        }
+    }
+
+    createEngine(rows, cols, rule) {
+        return this.topology === ENGINE_CONFIG.TOPOLOGIES.UNBOUNDED
+            ? new HashLifeEngine(rows, cols, rule)
+            : new LifeEngine(rows, cols, rule, this.topology);
+    }
+
+    /**
+     * Change how the edges join up. Bounded topologies share a LifeEngine;
+     * moving to or from the unbounded plane swaps engines, carrying over the
+     * visible board and the generation count.
+     * @param {string} topology - One of ENGINE_CONFIG.TOPOLOGIES
+     */
+    setTopology(topology) {
+        if (topology === this.topology) return;
+        if (!Object.values(ENGINE_CONFIG.TOPOLOGIES).includes(topology)) {
+            throw new Error(`Unknown topology "${topology}"`);
+        }
+
+        const unbounded = ENGINE_CONFIG.TOPOLOGIES.UNBOUNDED;
+        const previous = this.engine;
+        this.topology = topology;
+        this.cycles.reset();
+
+        if (topology !== unbounded && previous instanceof LifeEngine) {
+            previous.setTopology(topology);
+            return;
+        }
+        this.history.clear();
+
+        this.engine = this.createEngine(previous.rows, previous.cols, previous.rule);
+        this.engine.importCells(previous.exportCells());
+        this.engine.generation = previous.generation;
+        this.queueFrame();
+    }
+
+    setPlaying(playing) {
+        this.isPlaying = Boolean(playing);
+        this.schedule();
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.isPlaying) return;
+
+        const wait = Math.max(0, this.lastStepTime + this.interval - Date.now());
+        this.timer = setTimeout(() => this.tick(), wait);
+    }
+
+    /**
+     * Advance one generation, remembering how to undo it when the engine supports that
+     * @returns {boolean} Whether any cell changed
+     */
+    step() {
+        const changed = this.engine.step();
+        if (this.engine.takeChanges) {
+            this.history.push(this.engine.takeChanges());
+        }
+        this.countSteps(1);
+        this.cycles.push(this.engine.boardSummary(), this.engine.generation);
+        return changed;
+    }
+
+    /**
+     * Advance the unbounded plane by 2^exponent generations at once
+     * @param {number} exponent - Power of two, see HashLifeEngine.fastForward()
+     */
+    jump(exponent) {
+        this.engine.fastForward(exponent);
+        this.countSteps(2 ** exponent);
+        this.history.clear();
+        this.cycles.reset();
+    }
+
+    /**
+     * Pause and compute up to a generation, sending a frame only once it is reached
+     * or the run is stopped. Replaces any run already going.
+     * @param {number} target - Generation to stop at
+     */
+    startRun(target) {
+        if (!Number.isSafeInteger(target)) {
+            throw new Error(`Cannot run to generation "${target}"`);
+        }
+
+        this.stopRun();
+        this.setPlaying(false);
+        this.runTarget = target;
+        this.runSlice();
+    }
+
+    runSlice() {
+        this.runTimer = null;
+        const deadline = Date.now() + ENGINE_CONFIG.RUN.SLICE_MS;
+
+        while (this.engine.generation < this.runTarget && Date.now() < deadline) {
+            const remaining = this.runTarget - this.engine.generation;
+
+            // HashLife covers a power of two in one go, however many generations that is
+            if (this.engine.fastForward && remaining > 1) {
+                this.jump(Math.min(Math.floor(Math.log2(remaining)), HASHLIFE_CONFIG.MAX_JUMP_EXPONENT));
+            } else {
+                this.step();
+            }
+        }
+
+        if (this.engine.generation < this.runTarget) {
+            this.onFrame({
+                type: ENGINE_CONFIG.MESSAGES.RUN_PROGRESS,
+                generation: this.engine.generation,
+                target: this.runTarget
+            });
+            this.runTimer = setTimeout(() => this.runSlice(), 0);
+            return;
+        }
+
+        this.stopRun();
+        this.queueFrame();
+    }
+
+    /**
+     * @returns {boolean} Whether a run was going; its board still needs a frame
+     */
+    stopRun() {
+        if (this.runTarget === null) return false;
+
+        clearTimeout(this.runTimer);
+        this.runTimer = null;
+        this.runTarget = null;
+        return true;
+    }
+
+    /**
+     * Add generations to the counts sent with the next frame. Births and deaths
+     * become null once a step the engine didn't count is included.
+     * @param {number} steps - Generations just advanced
+     */
+    countSteps(steps) {
+        const counts = this.stepCounts;
+        counts.steps += steps;
+
+        if (steps === 1 && counts.births !== null && this.engine.births !== undefined) {
+            counts.births += this.engine.births;
+            counts.deaths += this.engine.deaths;
+        } else {
+            counts.births = null;
+            counts.deaths = null;
+        }
+    }
+
+    /**
+     * Return to an earlier generation, as far back as the history reaches
+     * @param {number} count - Generations to go back
+     */
+    stepBack(count) {
+        if (!this.engine.revert) {
+            throw new Error('Only bounded boards can step back');
+        }
+
+        for (let k = 0; k < count; k++) {
+            const changes = this.history.pop();
+            if (!changes) break;
+            this.engine.revert(changes);
+        }
+        this.cycles.reset();
+        this.queueFrame();
+    }
+
+    tick() {
+        const scheduler = ENGINE_CONFIG.SCHEDULER;
+        const start = Date.now();
+        const deadline = start + scheduler.TICK_BUDGET;
+        const cycle = this.cycles.status;
+        let changed = false;
+
+        // After a pause, a stall or a hidden tab, carry on from now rather than racing to catch up
+        this.lastStepTime = Math.max(this.lastStepTime, start - Math.max(this.interval, scheduler.MAX_BACKLOG));
+
+        // Frames are only sent once the renderer is ready, so these generations are never drawn one by one
+        do {
+            changed = this.step() || changed;
+            this.lastStepTime += this.interval;
+        } while (this.lastStepTime + this.interval <= Date.now() && Date.now() < deadline);
+
+        // A board that stopped changing still needs one frame to say so
+        if (changed || this.cycles.status !== cycle) {
+            this.queueFrame();
+        }
+        this.schedule();
+    }
+
+    queueFrame() {
+        if (this.awaitingAck) {
+            this.frameDirty = true;
+            return;
+        }
+        this.sendFrame();
+    }
+
+    frameAck() {
+        this.awaitingAck = false;
+        if (this.frameDirty) {
+            this.sendFrame();
+        }
+    }
+
+    sendFrame() {
+        this.awaitingAck = true;
+        this.frameDirty = false;
+
+        const counts = this.stepCounts;
+        this.stepCounts = { steps: 0, births: 0, deaths: 0 };
+
+        this.onFrame({
+            type: ENGINE_CONFIG.MESSAGES.FRAME,
+            rows: this.engine.rows,
+            cols: this.engine.cols,
+            generation: this.engine.generation,
+            editSeq: this.editSeq,
+            history: this.history.length,
+            population: this.engine.boardSummary().population,
+            steps: counts.steps,
+            births: counts.births,
+            deaths: counts.deaths,
+            cycle: this.cycles.status,
+            runTarget: this.runTarget,
+            cells: this.engine.exportCells()
+        });
+    }
+
+    /**
+     * Report every live cell, including those the unbounded plane has carried out of
+     * the viewport. Edits sent before the request are already applied.
+     * @param {number} requestId - Echoed so the caller can match the answer
+     * @param {number} maxCells - Largest bounding box to send cells for; bigger boards only get their bounds
+     */
+    sendBoard(requestId, maxCells) {
+        const bounds = this.engine.liveBounds();
+        const fits = bounds !== null && bounds.height * bounds.width <= maxCells;
+
+        this.onFrame({
+            type: ENGINE_CONFIG.MESSAGES.BOARD,
+            requestId,
+            generation: this.engine.generation,
+            bounds,
+            cells: fits ? this.engine.exportRegion(bounds) : null
+        });
+    }
+
+    destroy() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.isPlaying = false;
+        this.stopRun();
+    }
+}
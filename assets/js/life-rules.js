@@ -0,0 +1,179 @@
+/**
+ * Life-like Rule Parsing
+ * Parses and formats outer-totalistic rulestrings in B/S notation, plus the
+ * multi-state Generations family in B/S/C notation
+ */
+
+// Rule Configuration Constants
+const RULE_CONFIG = {
+    // Neighbour counts range from 0 to 8 in the Moore neighbourhood
+    MAX_NEIGHBORS: 8,
+
+    // Generations rules have 0 (dead), 1 (alive) and dying states 2..states-1
+    MIN_STATES: 2,
+    MAX_STATES: 256, // Cells are stored in Uint8Arrays
+
+    // Well-known life-like rules offered in the rule selector
+    PRESETS: [
+        { name: "Conway's Life", rule: 'B3/S23' },
+        { name: 'HighLife', rule: 'B36/S23' },
+        { name: 'Day & Night', rule: 'B3678/S34678' },
+        { name: 'Seeds', rule: 'B2/S' },
+        { name: 'Life without Death', rule: 'B3/S012345678' },
+        { name: '2x2', rule: 'B36/S125' },
+        { name: 'Diamoeba', rule: 'B35678/S5678' },
+        { name: 'Morley', rule: 'B368/S245' },
+        { name: 'Replicator', rule: 'B1357/S1357' },
+        { name: "Brian's Brain", rule: 'B2/S/C3' },
+        { name: 'Star Wars', rule: 'B2/S345/C4' },
+        { name: 'Frogs', rule: 'B34/S12/C3' }
+    ]
+};
+
+class RuleParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RuleParseError';
+    }
+}
+
+class LifeRule {
+    /**
+     * @param {number[]} birth - Neighbour counts that bring a dead cell to life
+     * @param {number[]} survival - Neighbour counts that keep a live cell alive
+     * @param {number} [states=2] - Cell states; above 2, live cells that don't survive
+     *                              spend states 2..states-1 dying before they die
+     */
+    constructor(birth, survival, states = RULE_CONFIG.MIN_STATES) {
+        this.birth = [...new Set(birth)].sort((a, b) => a - b);
+        this.survival = [...new Set(survival)].sort((a, b) => a - b);
+        this.states = states;
+
+        // Lookup table indexed by (state * 9 + live neighbours) for the stepping loop
+        const stride = RULE_CONFIG.MAX_NEIGHBORS + 1;
+        const dying = states > 2 ? 2 : 0;
+        this.table = new Uint8Array(stride * states);
+        for (let count = 0; count < stride; count++) {
+            this.table[stride + count] = dying;
+            for (let state = 2; state < states; state++) {
+                this.table[state * stride + count] = (state + 1) % states;
+            }
+        }
+        this.birth.forEach(count => { this.table[count] = 1; });
+        this.survival.forEach(count => { this.table[stride + count] = 1; });
+    }
+
+    /**
+     * Parse a rulestring such as "B3/S23", "b36/s23" or the S/B form "23/3", or a
+     * Generations rule such as "B2/S/C3" or the S/B/C form "345/2/4"
+     * @param {string} rulestring - Rule in B/S, S/B, B/S/C or S/B/C notation
+     * @returns {LifeRule} Parsed rule
+     * @throws {RuleParseError} If the rulestring is malformed
+     */
+    static parse(rulestring) {
+        if (typeof rulestring !== 'string') {
+            throw new RuleParseError('Rule must be a string such as "B3/S23"');
+        }
+
+        const text = rulestring.trim();
+        if (text === '') {
+            throw new RuleParseError('Rule is empty; expected something like "B3/S23"');
+        }
+
+        const parts = text.split('/');
+        if (parts.length !== 2 && parts.length !== 3) {
+            throw new RuleParseError(`"${text}" must have one "/" separating birth and survival, and optionally a second before the state count`);
+        }
+
+        let birthPart;
+        let survivalPart;
+
+        const [first, second, third] = parts.map(part => part.trim());
+        if (/^b/i.test(first) && /^s/i.test(second)) {
+            birthPart = first.slice(1);
+            survivalPart = second.slice(1);
+        } else if (/^s/i.test(first) && /^b/i.test(second)) {
+            survivalPart = first.slice(1);
+            birthPart = second.slice(1);
+        } else if (/^\d*$/.test(first) && /^\d*$/.test(second)) {
+            // Classic S/B notation without letters, e.g. "23/3"
+            survivalPart = first;
+            birthPart = second;
+        } else {
+            throw new RuleParseError(`"${text}" is not in B/S notation, e.g. "B3/S23"`);
+        }
+
+        return new LifeRule(
+            LifeRule.parseCounts(birthPart, 'birth'),
+            LifeRule.parseCounts(survivalPart, 'survival'),
+            third === undefined ? RULE_CONFIG.MIN_STATES : LifeRule.parseStates(third)
+        );
+    }
+
+    /**
+     * @param {string} text - State count such as "C3" or "3"
+     * @returns {number} Number of states
+     */
+    static parseStates(text) {
+        const match = /^[cg]?(\d+)$/i.exec(text);
+        if (!match) {
+            throw new RuleParseError(`"${text}" is not a state count such as "C3"`);
+        }
+
+        const states = parseInt(match[1], 10);
+        if (states < RULE_CONFIG.MIN_STATES || states > RULE_CONFIG.MAX_STATES) {
+            throw new RuleParseError(`State count must be from ${RULE_CONFIG.MIN_STATES} to ${RULE_CONFIG.MAX_STATES}, not ${states}`);
+        }
+        return states;
+    }
+
+    static parseCounts(digits, label) {
+        const counts = [];
+
+        for (const char of digits) {
+            if (!/\d/.test(char)) {
+                throw new RuleParseError(`Unexpected "${char}" in ${label} conditions`);
+            }
+
+            const count = parseInt(char, 10);
+            if (count > RULE_CONFIG.MAX_NEIGHBORS) {
+                throw new RuleParseError(`Neighbour count ${count} in ${label} conditions is above ${RULE_CONFIG.MAX_NEIGHBORS}`);
+            }
+            if (counts.includes(count)) {
+                throw new RuleParseError(`Neighbour count ${count} is repeated in ${label} conditions`);
+            }
+            counts.push(count);
+        }
+
+        return counts;
+    }
+
+    /**
+     * Check whether a cell is alive in the next generation
+     * @param {boolean} alive - Current state of the cell
+     * @param {number} neighbors - Number of live neighbours (0-8)
+     * @returns {boolean} Next state
+     */
+    nextState(alive, neighbors) {
+        return this.table[(alive ? RULE_CONFIG.MAX_NEIGHBORS + 1 : 0) + neighbors] === 1;
+    }
+
+    /**
+     * @returns {boolean} Whether the rule has dying states (the Generations family)
+     */
+    get isGenerations() {
+        return this.states > RULE_CONFIG.MIN_STATES;
+    }
+
+    equals(other) {
+        return other instanceof LifeRule && this.toString() === other.toString();
+    }
+
+    /**
+     * @returns {string} Canonical rulestring, e.g. "B3/S23" or "B2/S/C3"
+     */
+    toString() {
+        const rulestring = `B${this.birth.join('')}/S${this.survival.join('')}`;
+        return this.isGenerations ? `${rulestring}/C${this.states}` : rulestring;
+    }
+}
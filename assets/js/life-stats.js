@@ -0,0 +1,85 @@
+/**
+ * Game of Life Statistics
+ * Generation, population, births/deaths and measured speed, gathered from engine frames
+ */
+
+// Statistics Configuration Constants
+const STATS_CONFIG = {
+    RATE_WINDOW: 4000,    // Milliseconds of frames used to measure generations per second
+    SAMPLE_INTERVAL: 250, // Milliseconds between population history samples
+    HISTORY_LENGTH: 120   // Population samples kept for the graph (30 seconds)
+};
+
+class LifeStats {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.generation = 0;
+        this.population = 0;
+        this.births = null;     // Per step, averaged over the steps in the last frame; null if unknown
+        this.deaths = null;
+        this.rateSamples = [];  // { time, generation } of recent frames
+        this.history = [];      // Population samples, oldest first
+        this.lastSampleTime = -Infinity;
+    }
+
+    /**
+     * @param {Object} frame - Engine frame (see LifeSimulation.sendFrame)
+     * @param {number} now - Timestamp in milliseconds
+     */
+    recordFrame(frame, now) {
+        // Stepping back or restarting breaks the rate measurement
+        if (frame.generation < this.generation) {
+            this.rateSamples = [];
+        }
+
+        this.generation = frame.generation;
+        this.population = frame.population;
+        if (frame.steps > 0) {
+            this.births = frame.births === null ? null : frame.births / frame.steps;
+            this.deaths = frame.deaths === null ? null : frame.deaths / frame.steps;
+        }
+
+        this.rateSamples.push({ time: now, generation: frame.generation });
+        this.trimRateSamples(now);
+    }
+
+    /**
+     * Add the current population to the history if a sample is due
+     * @param {number} now - Timestamp in milliseconds
+     * @returns {boolean} Whether a sample was added
+     */
+    sample(now) {
+        if (now - this.lastSampleTime < STATS_CONFIG.SAMPLE_INTERVAL) return false;
+
+        this.lastSampleTime = now;
+        this.history.push(this.population);
+        if (this.history.length > STATS_CONFIG.HISTORY_LENGTH) {
+            this.history.shift();
+        }
+        return true;
+    }
+
+    /**
+     * Generations per second over the recent window; falls towards zero while nothing arrives
+     * @param {number} now - Timestamp in milliseconds
+     */
+    rate(now) {
+        this.trimRateSamples(now);
+        const samples = this.rateSamples;
+        if (samples.length < 2) return 0;
+
+        const oldest = samples[0];
+        const latest = samples[samples.length - 1];
+        return ((latest.generation - oldest.generation) * 1000) / Math.max(1, now - oldest.time);
+    }
+
+    trimRateSamples(now) {
+        const samples = this.rateSamples;
+        while (samples.length > 0 && now - samples[0].time > STATS_CONFIG.RATE_WINDOW) {
+            samples.shift();
+        }
+    }
+}
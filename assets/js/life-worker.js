@@ -0,0 +1,19 @@
+/**
+ * Game of Life Web Worker
+ * Owns the grid and steps it off the main thread, posting frames back
+ */
+
+importScripts('life-rules.js', 'life-engine.js', 'hashlife-engine.js', 'cycle-detector.js');
+
+const simulation = new LifeSimulation(message => {
+    // Transfer a frame's cell buffer instead of copying it
+    self.postMessage(message, message.cells ? [message.cells.buffer] : []);
+});
+
+self.addEventListener('message', (e) => {
+    try {
+        simulation.handleMessage(e.data);
+    } catch (error) {
+        self.postMessage({ type: ENGINE_CONFIG.MESSAGES.ERROR, message: error.message });
+    }
+});
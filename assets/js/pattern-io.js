@@ -0,0 +1,525 @@
+/**
+ * Pattern Import/Export
+ * Reads and writes Run Length Encoded (.rle) and plaintext (.cells) patterns
+ */
+
+// Pattern I/O Configuration Constants
+const PATTERN_IO_CONFIG = {
+    // Refuse patterns whose bounding box would need more cells than this
+    MAX_CELLS: 4000000,
+
+    // Refuse patterns taller or wider than this, however thin; every row is an array
+    MAX_SIDE: 65536,
+
+    // Maximum line length when writing RLE, as recommended by the format
+    RLE_LINE_LENGTH: 70,
+
+    FORMATS: {
+        RLE: 'rle',
+        CELLS: 'cells'
+    },
+
+    MIME_TYPES: {
+        rle: 'application/x-life-rle',
+        cells: 'text/plain'
+    },
+
+    // Plaintext cell characters
+    CELLS_ALIVE: 'O',
+    CELLS_DEAD: '.'
+};
+
+class PatternParseError extends Error {
+    constructor(message, line = null) {
+        super(line === null ? message : `Line ${line}: ${message}`);
+        this.name = 'PatternParseError';
+        this.line = line;
+    }
+}
+
+/**
+ * Patterns are plain objects: { name, comments, rule, width, height, cells }
+ * where cells is an array of rows holding 0 for dead and the cell state otherwise,
+ * the same layout as the inline patterns the game has always used.
+ */
+class PatternIO {
+    /**
+     * Parse pattern text, detecting whether it is RLE or plaintext
+     * @param {string} text - Pattern file contents
+     * @param {Object} [bounds] - Largest { width, height } to accept, such as a bounded board's size
+     * @returns {Object} Parsed pattern
+     * @throws {PatternParseError} If the text is not a valid pattern or doesn't fit
+     */
+    static parse(text, bounds = null) {
+        return PatternIO.detectFormat(text) === PATTERN_IO_CONFIG.FORMATS.RLE
+            ? PatternIO.parseRLE(text, bounds)
+            : PatternIO.parseCells(text, bounds);
+    }
+
+    static detectFormat(text) {
+        const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+
+        if (lines.some(line => /^x\s*=/i.test(line) || /^#[NCcOPRr]/.test(line))) {
+            return PATTERN_IO_CONFIG.FORMATS.RLE;
+        }
+        if (lines.some(line => line.startsWith('!'))) {
+            return PATTERN_IO_CONFIG.FORMATS.CELLS;
+        }
+
+        // Headerless RLE only ever contains run counts, tags and terminators
+        const body = lines.join('');
+        return /^[\dbo$!]+$/.test(body) && /[$!]|\d/.test(body)
+            ? PATTERN_IO_CONFIG.FORMATS.RLE
+            : PATTERN_IO_CONFIG.FORMATS.CELLS;
+    }
+
+    /**
+     * Parse a Run Length Encoded pattern, including the "x = , y = , rule =" header
+     * @param {string} text - RLE file contents
+     * @param {Object} [bounds] - Largest { width, height } to accept
+     * @returns {Object} Parsed pattern
+     */
+    static parseRLE(text, bounds = null) {
+        const pattern = PatternIO.createPattern();
+        const lines = String(text).split(/\r?\n/);
+        const limit = PatternIO.sizeLimit(bounds);
+
+        let declaredWidth = null;
+        let declaredHeight = null;
+        let bodyStart = lines.length;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (line === '') continue;
+
+            if (line.startsWith('#')) {
+                PatternIO.readRLEComment(pattern, line);
+                continue;
+            }
+
+            if (/^x\s*=/i.test(line)) {
+                const header = PatternIO.readRLEHeader(line, i + 1);
+                declaredWidth = header.width;
+                declaredHeight = header.height;
+                if (header.rule) {
+                    pattern.rule = header.rule;
+                }
+                bodyStart = i + 1;
+            } else {
+                bodyStart = i;
+            }
+            break;
+        }
+
+        // The declared size is padded out to in full, so it has to fit before anything is read
+        if (declaredWidth !== null) {
+            PatternIO.checkSize(declaredHeight, declaredWidth, limit, null);
+        }
+
+        // Rows are only made once a cell lands in them, so empty rows at the end (a "$" before
+        // the "!", say) don't count towards the size, and a long "$" run allocates nothing
+        const rows = [];
+        let rowIndex = 0;
+        let runCount = '';
+        let finished = false;
+
+        for (let i = bodyStart; i < lines.length && !finished; i++) {
+            const line = lines[i].trim();
+            if (line.startsWith('#')) continue;
+
+            for (let k = 0; k < line.length; k++) {
+                const char = line[k];
+
+                if (/\d/.test(char)) {
+                    runCount += char;
+                    continue;
+                }
+                if (/\s/.test(char)) continue;
+
+                const count = runCount === '' ? 1 : parseInt(runCount, 10);
+                runCount = '';
+
+                if (char === '!') {
+                    finished = true;
+                    break;
+                }
+
+                if (char === '$') {
+                    rowIndex += count;
+                    continue;
+                }
+
+                // States above 24 take two characters, a prefix from p to y and a letter
+                let tag = char;
+                if (char >= 'p' && char <= 'y' && k + 1 < line.length) {
+                    tag += line[++k];
+                }
+                const state = PatternIO.rleState(tag);
+                if (state === null) {
+                    throw new PatternParseError(`Unexpected cell "${tag}" in RLE data`, i + 1);
+                }
+
+                // Check before allocating; a short run count can ask for millions of rows or cells
+                const width = (rows[rowIndex] || []).length + count;
+                PatternIO.checkSize(rowIndex + 1, width, limit, i + 1);
+                PatternIO.checkDeclaredSize(rowIndex + 1, width, declaredWidth, declaredHeight, i + 1);
+                while (rows.length <= rowIndex) {
+                    rows.push([]);
+                }
+                const row = rows[rowIndex];
+                for (let n = 0; n < count; n++) {
+                    row.push(state);
+                }
+            }
+        }
+
+        if (runCount !== '') {
+            throw new PatternParseError('RLE data ends with a run count but no cell');
+        }
+
+        PatternIO.fillCells(pattern, rows, declaredWidth, declaredHeight, limit);
+
+        if (declaredWidth !== null && (pattern.width > declaredWidth || pattern.height > declaredHeight)) {
+            throw new PatternParseError(`Pattern data is larger than the declared size ${declaredWidth}×${declaredHeight}`);
+        }
+
+        return pattern;
+    }
+
+    static readRLEComment(pattern, line) {
+        const tag = line.charAt(1);
+        const value = line.slice(2).trim();
+
+        if (tag === 'N') {
+            pattern.name = value;
+        } else if (tag === 'r') {
+            pattern.rule = value;
+        } else if (tag === 'C' || tag === 'c' || tag === 'O') {
+            pattern.comments.push(value);
+        }
+    }
+
+    static readRLEHeader(line, lineNumber) {
+        const header = {};
+
+        line.split(',').forEach(field => {
+            const match = field.match(/^\s*(\w+)\s*=\s*(.*?)\s*$/);
+            if (!match) {
+                throw new PatternParseError(`Malformed header field "${field.trim()}"`, lineNumber);
+            }
+            header[match[1].toLowerCase()] = match[2];
+        });
+
+        const width = parseInt(header.x, 10);
+        const height = parseInt(header.y, 10);
+        if (!/^\d+$/.test(header.x) || !/^\d+$/.test(header.y || '')) {
+            throw new PatternParseError('Header must give non-negative integer x and y', lineNumber);
+        }
+
+        return { width, height, rule: header.rule || null };
+    }
+
+    /**
+     * @param {string} tag - One cell tag: b, o, . or A-X, or a p-y prefix followed by A-X
+     * @returns {number|null} Cell state, or null if the tag isn't one
+     */
+    static rleState(tag) {
+        if (tag === 'b' || tag === '.') return 0;
+        if (tag === 'o') return 1;
+
+        // Multi-state RLE uses A-X for states 1-24, and pA-pX for 25-48, qA-qX for 49-72 and so on
+        const letter = tag.charAt(tag.length - 1);
+        if (letter < 'A' || letter > 'X' || tag.length > 2) return null;
+
+        let block = 0;
+        if (tag.length === 2) {
+            const prefix = tag.charAt(0);
+            if (prefix < 'p' || prefix > 'y') return null;
+            block = prefix.charCodeAt(0) - 'p'.charCodeAt(0) + 1;
+        }
+        return block * 24 + letter.charCodeAt(0) - 'A'.charCodeAt(0) + 1;
+    }
+
+    /**
+     * Parse a plaintext (.cells) pattern with "!" comment lines
+     * @param {string} text - Plaintext file contents
+     * @param {Object} [bounds] - Largest { width, height } to accept
+     * @returns {Object} Parsed pattern
+     */
+    static parseCells(text, bounds = null) {
+        const pattern = PatternIO.createPattern();
+        const limit = PatternIO.sizeLimit(bounds);
+        const rows = [];
+        const lines = String(text).split(/\r?\n/);
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].replace(/\s+$/, '');
+
+            if (line.startsWith('!')) {
+                const comment = line.slice(1).trim();
+                const nameMatch = comment.match(/^Name:\s*(.*)$/i);
+                if (nameMatch) {
+                    pattern.name = nameMatch[1];
+                } else if (comment !== '') {
+                    pattern.comments.push(comment);
+                }
+                continue;
+            }
+
+            const row = [];
+            for (const char of line) {
+                if (char === '.') {
+                    row.push(0);
+                } else if (char === 'O' || char === 'o' || char === '*') {
+                    row.push(1);
+                } else {
+                    throw new PatternParseError(`Unexpected character "${char}" in plaintext pattern`, i + 1);
+                }
+            }
+            rows.push(row);
+            PatternIO.checkSize(rows.length, row.length, limit, i + 1);
+        }
+
+        // Drop blank lines trailing the pattern (editors like to add them)
+        while (rows.length > 0 && rows[rows.length - 1].length === 0) {
+            rows.pop();
+        }
+
+        if (rows.length === 0) {
+            throw new PatternParseError('Pattern contains no cells');
+        }
+
+        PatternIO.fillCells(pattern, rows, null, null, limit);
+        return pattern;
+    }
+
+    static createPattern() {
+        return { name: '', comments: [], rule: null, width: 0, height: 0, cells: [] };
+    }
+
+    static sizeLimit(bounds) {
+        const side = PATTERN_IO_CONFIG.MAX_SIDE;
+        return {
+            width: bounds ? Math.min(bounds.width, side) : side,
+            height: bounds ? Math.min(bounds.height, side) : side
+        };
+    }
+
+    static checkSize(height, width, limit, lineNumber) {
+        if (height > limit.height || width > limit.width) {
+            throw new PatternParseError(`Pattern doesn't fit in ${limit.width}×${limit.height} cells`, lineNumber);
+        }
+        if (height * width > PATTERN_IO_CONFIG.MAX_CELLS) {
+            throw new PatternParseError('Pattern is too large to load', lineNumber);
+        }
+    }
+
+    static checkDeclaredSize(height, width, declaredWidth, declaredHeight, lineNumber) {
+        if (declaredWidth !== null && (width > declaredWidth || height > declaredHeight)) {
+            throw new PatternParseError(`Pattern data is larger than the declared size ${declaredWidth}×${declaredHeight}`, lineNumber);
+        }
+    }
+
+    static fillCells(pattern, rows, declaredWidth, declaredHeight, limit) {
+        const width = rows.reduce((max, row) => Math.max(max, row.length), declaredWidth || 0);
+        const height = Math.max(declaredHeight || 0, rows.length);
+
+        PatternIO.checkSize(height, width, limit, null);
+
+        pattern.width = width;
+        pattern.height = height;
+        pattern.cells = [];
+        for (let i = 0; i < height; i++) {
+            const row = new Array(width).fill(0);
+            const source = rows[i] || [];
+            for (let j = 0; j < source.length; j++) {
+                row[j] = source[j];
+            }
+            pattern.cells.push(row);
+        }
+    }
+
+    /**
+     * Build a pattern from a 2D array of cell states
+     * @param {Array<Array<number|boolean>>} cells - Rows of cell states
+     * @param {Object} [meta] - Optional name, rule and comments
+     * @returns {Object} Pattern
+     */
+    static fromCells(cells, meta = {}) {
+        const pattern = PatternIO.createPattern();
+        pattern.name = meta.name || '';
+        pattern.rule = meta.rule || null;
+        pattern.comments = meta.comments ? [...meta.comments] : [];
+        pattern.height = cells.length;
+        pattern.width = cells.length > 0 ? cells[0].length : 0;
+        pattern.cells = cells.map(row => row.map(cell => Number(cell)));
+        return pattern;
+    }
+
+    /**
+     * Crop a pattern to the bounding box of its live cells
+     * @param {Object} pattern - Pattern to crop
+     * @returns {Object} New, trimmed pattern (0×0 if it has no live cells)
+     */
+    static trim(pattern) {
+        let top = pattern.height;
+        let bottom = -1;
+        let left = pattern.width;
+        let right = -1;
+
+        for (let i = 0; i < pattern.height; i++) {
+            for (let j = 0; j < pattern.width; j++) {
+                if (pattern.cells[i][j]) {
+                    top = Math.min(top, i);
+                    bottom = Math.max(bottom, i);
+                    left = Math.min(left, j);
+                    right = Math.max(right, j);
+                }
+            }
+        }
+
+        const cells = bottom < 0
+            ? []
+            : pattern.cells.slice(top, bottom + 1).map(row => row.slice(left, right + 1));
+
+        return PatternIO.fromCells(cells, pattern);
+    }
+
+    /**
+     * @param {Object} pattern - Pattern to rotate
+     * @returns {Object} New pattern rotated 90° clockwise
+     */
+    static rotateClockwise(pattern) {
+        const cells = [];
+        for (let j = 0; j < pattern.width; j++) {
+            const row = [];
+            for (let i = pattern.height - 1; i >= 0; i--) {
+                row.push(pattern.cells[i][j]);
+            }
+            cells.push(row);
+        }
+        return PatternIO.fromCells(cells, pattern);
+    }
+
+    /**
+     * @param {Object} pattern - Pattern to mirror
+     * @returns {Object} New pattern mirrored left to right
+     */
+    static flipHorizontal(pattern) {
+        return PatternIO.fromCells(pattern.cells.map(row => [...row].reverse()), pattern);
+    }
+
+    /**
+     * @param {Object} pattern - Pattern to mirror
+     * @returns {Object} New pattern mirrored top to bottom
+     */
+    static flipVertical(pattern) {
+        return PatternIO.fromCells([...pattern.cells].reverse(), pattern);
+    }
+
+    /**
+     * Write a pattern as RLE with an "x = , y = , rule =" header
+     * @param {Object} pattern - Pattern to encode
+     * @returns {string} RLE text
+     */
+    static toRLE(pattern) {
+        const lines = [];
+        if (pattern.name) {
+            lines.push(`#N ${pattern.name}`);
+        }
+        pattern.comments.forEach(comment => lines.push(`#C ${comment}`));
+
+        const header = `x = ${pattern.width}, y = ${pattern.height}`;
+        lines.push(pattern.rule ? `${header}, rule = ${pattern.rule}` : header);
+
+        const multiState = pattern.cells.some(row => row.some(cell => cell > 1));
+        const tokens = [];
+        let pendingRows = 0;
+
+        const pushRun = (count, tag) => {
+            tokens.push(count > 1 ? `${count}${tag}` : tag);
+        };
+
+        pattern.cells.forEach(row => {
+            // Trailing dead cells in a row are implied
+            let end = row.length;
+            while (end > 0 && !row[end - 1]) end--;
+
+            if (end === 0) {
+                pendingRows++;
+                return;
+            }
+
+            if (tokens.length > 0) {
+                pushRun(pendingRows + 1, '$');
+            } else if (pendingRows > 0) {
+                pushRun(pendingRows, '$');
+            }
+            pendingRows = 0;
+
+            let j = 0;
+            while (j < end) {
+                const state = row[j];
+                let run = 1;
+                while (j + run < end && row[j + run] === state) run++;
+                pushRun(run, PatternIO.rleTag(state, multiState));
+                j += run;
+            }
+        });
+
+        tokens.push('!');
+
+        // Wrap the body without splitting any run
+        let line = '';
+        tokens.forEach(token => {
+            if (line.length + token.length > PATTERN_IO_CONFIG.RLE_LINE_LENGTH) {
+                lines.push(line);
+                line = '';
+            }
+            line += token;
+        });
+        lines.push(line);
+
+        return lines.join('\n') + '\n';
+    }
+
+    static rleTag(state, multiState) {
+        if (!multiState) {
+            return state ? 'o' : 'b';
+        }
+        if (!state) return '.';
+
+        // The inverse of rleState()
+        const block = Math.floor((state - 1) / 24);
+        const letter = String.fromCharCode('A'.charCodeAt(0) + (state - 1) % 24);
+        return block > 0 ? String.fromCharCode('p'.charCodeAt(0) + block - 1) + letter : letter;
+    }
+
+    /**
+     * Write a pattern as plaintext (.cells); any non-zero state is written as alive
+     * @param {Object} pattern - Pattern to encode
+     * @returns {string} Plaintext
+     */
+    static toCells(pattern) {
+        const lines = [];
+        if (pattern.name) {
+            lines.push(`!Name: ${pattern.name}`);
+        }
+        pattern.comments.forEach(comment => lines.push(`!${comment}`));
+
+        pattern.cells.forEach(row => {
+            lines.push(row.map(cell => cell ? PATTERN_IO_CONFIG.CELLS_ALIVE : PATTERN_IO_CONFIG.CELLS_DEAD).join(''));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @param {Object} pattern - Pattern to encode
+     * @param {string} format - 'rle' or 'cells'
+     * @returns {string} Encoded pattern
+     */
+    static serialize(pattern, format) {
+        return format === PATTERN_IO_CONFIG.FORMATS.CELLS ? PatternIO.toCells(pattern) : PatternIO.toRLE(pattern);
+    }
+}
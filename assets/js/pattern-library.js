@@ -0,0 +1,262 @@
+/**
+ * Pattern Library
+ * Well-known Conway's Life patterns stored as RLE, grouped by category
+ */
+
+// Pattern Library Configuration Constants
+const PATTERN_LIBRARY_CONFIG = {
+    // Display order and labels of the categories in the picker
+    CATEGORIES: {
+        'still-life': 'Still lifes',
+        'oscillator': 'Oscillators',
+        'spaceship': 'Spaceships',
+        'gun': 'Guns',
+        'methuselah': 'Methuselahs'
+    }
+};
+
+/**
+ * Each entry has an id, name, category, period (null for patterns that
+ * never repeat), a short description and the pattern itself in RLE.
+ */
+const PATTERN_LIBRARY = [
+    // Still lifes
+    {
+        id: 'block',
+        name: 'Block',
+        category: 'still-life',
+        period: 1,
+        description: 'The most common still life.',
+        rle: '2o$2o!'
+    },
+    {
+        id: 'beehive',
+        name: 'Beehive',
+        category: 'still-life',
+        period: 1,
+        description: 'The second most common still life.',
+        rle: 'b2o$o2bo$b2o!'
+    },
+    {
+        id: 'loaf',
+        name: 'Loaf',
+        category: 'still-life',
+        period: 1,
+        description: 'A seven-cell still life.',
+        rle: 'b2o$o2bo$bobo$2bo!'
+    },
+    {
+        id: 'boat',
+        name: 'Boat',
+        category: 'still-life',
+        period: 1,
+        description: 'The only five-cell still life.',
+        rle: '2o$obo$bo!'
+    },
+    {
+        id: 'tub',
+        name: 'Tub',
+        category: 'still-life',
+        period: 1,
+        description: 'A four-cell still life.',
+        rle: 'bo$obo$bo!'
+    },
+    {
+        id: 'pond',
+        name: 'Pond',
+        category: 'still-life',
+        period: 1,
+        description: 'An eight-cell still life.',
+        rle: 'b2o$o2bo$o2bo$b2o!'
+    },
+
+    // Oscillators
+    {
+        id: 'blinker',
+        name: 'Blinker',
+        category: 'oscillator',
+        period: 2,
+        description: 'The smallest and most common oscillator.',
+        rle: '3o!'
+    },
+    {
+        id: 'toad',
+        name: 'Toad',
+        category: 'oscillator',
+        period: 2,
+        description: 'The second most common oscillator.',
+        rle: 'b3o$3o!'
+    },
+    {
+        id: 'beacon',
+        name: 'Beacon',
+        category: 'oscillator',
+        period: 2,
+        description: 'Two diagonally touching blocks that blink at the corner.',
+        rle: '2o$2o$2b2o$2b2o!'
+    },
+    {
+        id: 'pulsar',
+        name: 'Pulsar',
+        category: 'oscillator',
+        period: 3,
+        description: 'The most common period-3 oscillator.',
+        rle: '2b3o3b3o2$o4bobo4bo$o4bobo4bo$o4bobo4bo$2b3o3b3o2$2b3o3b3o$o4bobo4bo$o4bobo4bo$o4bobo4bo2$2b3o3b3o!'
+    },
+    {
+        id: 'figure-eight',
+        name: 'Figure eight',
+        category: 'oscillator',
+        period: 8,
+        description: 'Two 3×3 squares meeting at a corner.',
+        rle: '3o$3o$3o$3b3o$3b3o$3b3o!'
+    },
+    {
+        id: 'pentadecathlon',
+        name: 'Pentadecathlon',
+        category: 'oscillator',
+        period: 15,
+        description: 'A row of ten cells that evolves with period 15.',
+        rle: '2bo4bo$2ob4ob2o$2bo4bo!'
+    },
+    {
+        id: 'queen-bee-shuttle',
+        name: 'Queen bee shuttle',
+        category: 'oscillator',
+        period: 30,
+        description: 'A queen bee bouncing between two blocks.',
+        rle: '9bo$7bobo$6bobo$2o3bo2bo11b2o$2o4bobo11b2o$7bobo$9bo!'
+    },
+
+    // Spaceships
+    {
+        id: 'glider',
+        name: 'Glider',
+        category: 'spaceship',
+        period: 4,
+        description: 'The smallest spaceship, moving diagonally at c/4.',
+        rle: 'bo$2bo$3o!'
+    },
+    {
+        id: 'lwss',
+        name: 'Lightweight spaceship',
+        category: 'spaceship',
+        period: 4,
+        description: 'The smallest orthogonal spaceship, moving at c/2.',
+        rle: 'bo2bo$o$o3bo$4o!'
+    },
+    {
+        id: 'mwss',
+        name: 'Middleweight spaceship',
+        category: 'spaceship',
+        period: 4,
+        description: 'An orthogonal c/2 spaceship.',
+        rle: '3bo$bo3bo$o$o4bo$5o!'
+    },
+    {
+        id: 'hwss',
+        name: 'Heavyweight spaceship',
+        category: 'spaceship',
+        period: 4,
+        description: 'The largest of the standard c/2 spaceships.',
+        rle: '3b2o$bo4bo$o$o5bo$6o!'
+    },
+
+    // Guns
+    {
+        id: 'gosper-glider-gun',
+        name: 'Gosper glider gun',
+        category: 'gun',
+        period: 30,
+        description: 'The first known gun, emitting a glider every 30 generations.',
+        rle: '24bo$22bobo$12b2o6b2o12b2o$11bo3bo4b2o12b2o$2o8bo5bo3b2o$2o8bo3bob2o4bobo$10bo5bo7bo$11bo3bo$12b2o!'
+    },
+    {
+        id: 'simkin-glider-gun',
+        name: 'Simkin glider gun',
+        category: 'gun',
+        period: 120,
+        description: 'A small gun emitting a glider every 120 generations.',
+        rle: '2o5b2o$2o5b2o2$4b2o$4b2o5$22b2ob2o$21bo5bo$21bo6bo2b2o$21b3o3bo3b2o$26bo4$20b2o$20bo$21b3o$23bo!'
+    },
+
+    // Methuselahs
+    {
+        id: 'r-pentomino',
+        name: 'R-pentomino',
+        category: 'methuselah',
+        period: null,
+        description: 'Five cells that take 1103 generations to stabilise.',
+        rle: 'b2o$2o$bo!'
+    },
+    {
+        id: 'diehard',
+        name: 'Diehard',
+        category: 'methuselah',
+        period: null,
+        description: 'Vanishes completely after 130 generations.',
+        rle: '6bo$2o$bo3b3o!'
+    },
+    {
+        id: 'acorn',
+        name: 'Acorn',
+        category: 'methuselah',
+        period: null,
+        description: 'Seven cells that take 5206 generations to stabilise.',
+        rle: 'bo$3bo$2o2b3o!'
+    },
+    {
+        id: 'pi-heptomino',
+        name: 'Pi-heptomino',
+        category: 'methuselah',
+        period: null,
+        description: 'A common heptomino that stabilises after 173 generations.',
+        rle: '3o$obo$obo!'
+    }
+];
+
+class PatternLibrary {
+    /**
+     * @param {string} id - Library entry id
+     * @returns {Object|null} Library entry, or null if there is none with that id
+     */
+    static get(id) {
+        return PATTERN_LIBRARY.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Parse a library entry into a pattern object (see pattern-io.js)
+     * @param {string} id - Library entry id
+     * @returns {Object} Pattern with the entry's name and the Life rule
+     */
+    static load(id) {
+        const entry = PatternLibrary.get(id);
+        if (!entry) {
+            throw new Error(`Unknown pattern "${id}"`);
+        }
+
+        const pattern = PatternIO.parseRLE(entry.rle);
+        pattern.name = entry.name;
+        pattern.comments = [entry.description];
+        return pattern;
+    }
+
+    /**
+     * @returns {Array<{category: string, label: string, entries: Object[]}>} Entries grouped by category
+     */
+    static groupByCategory() {
+        return Object.entries(PATTERN_LIBRARY_CONFIG.CATEGORIES).map(([category, label]) => ({
+            category,
+            label,
+            entries: PATTERN_LIBRARY.filter(entry => entry.category === category)
+        }));
+    }
+
+    /**
+     * @param {Object} entry - Library entry
+     * @returns {string} Label for pickers, e.g. "Pulsar (p3)"
+     */
+    static describe(entry) {
+        return entry.period && entry.period > 1 ? `${entry.name} (p${entry.period})` : entry.name;
+    }
+}
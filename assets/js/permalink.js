@@ -0,0 +1,182 @@
+/**
+ * Game of Life Permalinks
+ * Encodes the board, rule and view settings into a URL hash and back
+ */
+
+// Permalink Configuration Constants
+const PERMALINK_CONFIG = {
+    VERSION: '1',
+    MAX_HASH_LENGTH: 200000, // Characters; longer hashes are refused before decoding
+    PARAMS: {
+        VERSION: 'life',
+        RULE: 'rule',
+        TOPOLOGY: 'topology',
+        SPEED: 'speed',
+        MAX_SPEED: 'max',
+        PAUSED: 'paused',
+        GENERATION: 'gen',
+        ZOOM: 'zoom',
+        CENTRE_ROW: 'y',
+        CENTRE_COL: 'x',
+        ORIGIN: 'at',
+        BOARD: 'board'
+    }
+};
+
+class PermalinkError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PermalinkError';
+    }
+}
+
+/**
+ * A permalink state is a plain object:
+ * {
+ *   rule: string, topology: string, speed: number (slider value), maxSpeed: boolean,
+ *   paused: boolean, generation: number,
+ *   camera: { zoom, row, col } (board point at the centre of the view),
+ *   pattern: pattern object or null, origin: { row, col } of the pattern's top-left cell
+ *            (negative when the unbounded plane has carried cells above or left of the view)
+ * }
+ */
+class Permalink {
+    /**
+     * @param {Object} state - Permalink state
+     * @returns {string} Hash, including the leading '#'
+     */
+    static encode(state) {
+        const names = PERMALINK_CONFIG.PARAMS;
+        const params = new URLSearchParams();
+
+        params.set(names.VERSION, PERMALINK_CONFIG.VERSION);
+        params.set(names.RULE, state.rule);
+        params.set(names.TOPOLOGY, state.topology);
+        params.set(names.SPEED, String(state.speed));
+        if (state.maxSpeed) {
+            params.set(names.MAX_SPEED, '1');
+        }
+        if (state.paused) {
+            params.set(names.PAUSED, '1');
+        }
+        if (state.generation > 0) {
+            params.set(names.GENERATION, String(state.generation));
+        }
+        params.set(names.ZOOM, Permalink.round(state.camera.zoom));
+        params.set(names.CENTRE_ROW, Permalink.round(state.camera.row));
+        params.set(names.CENTRE_COL, Permalink.round(state.camera.col));
+
+        if (state.pattern) {
+            // The rule travels separately, and names only cost space
+            const rle = PatternIO.toRLE({ ...state.pattern, name: '', comments: [], rule: null });
+            params.set(names.ORIGIN, `${state.origin.row},${state.origin.col}`);
+            params.set(names.BOARD, Permalink.toBase64Url(rle));
+        }
+
+        return `#${params.toString()}`;
+    }
+
+    /**
+     * @param {string} hash - location.hash, with or without the leading '#'
+     * @returns {boolean} Whether the hash claims to be a permalink (as opposed to a page anchor)
+     */
+    static isPermalink(hash) {
+        return new URLSearchParams(hash.replace(/^#/, '')).has(PERMALINK_CONFIG.PARAMS.VERSION);
+    }
+
+    /**
+     * @param {string} hash - location.hash, with or without the leading '#'
+     * @param {Object} [boardSize] - { width, height } of the bounded board the link is opened on;
+     *     a bounded board is refused before it is read if it couldn't fit
+     * @returns {Object} Permalink state; values are otherwise checked for form, not against the board
+     * @throws {PermalinkError} If the hash is too long, malformed or from another version
+     */
+    static decode(hash, boardSize = null) {
+        if (hash.length > PERMALINK_CONFIG.MAX_HASH_LENGTH) {
+            throw new PermalinkError('the link is too long');
+        }
+
+        const names = PERMALINK_CONFIG.PARAMS;
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        if (params.get(names.VERSION) !== PERMALINK_CONFIG.VERSION) {
+            throw new PermalinkError('the link is from an unsupported version');
+        }
+
+        const state = {
+            rule: Permalink.required(params, names.RULE),
+            topology: Permalink.required(params, names.TOPOLOGY),
+            speed: Permalink.number(params, names.SPEED),
+            maxSpeed: params.get(names.MAX_SPEED) === '1',
+            paused: params.get(names.PAUSED) === '1',
+            generation: params.has(names.GENERATION) ? Permalink.number(params, names.GENERATION) : 0,
+            camera: {
+                zoom: Permalink.number(params, names.ZOOM),
+                row: Permalink.number(params, names.CENTRE_ROW),
+                col: Permalink.number(params, names.CENTRE_COL)
+            },
+            pattern: null,
+            origin: null
+        };
+
+        if (params.has(names.BOARD)) {
+            const origin = Permalink.required(params, names.ORIGIN).split(',').map(Number);
+            if (origin.length !== 2 || !origin.every(n => Number.isSafeInteger(n))) {
+                throw new PermalinkError('the board position is invalid');
+            }
+            state.origin = { row: origin[0], col: origin[1] };
+
+            const bounds = state.topology === ENGINE_CONFIG.TOPOLOGIES.UNBOUNDED ? null : boardSize;
+            try {
+                state.pattern = PatternIO.parseRLE(Permalink.fromBase64Url(params.get(names.BOARD)), bounds);
+            } catch (error) {
+                if (!(error instanceof PatternParseError)) throw error;
+                throw new PermalinkError(`the board can't be loaded (${error.message})`);
+            }
+        }
+
+        if (!Number.isSafeInteger(state.generation) || state.generation < 0) {
+            throw new PermalinkError('the generation is invalid');
+        }
+
+        return state;
+    }
+
+    static required(params, name) {
+        const value = params.get(name);
+        if (value === null || value === '') {
+            throw new PermalinkError(`"${name}" is missing`);
+        }
+        return value;
+    }
+
+    static number(params, name) {
+        const value = Number(Permalink.required(params, name));
+        if (!Number.isFinite(value)) {
+            throw new PermalinkError(`"${name}" is not a number`);
+        }
+        return value;
+    }
+
+    /**
+     * Two decimals are plenty for camera positions and keep links short
+     */
+    static round(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * @param {string} text - ASCII text such as RLE
+     */
+    static toBase64Url(text) {
+        return btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(encoded) {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        try {
+            return atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        } catch (error) {
+            throw new PermalinkError('the board is not valid base64');
+        }
+    }
+}
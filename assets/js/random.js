@@ -0,0 +1,84 @@
+/**
+ * Game of Life Random Numbers
+ * Small seedable generator so random boards can be reproduced from their seed
+ */
+
+// Random Configuration Constants
+const RANDOM_CONFIG = {
+    MAX_SEED: 0xFFFFFFFF // Seeds are unsigned 32-bit integers
+};
+
+class SeedParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SeedParseError';
+    }
+}
+
+/**
+ * Mulberry32: fast, 32 bits of state, and good enough for placing cells.
+ * The same seed always yields the same sequence on every browser.
+ */
+class SeededRandom {
+    /**
+     * @param {number} seed - Unsigned 32-bit integer
+     */
+    constructor(seed) {
+        if (!SeededRandom.isValidSeed(seed)) {
+            throw new Error(`Invalid seed ${seed}`);
+        }
+        this.seed = seed;
+        this.state = seed;
+    }
+
+    /**
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} count - Exclusive upper bound
+     * @returns {number} Integer in [0, count)
+     */
+    nextInt(count) {
+        return Math.floor(this.next() * count);
+    }
+
+    static isValidSeed(seed) {
+        return Number.isInteger(seed) && seed >= 0 && seed <= RANDOM_CONFIG.MAX_SEED;
+    }
+
+    /**
+     * @returns {number} Fresh seed from the browser's entropy source
+     */
+    static randomSeed() {
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            return crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * (RANDOM_CONFIG.MAX_SEED + 1));
+    }
+
+    /**
+     * @param {string} text - Seed typed by the user or read from the URL
+     * @returns {number} Seed
+     * @throws {SeedParseError} If the text is not a whole number in range
+     */
+    static parseSeed(text) {
+        const trimmed = String(text).trim();
+        if (!/^\d+$/.test(trimmed)) {
+            throw new SeedParseError('a seed is a whole number such as 12345');
+        }
+
+        const seed = Number(trimmed);
+        if (!SeededRandom.isValidSeed(seed)) {
+            throw new SeedParseError(`a seed must be at most ${RANDOM_CONFIG.MAX_SEED}`);
+        }
+        return seed;
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * Game of Life Run Controls
+ * Play/pause, step, the speed slider and max speed button, and running to a generation
+ */
+
+/**
+ * Wires a board's playback controls to it and keeps them showing its state. The board
+ * owns the state (playing, speed, run target); this only reads it and calls the board.
+ */
+class RunControls {
+    /**
+     * @param {ConwayGameOfLife} game - Board the controls belong to, which looks them up by CONFIG.ELEMENTS id
+     */
+    constructor(game) {
+        this.game = game;
+        this.playPauseBtn = game.findElement(CONFIG.ELEMENTS.PLAY_PAUSE_BTN);
+        this.stepBtn = game.findElement(CONFIG.ELEMENTS.STEP_BTN);
+        this.speedSlider = game.findElement(CONFIG.ELEMENTS.SPEED_SLIDER);
+        this.speedControl = game.findElement(CONFIG.ELEMENTS.SPEED_CONTROL);
+        this.speedLabel = game.findElement(CONFIG.ELEMENTS.SPEED_LABEL);
+        this.maxSpeedBtn = game.findElement(CONFIG.ELEMENTS.MAX_SPEED_BTN);
+        this.runMode = game.findElement(CONFIG.ELEMENTS.RUN_MODE);
+        this.runCount = game.findElement(CONFIG.ELEMENTS.RUN_COUNT);
+        this.runBtn = game.findElement(CONFIG.ELEMENTS.RUN_BTN);
+        this.runStatus = game.findElement(CONFIG.ELEMENTS.RUN_STATUS);
+
+        // Mobile: a long press on play/pause shows the speed slider
+        this.isLongPress = false;
+        this.longPressTimer = null;
+        this.boundDocumentClick = null;
+
+        this.setupPlaybackControls();
+        this.setupRunControls();
+    }
+
+    setupPlaybackControls() {
+        if (this.playPauseBtn) {
+            this.playPauseBtn.addEventListener('click', () => this.game.togglePlayPause());
+        }
+        if (this.speedSlider) {
+            this.speedSlider.addEventListener('input', (e) => {
+                this.game.setSpeed(parseInt(e.target.value, 10));
+            });
+        }
+        if (this.maxSpeedBtn) {
+            this.maxSpeedBtn.addEventListener('click', () => this.game.setMaxSpeedMode(!this.game.maxSpeedMode));
+        }
+        if (this.stepBtn) {
+            this.stepBtn.addEventListener('click', () => this.game.step());
+        }
+
+        if (this.game.isMobile && this.playPauseBtn && this.speedControl) {
+            this.setupMobileControls();
+        }
+    }
+
+    setupMobileControls() {
+        this.playPauseBtn.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            this.longPressTimer = setTimeout(() => {
+                this.isLongPress = true;
+                this.speedControl.classList.add(CONFIG.CLASSES.VISIBLE);
+            }, CONFIG.MOBILE.LONG_PRESS_DURATION);
+        });
+
+        this.playPauseBtn.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            clearTimeout(this.longPressTimer);
+
+            if (!this.isLongPress) {
+                this.game.togglePlayPause();
+            }
+            this.isLongPress = false;
+        });
+
+        // Hide speed control when clicking elsewhere
+        this.boundDocumentClick = (e) => {
+            if (!this.speedControl.contains(e.target) && e.target !== this.playPauseBtn) {
+                this.speedControl.classList.remove(CONFIG.CLASSES.VISIBLE);
+            }
+        };
+        document.addEventListener('click', this.boundDocumentClick);
+    }
+
+    setupRunControls() {
+        if (this.runCount && !this.runCount.value) {
+            this.runCount.value = String(CONFIG.RUN.COUNT_DEFAULT);
+        }
+        if (this.runBtn && this.runCount) {
+            this.runBtn.addEventListener('click', () => {
+                if (this.game.runTarget !== null) {
+                    this.game.stopRun();
+                    return;
+                }
+
+                const value = parseInt(this.runCount.value, 10);
+                if (!(value > 0)) {
+                    this.setStatus('Enter a whole number of generations.');
+                } else if (this.runMode && this.runMode.value === CONFIG.RUN.MODES.UNTIL) {
+                    this.game.runTo(value);
+                } else {
+                    this.game.step(value);
+                }
+            });
+            this.runCount.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.runBtn.click();
+            });
+        }
+        this.syncRun();
+    }
+
+    syncPlayPause() {
+        if (!this.playPauseBtn) return;
+
+        // Pressed while running, so assistive tech reads it as a play toggle
+        this.playPauseBtn.setAttribute('aria-pressed', String(this.game.isPlaying));
+        const icon = this.playPauseBtn.querySelector(CONFIG.ELEMENTS.BTN_ICON);
+        if (icon) {
+            icon.innerHTML = this.game.isPlaying ? CONFIG.ICONS.PAUSE : CONFIG.ICONS.PLAY;
+        }
+    }
+
+    syncSpeed() {
+        const game = this.game;
+        const speed = game.sliderToSpeed(game.sliderValue);
+        const text = game.maxSpeedMode ? CONFIG.SPEED.MAX_LABEL : `${speed < 100 ? speed.toFixed(1) : Math.round(speed)}x`;
+
+        if (this.speedSlider) {
+            this.speedSlider.value = String(game.sliderValue);
+            this.speedSlider.setAttribute('aria-valuetext', game.maxSpeedMode ? 'Maximum speed' : `${text} speed`);
+        }
+        if (this.maxSpeedBtn) {
+            this.maxSpeedBtn.setAttribute('aria-pressed', String(game.maxSpeedMode));
+        }
+        if (this.speedLabel) {
+            this.speedLabel.textContent = text;
+        }
+    }
+
+    syncRun() {
+        const running = this.game.runTarget !== null;
+        if (this.runBtn) {
+            this.runBtn.textContent = running ? CONFIG.RUN.LABELS.STOP : CONFIG.RUN.LABELS.START;
+        }
+        if (this.runCount) {
+            this.runCount.disabled = running;
+        }
+        if (this.runMode) {
+            this.runMode.disabled = running;
+        }
+        this.setStatus('');
+    }
+
+    setStatus(text) {
+        if (this.runStatus) {
+            this.runStatus.textContent = text;
+        }
+    }
+
+    destroy() {
+        clearTimeout(this.longPressTimer);
+        if (this.boundDocumentClick) {
+            document.removeEventListener('click', this.boundDocumentClick);
+        }
+    }
+}
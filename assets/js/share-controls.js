@@ -0,0 +1,199 @@
+/**
+ * Game of Life Share Controls
+ * Creates permalinks to a board and opens them again; the link format lives in permalink.js
+ */
+
+class ShareControls {
+    /**
+     * @param {ConwayGameOfLife} game - Board to share, which looks the controls up by CONFIG.ELEMENTS id
+     */
+    constructor(game) {
+        this.game = game;
+        this.shareBtn = game.findElement(CONFIG.ELEMENTS.SHARE_BTN);
+        this.shareUrl = game.findElement(CONFIG.ELEMENTS.SHARE_URL);
+        this.shareStatus = game.findElement(CONFIG.ELEMENTS.SHARE_STATUS);
+        this.shareError = game.findElement(CONFIG.ELEMENTS.SHARE_ERROR);
+        this.boundHashChange = null;
+
+        if (this.shareBtn) {
+            this.shareBtn.addEventListener('click', () => this.sharePermalink());
+        }
+        if (this.shareUrl) {
+            this.shareUrl.addEventListener('focus', () => this.shareUrl.select());
+        }
+
+        // Following a permalink on the same page (e.g. pasted into the address bar)
+        if (game.page) {
+            this.boundHashChange = () => {
+                if (Permalink.isPermalink(window.location.hash)) {
+                    this.loadPermalink(window.location.hash);
+                }
+            };
+            window.addEventListener('hashchange', this.boundHashChange);
+        }
+    }
+
+    /**
+     * The board comes from the engine, so on the unbounded plane it includes cells out of view
+     * @returns {Promise<Object>} Current board and settings as a permalink state (see permalink.js)
+     * @throws {PermalinkError} If the board can't be read or is too spread out to share
+     */
+    async getPermalinkState() {
+        const game = this.game;
+        const board = await game.requestBoard();
+        if (!board) {
+            throw new PermalinkError('the board could not be read');
+        }
+        const bounds = board.bounds;
+        if (bounds && !board.cells) {
+            throw new PermalinkError(`the live cells are spread over ${bounds.width}×${bounds.height} cells, too many to share`);
+        }
+
+        const cells = game.getBoardCellRows(board);
+        const pattern = cells ? PatternIO.fromCells(cells, { rule: game.rule.toString() }) : null;
+        const centre = game.camera.getCentre();
+
+        return {
+            rule: game.rule.toString(),
+            topology: game.topology,
+            speed: Math.round(game.sliderValue),
+            maxSpeed: game.maxSpeedMode,
+            paused: !game.isPlaying,
+            generation: board.generation,
+            camera: { zoom: game.camera.zoom, row: centre.row, col: centre.col },
+            pattern,
+            origin: bounds ? { row: bounds.row, col: bounds.col } : null
+        };
+    }
+
+    /**
+     * Put the current state in the address bar and copy the link
+     * @returns {Promise<string|null>} The permalink, or null if the board can't be shared
+     */
+    async sharePermalink() {
+        let url;
+        try {
+            const hash = Permalink.encode(await this.getPermalinkState());
+            if (hash.length > PERMALINK_CONFIG.MAX_HASH_LENGTH) {
+                throw new PermalinkError('the board is too large for a link');
+            }
+            url = `${window.location.href.split('#')[0]}${hash}`;
+
+            // replaceState doesn't fire hashchange or add a history entry per share.
+            // Embedded boards leave the host page's address alone.
+            if (this.game.page) {
+                history.replaceState(null, '', hash);
+            }
+        } catch (error) {
+            // This runs from a click, so the panel is the only place left to report anything
+            this.game.setPanelMessage(this.shareError, `Could not create a link: ${error.message}.`);
+            return null;
+        }
+        if (this.shareUrl) {
+            this.shareUrl.value = url;
+        }
+        this.game.setPanelMessage(this.shareError, '');
+
+        let message = 'Link ready. Copy it from the box above.';
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            try {
+                await navigator.clipboard.writeText(url);
+                message = 'Link copied to the clipboard.';
+            } catch (error) {
+                // Keep the fallback message; the link is still in the box and the address bar
+            }
+        }
+        if (this.shareStatus) {
+            this.shareStatus.textContent = message;
+            this.shareStatus.hidden = false;
+        }
+        return url;
+    }
+
+    /**
+     * Restore a shared board and its settings, leaving everything untouched if the link is bad
+     * @param {string} hash - URL hash
+     * @returns {boolean} Whether a permalink was loaded
+     */
+    loadPermalink(hash) {
+        if (!Permalink.isPermalink(hash)) return false;
+
+        try {
+            this.applyPermalinkState(Permalink.decode(hash, { width: this.game.cols, height: this.game.rows }));
+        } catch (error) {
+            if (!(error instanceof PermalinkError)) throw error;
+
+            this.game.setPanelMessage(this.shareError, `Could not open the shared link: ${error.message}.`);
+            return false;
+        }
+
+        this.game.setPanelMessage(this.shareError, '');
+        return true;
+    }
+
+    /**
+     * @param {Object} state - Decoded permalink state
+     * @throws {PermalinkError} If the state doesn't fit this board or names unknown settings
+     */
+    applyPermalinkState(state) {
+        const game = this.game;
+
+        // Check everything before changing anything
+        let rule;
+        try {
+            rule = LifeRule.parse(state.rule);
+        } catch (error) {
+            if (!(error instanceof RuleParseError)) throw error;
+            throw new PermalinkError(`its rule is invalid (${error.message})`);
+        }
+        if (!Object.values(ENGINE_CONFIG.TOPOLOGIES).includes(state.topology)) {
+            throw new PermalinkError(`its topology "${state.topology}" is unknown`);
+        }
+        const unbounded = state.topology === ENGINE_CONFIG.TOPOLOGIES.UNBOUNDED;
+        if (unbounded && !HashLifeEngine.supportsRule(rule)) {
+            throw new PermalinkError(`${rule} cannot run on an unbounded plane`);
+        }
+        if (!Number.isInteger(state.speed) || state.speed < CONFIG.SPEED.SLIDER_MIN || state.speed > CONFIG.SPEED.SLIDER_MAX) {
+            throw new PermalinkError('its speed is out of range');
+        }
+        const pattern = state.pattern;
+        if (pattern && !unbounded && (pattern.width > game.cols || pattern.height > game.rows)) {
+            throw new PermalinkError(
+                `its board is ${pattern.width}×${pattern.height} cells but this screen only fits ${game.cols}×${game.rows}`
+            );
+        }
+
+        // The unbounded plane only accepts some rules, so switch in whichever order keeps both valid
+        if (unbounded) {
+            game.setRule(state.rule);
+            game.setTopology(state.topology);
+        } else {
+            game.setTopology(state.topology);
+            game.setRule(state.rule);
+        }
+        game.setSpeed(state.speed);
+        if (state.maxSpeed) {
+            game.setMaxSpeedMode(true);
+        }
+
+        game.clearGrid();
+        if (pattern && unbounded) {
+            game.placePatternOnPlane(pattern, state.origin);
+        } else if (pattern) {
+            game.placePatternAt(pattern, state.origin);
+        }
+        game.setGeneration(state.generation);
+
+        game.camera.lookAt(state.camera.row, state.camera.col, state.camera.zoom);
+        if (state.paused === game.isPlaying) {
+            game.togglePlayPause();
+        }
+        game.needsRedraw = true;
+    }
+
+    destroy() {
+        if (this.boundHashChange) {
+            window.removeEventListener('hashchange', this.boundHashChange);
+        }
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * Game of Life Shortcut Help
+ * The overlay listing keyboard shortcuts, built from CONFIG.SHORTCUT_HELP
+ */
+
+class ShortcutHelp {
+    /**
+     * @param {ConwayGameOfLife} game - Board the overlay belongs to, which looks it up by CONFIG.ELEMENTS id
+     */
+    constructor(game) {
+        this.game = game;
+        this.overlay = game.findElement(CONFIG.ELEMENTS.SHORTCUT_HELP);
+        this.button = game.findElement(CONFIG.ELEMENTS.SHORTCUT_HELP_BTN);
+
+        if (this.overlay) {
+            this.setup();
+        }
+    }
+
+    setup() {
+        const list = this.overlay.querySelector(`#${CONFIG.ELEMENTS.SHORTCUT_LIST}`);
+        if (list) {
+            list.replaceChildren();
+            CONFIG.SHORTCUT_HELP.forEach(([keys, action]) => {
+                const term = document.createElement('dt');
+                const kbd = document.createElement('kbd');
+                kbd.textContent = keys;
+                term.appendChild(kbd);
+                const description = document.createElement('dd');
+                description.textContent = action;
+                list.append(term, description);
+            });
+        }
+
+        const close = this.overlay.querySelector(`#${CONFIG.ELEMENTS.SHORTCUT_HELP_CLOSE}`);
+        if (close) {
+            close.addEventListener('click', () => this.setOpen(false));
+        }
+        if (this.button) {
+            this.button.addEventListener('click', () => this.setOpen(true));
+        }
+    }
+
+    isOpen() {
+        return Boolean(this.overlay && !this.overlay.hidden);
+    }
+
+    /**
+     * @param {boolean} open - Whether the overlay should be shown
+     */
+    setOpen(open) {
+        if (!this.overlay) return;
+
+        this.overlay.hidden = !open;
+        if (this.button) {
+            this.button.setAttribute('aria-expanded', String(open));
+        }
+        if (open) {
+            this.overlay.focus();
+        } else if (this.overlay.contains(document.activeElement)) {
+            // Give focus back to the board so the shortcuts keep working
+            this.game.canvas.focus();
+        }
+    }
+}
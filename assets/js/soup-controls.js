@@ -0,0 +1,191 @@
+/**
+ * Game of Life Soup Controls
+ * Seeds and random soups, and reseeding the board a while after it settles
+ */
+
+/**
+ * The board keeps the seed and its generator (see random.js) and makes the soups;
+ * this wires the panel's seed and soup controls to it and decides when to reseed.
+ */
+class SoupControls {
+    /**
+     * @param {ConwayGameOfLife} game - Board the controls belong to, which looks them up by CONFIG.ELEMENTS id
+     * @param {boolean} autoReseed - Reseed a while after the board settles
+     */
+    constructor(game, autoReseed) {
+        this.game = game;
+        this.seedInput = game.findElement(CONFIG.ELEMENTS.SEED_INPUT);
+        this.newSeedBtn = game.findElement(CONFIG.ELEMENTS.NEW_SEED_BTN);
+        this.restartBtn = game.findElement(CONFIG.ELEMENTS.RESTART_BTN);
+        this.soupDensity = game.findElement(CONFIG.ELEMENTS.SOUP_DENSITY);
+        this.soupRegion = game.findElement(CONFIG.ELEMENTS.SOUP_REGION);
+        this.soupBtn = game.findElement(CONFIG.ELEMENTS.SOUP_BTN);
+        this.seedError = game.findElement(CONFIG.ELEMENTS.SEED_ERROR);
+        this.cycleStatus = game.findElement(CONFIG.ELEMENTS.CYCLE_STATUS);
+        this.autoReseedToggle = game.findElement(CONFIG.ELEMENTS.AUTO_RESEED_TOGGLE);
+        this.reseedMode = game.findElement(CONFIG.ELEMENTS.RESEED_MODE);
+        this.reseedDelay = game.findElement(CONFIG.ELEMENTS.RESEED_DELAY);
+
+        // When to reseed because the board has settled, null if it shouldn't
+        this.autoReseed = autoReseed;
+        this.reseedAt = null;
+
+        this.setupSoupControls();
+        this.setupReseedControls();
+    }
+
+    setupSoupControls() {
+        if (this.seedInput) {
+            this.seedInput.value = String(this.game.seed);
+            this.seedInput.addEventListener('change', () => this.setSeedText(this.seedInput.value));
+        }
+        if (this.newSeedBtn) {
+            this.newSeedBtn.addEventListener('click', () => this.game.setSeed(SeededRandom.randomSeed()));
+        }
+        if (this.restartBtn) {
+            this.restartBtn.addEventListener('click', () => this.game.restartFromSeed());
+        }
+        if (this.soupDensity && !this.soupDensity.value) {
+            this.soupDensity.value = String(CONFIG.SOUP.DENSITY_DEFAULT);
+        }
+        if (this.soupBtn) {
+            this.soupBtn.addEventListener('click', () => this.randomSoup());
+        }
+    }
+
+    setupReseedControls() {
+        if (this.autoReseedToggle) {
+            this.autoReseedToggle.checked = this.autoReseed;
+            this.autoReseedToggle.addEventListener('change', () => this.setAutoReseed(this.autoReseedToggle.checked));
+        }
+        if (this.reseedDelay && !this.reseedDelay.value) {
+            this.reseedDelay.value = String(CONFIG.CYCLES.RESEED_DELAY_DEFAULT);
+        }
+        this.syncCycleStatus();
+    }
+
+    /**
+     * Random soup with the density and region chosen in the panel
+     * @returns {boolean} Whether the soup was placed
+     */
+    randomSoup() {
+        const density = this.soupDensity ? parseFloat(this.soupDensity.value) : CONFIG.SOUP.DENSITY_DEFAULT;
+        const region = this.soupRegion ? this.soupRegion.value : CONFIG.SOUP.REGIONS.BOARD;
+        return this.game.randomSoup(region, (Number.isNaN(density) ? CONFIG.SOUP.DENSITY_DEFAULT : density) / 100);
+    }
+
+    /**
+     * @param {string} text - Seed typed by the user or read from the URL
+     * @returns {boolean} Whether the seed was applied
+     */
+    setSeedText(text) {
+        let seed;
+        try {
+            seed = SeededRandom.parseSeed(text);
+        } catch (error) {
+            if (!(error instanceof SeedParseError)) throw error;
+
+            if (this.seedInput) {
+                this.seedInput.setAttribute('aria-invalid', 'true');
+            }
+            this.showError(`Invalid seed: ${error.message}. Still using ${this.game.seed}.`);
+            return false;
+        }
+
+        this.game.setSeed(seed);
+        return true;
+    }
+
+    /**
+     * Show the board's seed, clearing any complaint about a typed one
+     */
+    syncSeed() {
+        if (this.seedInput) {
+            this.seedInput.value = String(this.game.seed);
+            this.seedInput.removeAttribute('aria-invalid');
+        }
+        this.showError('');
+    }
+
+    /**
+     * @param {string} message - Why a seed or soup was refused, or '' to clear it
+     */
+    showError(message) {
+        this.game.setPanelMessage(this.seedError, message);
+    }
+
+    setAutoReseed(enabled) {
+        this.autoReseed = enabled;
+        if (this.autoReseedToggle) {
+            this.autoReseedToggle.checked = enabled;
+        }
+        this.scheduleReseed();
+    }
+
+    /**
+     * Show the board's new cycle state and reseed in a while if it has settled
+     */
+    cycleChanged() {
+        this.syncCycleStatus();
+        this.scheduleReseed();
+    }
+
+    scheduleReseed() {
+        if (!this.game.cycle || !this.autoReseed) {
+            this.reseedAt = null;
+            return;
+        }
+
+        const seconds = this.reseedDelay ? parseFloat(this.reseedDelay.value) : CONFIG.CYCLES.RESEED_DELAY_DEFAULT;
+        const delay = Number.isNaN(seconds) || seconds < 0 ? CONFIG.CYCLES.RESEED_DELAY_DEFAULT : seconds;
+        this.reseedAt = performance.now() + delay * 1000;
+    }
+
+    syncCycleStatus() {
+        if (!this.cycleStatus) return;
+
+        const kinds = CYCLE_CONFIG.KINDS;
+        const cycle = this.game.cycle;
+        let text = 'Still evolving.';
+        if (cycle && cycle.kind === kinds.EXTINCT) {
+            text = `Extinct since generation ${cycle.generation.toLocaleString()}.`;
+        } else if (cycle && cycle.kind === kinds.STILL_LIFE) {
+            text = `Still life since generation ${cycle.generation.toLocaleString()}.`;
+        } else if (cycle) {
+            text = `Period-${cycle.period} oscillation since generation ${cycle.generation.toLocaleString()}.`;
+        }
+        this.cycleStatus.textContent = text;
+    }
+
+    /**
+     * Reseed if the board has been settled long enough; called every animation frame
+     * @param {number} now - Timestamp in milliseconds
+     */
+    tick(now) {
+        if (this.reseedAt !== null && this.game.isPlaying && now >= this.reseedAt) {
+            this.reseed();
+        }
+    }
+
+    /**
+     * Liven up a settled board, either from a new seed or by adding a pattern
+     */
+    reseed() {
+        const game = this.game;
+        this.reseedAt = null;
+        const mode = this.reseedMode ? this.reseedMode.value : CONFIG.CYCLES.RESEED_MODES.RESTART;
+
+        if (mode === CONFIG.CYCLES.RESEED_MODES.INJECT) {
+            const patternIds = CONFIG.CYCLES.INJECT_PATTERNS;
+            const pattern = PatternLibrary.load(patternIds[game.random.nextInt(patternIds.length)]);
+            game.placePattern(
+                pattern.cells,
+                game.random.nextInt(Math.max(1, game.rows - pattern.height + 1)),
+                game.random.nextInt(Math.max(1, game.cols - pattern.width + 1))
+            );
+        } else {
+            game.setSeed(SeededRandom.randomSeed());
+            game.restartFromSeed();
+        }
+    }
+}
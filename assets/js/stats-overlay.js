@@ -0,0 +1,121 @@
+/**
+ * Game of Life Statistics Overlay
+ * Shows a board's LifeStats figures (see life-stats.js) and a sparkline of its population
+ */
+
+class StatsOverlay {
+    /**
+     * @param {ConwayGameOfLife} game - Board to show figures for, which looks the overlay up by CONFIG.ELEMENTS id
+     */
+    constructor(game) {
+        this.game = game;
+        this.toggle = game.findElement(CONFIG.ELEMENTS.STATS_TOGGLE);
+        this.overlay = game.findElement(CONFIG.ELEMENTS.STATS_OVERLAY);
+        this.generation = game.findElement(CONFIG.ELEMENTS.STATS_GENERATION);
+        this.population = game.findElement(CONFIG.ELEMENTS.STATS_POPULATION);
+        this.births = game.findElement(CONFIG.ELEMENTS.STATS_BIRTHS);
+        this.deaths = game.findElement(CONFIG.ELEMENTS.STATS_DEATHS);
+        this.rate = game.findElement(CONFIG.ELEMENTS.STATS_RATE);
+        this.sparkline = game.findElement(CONFIG.ELEMENTS.STATS_SPARKLINE);
+
+        this.visible = false;
+        this.lastUpdate = -Infinity;
+
+        if (this.toggle) {
+            this.toggle.addEventListener('change', () => this.setVisible(this.toggle.checked));
+        }
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        if (this.toggle) {
+            this.toggle.checked = visible;
+        }
+        if (this.overlay) {
+            this.overlay.hidden = !visible;
+        }
+        if (visible) {
+            this.update(performance.now());
+        }
+    }
+
+    /**
+     * Refresh the figures if they are showing and due; called every animation frame
+     * @param {number} now - Timestamp in milliseconds
+     */
+    tick(now) {
+        if (this.visible && now - this.lastUpdate >= CONFIG.STATS.UPDATE_INTERVAL) {
+            this.update(now);
+        }
+    }
+
+    /**
+     * @param {number} now - Timestamp in milliseconds
+     */
+    update(now) {
+        this.lastUpdate = now;
+        const game = this.game;
+        const stats = game.stats;
+        const perStep = (value) => {
+            if (value === null) return '–';
+            return Number.isInteger(value) ? value.toLocaleString() : value.toFixed(1);
+        };
+
+        // Max speed has no set rate; it is whatever the engine manages
+        const requested = game.isPlaying && !game.maxSpeedMode ? 1000 / game.updateInterval : 0;
+
+        if (this.generation) {
+            this.generation.textContent = stats.generation.toLocaleString();
+        }
+        if (this.population) {
+            this.population.textContent = stats.population.toLocaleString();
+        }
+        if (this.births) {
+            this.births.textContent = perStep(stats.births);
+        }
+        if (this.deaths) {
+            this.deaths.textContent = perStep(stats.deaths);
+        }
+        if (this.rate) {
+            const set = game.maxSpeedMode && game.isPlaying ? CONFIG.SPEED.MAX_LABEL.toLowerCase() : requested.toFixed(1);
+            this.rate.textContent = `${stats.rate(now).toFixed(1)} / ${set}`;
+        }
+        this.drawSparkline();
+    }
+
+    /**
+     * Plot the population history, scaled to fill the sparkline canvas
+     */
+    drawSparkline() {
+        if (!this.sparkline) return;
+
+        const ctx = this.sparkline.getContext('2d');
+        if (!ctx) return;
+
+        const { width, height } = this.sparkline;
+        const history = this.game.stats.history;
+        ctx.clearRect(0, 0, width, height);
+        if (history.length < 2) return;
+
+        const min = Math.min(...history);
+        const range = Math.max(1, Math.max(...history) - min);
+        const inset = CONFIG.STATS.SPARKLINE_LINE_WIDTH;
+        const step = (width - 2 * inset) / (STATS_CONFIG.HISTORY_LENGTH - 1);
+        const left = width - inset - (history.length - 1) * step; // Newest sample at the right edge
+
+        ctx.strokeStyle = getComputedStyle(this.sparkline).color;
+        ctx.lineWidth = CONFIG.STATS.SPARKLINE_LINE_WIDTH;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        history.forEach((population, k) => {
+            const x = left + k * step;
+            const y = height - inset - ((population - min) / range) * (height - 2 * inset);
+            if (k === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * Game of Life Storage Controls
+ * Saves a board's preferences, and the board if asked, as they change, and restores them on load
+ */
+
+/**
+ * The stored format and localStorage access live in game-storage.js; this decides
+ * what to save and when, and wires the panel's storage controls to it
+ */
+class StorageControls {
+    /**
+     * @param {ConwayGameOfLife} game - Board to remember, which looks the controls up by CONFIG.ELEMENTS id
+     * @param {string|null} storageKey - localStorage key, or null to remember nothing
+     */
+    constructor(game, storageKey) {
+        this.game = game;
+        this.storage = storageKey ? new GameStorage(storageKey) : null;
+        this.saveBoardToggle = game.findElement(CONFIG.ELEMENTS.SAVE_BOARD_TOGGLE);
+        this.resetDefaultsBtn = game.findElement(CONFIG.ELEMENTS.RESET_DEFAULTS_BTN);
+
+        this.saveBoard = false;
+        this.saveTimeout = null;
+        this.boundPageHide = null;
+
+        if (this.saveBoardToggle) {
+            this.saveBoardToggle.addEventListener('change', () => this.setSaveBoard(this.saveBoardToggle.checked));
+        }
+        if (this.resetDefaultsBtn) {
+            this.resetDefaultsBtn.addEventListener('click', () => this.resetToDefaults());
+        }
+        if (this.storage) {
+            this.boundPageHide = () => this.saveSession();
+            window.addEventListener('pagehide', this.boundPageHide);
+        }
+    }
+
+    /**
+     * @returns {Object|null} Saved data (see game-storage.js), or null if there is none
+     */
+    load() {
+        return this.storage ? this.storage.load() : null;
+    }
+
+    /**
+     * @param {boolean} enabled - Whether to remember the board along with the preferences
+     */
+    setSaveBoard(enabled) {
+        this.saveBoard = enabled;
+        if (this.saveBoardToggle) {
+            this.saveBoardToggle.checked = enabled;
+        }
+        this.scheduleSave();
+    }
+
+    /**
+     * @returns {Object} Preferences in the stored form (see game-storage.js)
+     */
+    getPreferences() {
+        const game = this.game;
+
+        // Hiding the tab pauses the board, but that is not the user's choice
+        const playing = document.hidden && game.wasPlaying !== undefined ? game.wasPlaying : game.isPlaying;
+        return {
+            speed: game.sliderValue,
+            maxSpeed: game.maxSpeedMode,
+            paused: !playing,
+            rule: game.rule.toString(),
+            renderMode: game.renderMode,
+            saveBoard: this.saveBoard
+        };
+    }
+
+    /**
+     * Apply stored preferences, skipping any that don't make sense on this board
+     * @param {Object} preferences - As returned by getPreferences()
+     */
+    applyPreferences(preferences) {
+        const game = this.game;
+
+        if (typeof preferences.rule === 'string' && preferences.rule !== game.rule.toString()) {
+            game.setRule(preferences.rule);
+        }
+        if (typeof preferences.renderMode === 'string' && preferences.renderMode !== game.renderMode) {
+            game.setRenderMode(preferences.renderMode);
+        }
+        if (typeof preferences.speed === 'number') {
+            game.setSpeed(preferences.speed);
+        }
+        if (preferences.maxSpeed === true) {
+            game.setMaxSpeedMode(true);
+        }
+        if (typeof preferences.paused === 'boolean' && preferences.paused === game.isPlaying) {
+            game.togglePlayPause();
+        }
+        this.setSaveBoard(preferences.saveBoard === true);
+    }
+
+    /**
+     * @param {Object} board - Stored board, {rle, origin}
+     * @returns {boolean} Whether the board was placed; it may not fit a smaller screen
+     */
+    restoreBoard(board) {
+        const game = this.game;
+        let pattern;
+        try {
+            pattern = PatternIO.parseRLE(board.rle);
+        } catch (error) {
+            if (!(error instanceof PatternParseError)) throw error;
+            return false;
+        }
+        if (pattern.width === 0 || pattern.width > game.cols || pattern.height > game.rows) return false;
+
+        game.clearGrid();
+        game.placePatternAt(pattern, board.origin);
+        return true;
+    }
+
+    /**
+     * Save a moment from now, so a burst of changes (e.g. dragging the speed slider) is one write
+     */
+    scheduleSave() {
+        if (!this.storage) return;
+
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => this.saveSession(), CONFIG.STORAGE.SAVE_DELAY);
+    }
+
+    saveSession() {
+        if (!this.storage) return;
+
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+
+        const game = this.game;
+        const preferences = this.getPreferences();
+        const bounds = this.saveBoard ? game.getLiveBounds() : null;
+        const board = bounds ? {
+            rle: PatternIO.toRLE({ ...game.getRegionPattern(bounds), name: '', comments: [], rule: null }),
+            origin: { row: bounds.row, col: bounds.col }
+        } : null;
+
+        // A board too big for the storage quota still leaves the preferences worth keeping
+        if (!this.storage.save({ preferences, board }) && board) {
+            this.storage.save({ preferences, board: null });
+        }
+    }
+
+    /**
+     * Go back to the board's starting preferences and forget everything stored
+     */
+    resetToDefaults() {
+        const game = this.game;
+
+        // Setting the speed also leaves max speed mode
+        this.applyPreferences({
+            speed: game.speedToSlider(game.startSpeed !== undefined ? game.startSpeed : 1),
+            paused: !game.autoplay,
+            rule: game.defaultRule,
+            renderMode: game.defaultRenderMode,
+            saveBoard: false
+        });
+
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        if (this.storage) {
+            this.storage.clear();
+        }
+    }
+
+    /**
+     * Save anything still waiting to be saved and stop listening to the page
+     */
+    destroy() {
+        if (this.saveTimeout) {
+            this.saveSession();
+        }
+        if (this.boundPageHide) {
+            window.removeEventListener('pagehide', this.boundPageHide);
+        }
+    }
+}
@@ -1,24 +1,158 @@
 /**
  * Theme Toggle Functionality
- * Handles light/dark mode switching with persistent storage
+ * Handles named colour themes, a custom palette editor and persistent storage
  */
 
 // Theme Configuration Constants
 const THEME_CONFIG = {
     // Element IDs
     ELEMENTS: {
-        THEME_SWITCH: 'theme-switch'
+        THEME_SWITCH: 'theme-switch',
+        THEME_SELECT: 'theme-select',
+        THEME_EDIT_BTN: 'theme-edit-btn',
+        THEME_EDITOR: 'theme-editor',
+        THEME_EDITOR_FIELDS: 'theme-editor-fields',
+        THEME_EDITOR_CANCEL: 'theme-editor-cancel'
     },
     
     // Theme Values
     THEMES: {
         LIGHT: 'light',
-        DARK: 'dark'
+        DARK: 'dark',
+        HIGH_CONTRAST: 'high-contrast',
+        SOLARIZED: 'solarized',
+        AMBER: 'amber',
+        CUSTOM: 'custom'
+    },
+    
+    /**
+     * Built-in palettes, keyed by theme. base picks the light or dark page styles
+     * that aren't covered by variables; board, cell and accent colour the canvas.
+     * Canvas colours must be #rrggbb, since the game mixes them.
+     */
+    PALETTES: {
+        dark: {
+            label: 'Dark',
+            base: 'dark',
+            colors: {
+                bgPrimary: '#0a0a0a',
+                bgSecondary: '#101010',
+                bgTertiary: '#202020',
+                textPrimary: '#ffffff',
+                textSecondary: '#b3b3b3',
+                textHover: '#ffffff',
+                accent: '#4a9eff',
+                border: '#222222',
+                shadow: 'rgba(0, 0, 0, 0.5)',
+                board: '#0a0a0a',
+                cell: '#ffffff'
+            }
+        },
+        light: {
+            label: 'Light',
+            base: 'light',
+            colors: {
+                bgPrimary: '#fdfaf5',
+                bgSecondary: '#f9f6f1',
+                bgTertiary: '#f5f0e8',
+                textPrimary: '#2d2520',
+                textSecondary: '#6b5d52',
+                textHover: '#1a1512',
+                accent: '#0066cc',
+                border: '#e8ded0',
+                shadow: 'rgba(45, 37, 32, 0.1)',
+                board: '#ffffff',
+                cell: '#212529'
+            }
+        },
+        'high-contrast': {
+            label: 'High contrast',
+            base: 'dark',
+            colors: {
+                bgPrimary: '#000000',
+                bgSecondary: '#000000',
+                bgTertiary: '#1a1a1a',
+                textPrimary: '#ffffff',
+                textSecondary: '#ffffff',
+                textHover: '#ffff00',
+                accent: '#ffff00',
+                border: '#ffffff',
+                shadow: 'rgba(0, 0, 0, 0)',
+                board: '#000000',
+                cell: '#ffffff'
+            }
+        },
+        solarized: {
+            label: 'Solarized',
+            base: 'dark',
+            colors: {
+                bgPrimary: '#002b36',
+                bgSecondary: '#073642',
+                bgTertiary: '#0b4150',
+                textPrimary: '#93a1a1',
+                textSecondary: '#839496',
+                textHover: '#eee8d5',
+                accent: '#268bd2',
+                border: '#586e75',
+                shadow: 'rgba(0, 0, 0, 0.3)',
+                board: '#002b36',
+                cell: '#b58900'
+            }
+        },
+        amber: {
+            label: 'Amber terminal',
+            base: 'dark',
+            colors: {
+                bgPrimary: '#0c0700',
+                bgSecondary: '#140c00',
+                bgTertiary: '#221500',
+                textPrimary: '#ffb000',
+                textSecondary: '#cc8c00',
+                textHover: '#ffcc4d',
+                accent: '#ff7a00',
+                border: '#3a2600',
+                shadow: 'rgba(0, 0, 0, 0.6)',
+                board: '#0c0700',
+                cell: '#ffb000'
+            }
+        }
+    },
+    
+    // Palette entries and the CSS custom properties they set on the page. Light and dark
+    // are the stylesheet's own values, so those are left to it (and its prefers-contrast rules).
+    CSS_VARIABLES: {
+        bgPrimary: '--bg-primary',
+        bgSecondary: '--bg-secondary',
+        bgTertiary: '--bg-tertiary',
+        textPrimary: '--text-primary',
+        textSecondary: '--text-secondary',
+        textHover: '--text-hover',
+        accent: '--accent',
+        border: '--border',
+        shadow: '--shadow'
+    },
+    
+    // Custom Palette Editor
+    EDITOR: {
+        LABEL: 'Custom',
+        // Colours the editor offers, as [palette entry, label]; the rest are derived from them
+        FIELDS: [
+            ['bgPrimary', 'Background'],
+            ['bgSecondary', 'Panels'],
+            ['textPrimary', 'Text'],
+            ['textSecondary', 'Muted text'],
+            ['accent', 'Accent'],
+            ['cell', 'Live cells']
+        ],
+        TINT: 0.1,           // How far tertiary backgrounds lean from the panels towards the text
+        BORDER_TINT: 0.2,    // Same for borders
+        LIGHT_LUMINANCE: 0.5 // Backgrounds brighter than this get the light page styles
     },
     
     // Storage Keys
     STORAGE: {
-        THEME_KEY: 'theme'
+        THEME_KEY: 'theme',
+        CUSTOM_PALETTE_KEY: 'theme-custom'
     },
     
     // Attributes
@@ -44,24 +178,42 @@ const THEME_CONFIG = {
     }
 };
 
+/**
+ * The themeChanged event, dispatched on document, has detail {theme, base, palette}
+ * where palette holds the page colours of CSS_VARIABLES plus the canvas's board and
+ * cell. ThemeManager.active holds the same for scripts that start after the first event.
+ */
 class ThemeManager {
     constructor() {
         this.themeSwitch = document.getElementById(THEME_CONFIG.ELEMENTS.THEME_SWITCH);
+        this.themeSelect = document.getElementById(THEME_CONFIG.ELEMENTS.THEME_SELECT);
+        this.themeEditBtn = document.getElementById(THEME_CONFIG.ELEMENTS.THEME_EDIT_BTN);
+        this.themeEditor = document.getElementById(THEME_CONFIG.ELEMENTS.THEME_EDITOR);
+        this.themeEditorFields = document.getElementById(THEME_CONFIG.ELEMENTS.THEME_EDITOR_FIELDS);
+        this.themeEditorCancel = document.getElementById(THEME_CONFIG.ELEMENTS.THEME_EDITOR_CANCEL);
         this.prefersDark = window.matchMedia(THEME_CONFIG.MEDIA_QUERIES.PREFERS_DARK);
         
+        this.theme = THEME_CONFIG.THEMES.DARK;
+        this.editorInputs = {};
+        this.themeBeforeEdit = null;
+        
         this.init();
     }
 
     init() {
         // Set initial theme based on saved preference or system preference
-        const savedTheme = localStorage.getItem(THEME_CONFIG.STORAGE.THEME_KEY);
+        const savedTheme = ThemeManager.readStorage(THEME_CONFIG.STORAGE.THEME_KEY);
         const initialTheme = savedTheme || (this.prefersDark.matches ? THEME_CONFIG.THEMES.DARK : THEME_CONFIG.THEMES.LIGHT);
         
+        this.setupThemeSelect();
+        this.setupEditor();
         this.setTheme(initialTheme);
-        this.updateToggle(initialTheme);
+        this.updateToggle(this.theme);
         
         // Event listeners
-        this.themeSwitch.addEventListener('change', this.handleThemeToggle.bind(this));
+        if (this.themeSwitch) {
+            this.themeSwitch.addEventListener('change', this.handleThemeToggle.bind(this));
+        }
         this.prefersDark.addEventListener('change', this.handleSystemThemeChange.bind(this));
         
         // Smooth transition after initial load
@@ -72,56 +224,330 @@ class ThemeManager {
 
     handleThemeToggle() {
         const newTheme = this.themeSwitch.checked ? THEME_CONFIG.THEMES.LIGHT : THEME_CONFIG.THEMES.DARK;
+        this.closeEditor(true);
         this.setTheme(newTheme);
+        this.updateToggle(newTheme);
         this.saveTheme(newTheme);
     }
 
+    handleThemeSelect() {
+        const theme = this.themeSelect.value;
+        if (theme === THEME_CONFIG.THEMES.CUSTOM && !ThemeManager.loadCustomPalette()) {
+            // Nothing saved yet; start one from the current theme
+            this.openEditor();
+            return;
+        }
+        this.closeEditor(true);
+        this.setTheme(theme);
+        this.updateToggle(theme);
+        this.saveTheme(theme);
+    }
+
     handleSystemThemeChange(e) {
         // Only respond to system theme changes if user hasn't set a preference
-        if (!localStorage.getItem(THEME_CONFIG.STORAGE.THEME_KEY)) {
+        if (!ThemeManager.readStorage(THEME_CONFIG.STORAGE.THEME_KEY)) {
             const systemTheme = e.matches ? THEME_CONFIG.THEMES.DARK : THEME_CONFIG.THEMES.LIGHT;
             this.setTheme(systemTheme);
             this.updateToggle(systemTheme);
         }
     }
 
-    setTheme(theme) {
+    /**
+     * @param {string} theme - One of THEME_CONFIG.THEMES; custom needs a saved palette
+     * @param {Object} [colors] - Palette to show under this theme instead of its own, e.g. an unsaved custom one
+     */
+    setTheme(theme, colors) {
         // Security: Validate theme value
-        if (theme !== THEME_CONFIG.THEMES.LIGHT && theme !== THEME_CONFIG.THEMES.DARK) {
+        const palette = colors || ThemeManager.paletteFor(theme);
+        if (!palette) {
             theme = THEME_CONFIG.THEMES.DARK; // Default to dark if invalid
         }
         
-        if (theme === THEME_CONFIG.THEMES.LIGHT) {
-            document.documentElement.setAttribute(THEME_CONFIG.ATTRIBUTES.DATA_THEME, THEME_CONFIG.THEMES.LIGHT);
-        } else {
-            document.documentElement.removeAttribute(THEME_CONFIG.ATTRIBUTES.DATA_THEME);
-        }
+        this.theme = theme;
+        ThemeManager.apply(theme, palette || ThemeManager.paletteFor(theme));
         
         // Dispatch custom event for other components to listen to
         document.dispatchEvent(new CustomEvent(THEME_CONFIG.EVENTS.THEME_CHANGED, { 
-            detail: { theme } 
+            detail: ThemeManager.active 
         }));
     }
 
     updateToggle(theme) {
-        // Security: Validate theme value
-        if (theme === THEME_CONFIG.THEMES.LIGHT || theme === THEME_CONFIG.THEMES.DARK) {
-            this.themeSwitch.checked = theme === THEME_CONFIG.THEMES.LIGHT;
+        const palette = ThemeManager.paletteFor(theme);
+        if (!palette) return;
+        
+        if (this.themeSwitch) {
+            this.themeSwitch.checked = ThemeManager.baseFor(palette) === THEME_CONFIG.THEMES.LIGHT;
+        }
+        if (this.themeSelect) {
+            this.themeSelect.value = theme;
         }
     }
 
     saveTheme(theme) {
         // Security: Validate before saving to localStorage
-        if (theme === THEME_CONFIG.THEMES.LIGHT || theme === THEME_CONFIG.THEMES.DARK) {
-            localStorage.setItem(THEME_CONFIG.STORAGE.THEME_KEY, theme);
+        if (ThemeManager.paletteFor(theme)) {
+            ThemeManager.writeStorage(THEME_CONFIG.STORAGE.THEME_KEY, theme);
         }
     }
 
     getCurrentTheme() {
-        return document.documentElement.hasAttribute(THEME_CONFIG.ATTRIBUTES.DATA_THEME) ? THEME_CONFIG.THEMES.LIGHT : THEME_CONFIG.THEMES.DARK;
+        return this.theme;
+    }
+
+    setupThemeSelect() {
+        if (!this.themeSelect) return;
+        
+        const options = Object.entries(THEME_CONFIG.PALETTES).map(([theme, palette]) => [theme, palette.label]);
+        options.push([THEME_CONFIG.THEMES.CUSTOM, THEME_CONFIG.EDITOR.LABEL]);
+        options.forEach(([theme, label]) => {
+            const option = document.createElement('option');
+            option.value = theme;
+            option.textContent = label;
+            this.themeSelect.appendChild(option);
+        });
+        this.themeSelect.addEventListener('change', this.handleThemeSelect.bind(this));
+    }
+
+    setupEditor() {
+        if (!this.themeEditor || !this.themeEditorFields) return;
+        
+        THEME_CONFIG.EDITOR.FIELDS.forEach(([key, label]) => {
+            const field = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'color';
+            input.name = key;
+            field.append(input, label);
+            this.themeEditorFields.appendChild(field);
+            this.editorInputs[key] = input;
+        });
+        
+        // Preview as the colours change; nothing is kept until Save
+        this.themeEditor.addEventListener('input', () => {
+            this.setTheme(THEME_CONFIG.THEMES.CUSTOM, this.readEditor());
+        });
+        this.themeEditor.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCustomPalette();
+        });
+        this.themeEditor.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.closeEditor();
+            }
+        });
+        if (this.themeEditorCancel) {
+            this.themeEditorCancel.addEventListener('click', () => this.closeEditor());
+        }
+        if (this.themeEditBtn) {
+            this.themeEditBtn.addEventListener('click', () => {
+                if (this.themeEditor.hidden) {
+                    this.openEditor();
+                } else {
+                    this.closeEditor();
+                }
+            });
+        }
+    }
+
+    /**
+     * Show the editor, filled in from the current theme
+     */
+    openEditor() {
+        if (!this.themeEditor) return;
+        
+        if (this.themeEditor.hidden) {
+            this.themeBeforeEdit = this.theme;
+        }
+        const colors = ThemeManager.active.palette;
+        Object.entries(this.editorInputs).forEach(([key, input]) => {
+            input.value = colors[key];
+        });
+        this.themeEditor.hidden = false;
+        if (this.themeEditBtn) {
+            this.themeEditBtn.setAttribute('aria-expanded', 'true');
+        }
+        if (this.themeSelect) {
+            this.themeSelect.value = THEME_CONFIG.THEMES.CUSTOM;
+        }
+        this.setTheme(THEME_CONFIG.THEMES.CUSTOM, this.readEditor());
+        
+        const first = this.themeEditor.querySelector('input');
+        if (first) first.focus();
+    }
+
+    /**
+     * @param {boolean} [keepTheme] - Leave the previewed theme in place instead of going back
+     */
+    closeEditor(keepTheme) {
+        if (!this.themeEditor || this.themeEditor.hidden) return;
+        
+        this.themeEditor.hidden = true;
+        if (this.themeEditBtn) {
+            this.themeEditBtn.setAttribute('aria-expanded', 'false');
+        }
+        if (!keepTheme && this.themeBeforeEdit) {
+            this.setTheme(this.themeBeforeEdit);
+            this.updateToggle(this.theme);
+        }
+        this.themeBeforeEdit = null;
+    }
+
+    /**
+     * @returns {Object} Full palette from the editor's colours
+     */
+    readEditor() {
+        const colors = {};
+        Object.entries(this.editorInputs).forEach(([key, input]) => {
+            colors[key] = input.value;
+        });
+        return ThemeManager.completePalette(colors);
+    }
+
+    saveCustomPalette() {
+        const colors = {};
+        Object.entries(this.editorInputs).forEach(([key, input]) => {
+            colors[key] = input.value;
+        });
+        if (!ThemeManager.isCustomPalette(colors)) return;
+        
+        ThemeManager.writeStorage(THEME_CONFIG.STORAGE.CUSTOM_PALETTE_KEY, JSON.stringify(colors));
+        this.closeEditor(true);
+        this.setTheme(THEME_CONFIG.THEMES.CUSTOM);
+        this.updateToggle(this.theme);
+        this.saveTheme(this.theme);
+    }
+
+    /**
+     * Show a palette on the page: its colours as CSS variables and its base as data-theme
+     * @param {string} theme - Theme name, passed on in themeChanged
+     * @param {Object} palette - Full palette, as in THEME_CONFIG.PALETTES
+     */
+    static apply(theme, palette) {
+        const root = document.documentElement;
+        const base = ThemeManager.baseFor(palette);
+        
+        if (base === THEME_CONFIG.THEMES.LIGHT) {
+            root.setAttribute(THEME_CONFIG.ATTRIBUTES.DATA_THEME, THEME_CONFIG.THEMES.LIGHT);
+        } else {
+            root.removeAttribute(THEME_CONFIG.ATTRIBUTES.DATA_THEME);
+        }
+        const fromStylesheet = theme === THEME_CONFIG.THEMES.LIGHT || theme === THEME_CONFIG.THEMES.DARK;
+        Object.entries(THEME_CONFIG.CSS_VARIABLES).forEach(([key, variable]) => {
+            if (fromStylesheet) {
+                root.style.removeProperty(variable);
+            } else {
+                root.style.setProperty(variable, palette.colors[key]);
+            }
+        });
+        
+        ThemeManager.active = { theme, base, palette: { ...palette.colors } };
+    }
+
+    /**
+     * @param {string} theme - Theme name
+     * @returns {Object|null} Its palette, or null for an unknown theme or a custom one that isn't saved
+     */
+    static paletteFor(theme) {
+        if (theme === THEME_CONFIG.THEMES.CUSTOM) {
+            const colors = ThemeManager.loadCustomPalette();
+            return colors ? ThemeManager.completePalette(colors) : null;
+        }
+        return Object.prototype.hasOwnProperty.call(THEME_CONFIG.PALETTES, theme) ? THEME_CONFIG.PALETTES[theme] : null;
+    }
+
+    static baseFor(palette) {
+        return palette.base === THEME_CONFIG.THEMES.LIGHT ? THEME_CONFIG.THEMES.LIGHT : THEME_CONFIG.THEMES.DARK;
+    }
+
+    /**
+     * Fill in the colours the editor doesn't offer
+     * @param {Object} colors - One #rrggbb colour per THEME_CONFIG.EDITOR.FIELDS entry
+     * @returns {Object} Full palette
+     */
+    static completePalette(colors) {
+        const editor = THEME_CONFIG.EDITOR;
+        const base = ThemeManager.luminance(colors.bgPrimary) > editor.LIGHT_LUMINANCE
+            ? THEME_CONFIG.THEMES.LIGHT
+            : THEME_CONFIG.THEMES.DARK;
+        const shadow = THEME_CONFIG.PALETTES[base].colors.shadow;
+        
+        return {
+            label: editor.LABEL,
+            base,
+            colors: {
+                ...colors,
+                bgTertiary: ThemeManager.mix(colors.bgSecondary, colors.textPrimary, editor.TINT),
+                textHover: colors.textPrimary,
+                border: ThemeManager.mix(colors.bgSecondary, colors.textPrimary, editor.BORDER_TINT),
+                shadow,
+                board: colors.bgPrimary
+            }
+        };
+    }
+
+    /**
+     * @returns {Object|null} Saved custom colours, if there are any and they are all valid
+     */
+    static loadCustomPalette() {
+        const text = ThemeManager.readStorage(THEME_CONFIG.STORAGE.CUSTOM_PALETTE_KEY);
+        if (!text) return null;
+        try {
+            const colors = JSON.parse(text);
+            return ThemeManager.isCustomPalette(colors) ? colors : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static isCustomPalette(colors) {
+        // Security: Only plain hex colours reach style properties
+        return Boolean(colors) && typeof colors === 'object' && THEME_CONFIG.EDITOR.FIELDS.every(([key]) =>
+            typeof colors[key] === 'string' && /^#[0-9a-f]{6}$/i.test(colors[key]));
+    }
+
+    static channels(hex) {
+        return [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
+    }
+
+    static mix(from, to, amount) {
+        const a = ThemeManager.channels(from);
+        const b = ThemeManager.channels(to);
+        return '#' + a.map((channel, k) => Math.round(channel + (b[k] - channel) * amount).toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @returns {number} Relative luminance of a #rrggbb colour, 0 to 1
+     */
+    static luminance(hex) {
+        const [r, g, b] = ThemeManager.channels(hex).map((channel) => {
+            const c = channel / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    static readStorage(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch (error) {
+            // Storage blocked (e.g. some private modes)
+            return null;
+        }
+    }
+
+    static writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, value);
+        } catch (error) {
+            // The theme still applies for this visit
+        }
     }
 }
 
+// Set by ThemeManager.apply
+ThemeManager.active = null;
+
 // Initialize theme manager when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     new ThemeManager();
@@ -129,18 +555,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Prevent flash of unstyled content
 (function() {
-    const savedTheme = localStorage.getItem(THEME_CONFIG.STORAGE.THEME_KEY);
+    const savedTheme = ThemeManager.readStorage(THEME_CONFIG.STORAGE.THEME_KEY);
     const prefersDark = window.matchMedia(THEME_CONFIG.MEDIA_QUERIES.PREFERS_DARK).matches;
     
     // Security: Validate saved theme
-    let theme = THEME_CONFIG.THEMES.DARK;
-    if (savedTheme === THEME_CONFIG.THEMES.LIGHT || savedTheme === THEME_CONFIG.THEMES.DARK) {
+    let theme = prefersDark ? THEME_CONFIG.THEMES.DARK : THEME_CONFIG.THEMES.LIGHT;
+    if (savedTheme && ThemeManager.paletteFor(savedTheme)) {
         theme = savedTheme;
-    } else if (!prefersDark) {
-        theme = THEME_CONFIG.THEMES.LIGHT;
     }
     
-    if (theme === THEME_CONFIG.THEMES.LIGHT) {
-        document.documentElement.setAttribute(THEME_CONFIG.ATTRIBUTES.DATA_THEME, THEME_CONFIG.THEMES.LIGHT);
-    }
-})();
\ No newline at end of file
+    ThemeManager.apply(theme, ThemeManager.paletteFor(theme));
+})();
@@ -0,0 +1,81 @@
+/**
+ * Game of Life Tool Controls
+ * The editing tool buttons, the selection's action buttons and the editing options
+ */
+
+/**
+ * Wires a board's tool controls to it; the tools themselves live in edit-tools.js and
+ * the board, which calls sync() whenever the tool, selection or clipboard changes
+ */
+class ToolControls {
+    /**
+     * @param {ConwayGameOfLife} game - Board the controls belong to, which looks them up by CONFIG.ELEMENTS id
+     */
+    constructor(game) {
+        this.game = game;
+        this.toolButtons = game.findElement(CONFIG.ELEMENTS.TOOL_BUTTONS);
+        this.selectionActions = game.findElement(CONFIG.ELEMENTS.SELECTION_ACTIONS);
+        this.fillRectToggle = game.findElement(CONFIG.ELEMENTS.FILL_RECT_TOGGLE);
+        this.editLiveToggle = game.findElement(CONFIG.ELEMENTS.EDIT_LIVE_TOGGLE);
+
+        this.setup();
+        this.sync();
+    }
+
+    setup() {
+        if (this.toolButtons) {
+            this.toolButtons.addEventListener('click', (e) => {
+                const button = e.target.closest(`[${CONFIG.ATTRIBUTES.TOOL}]`);
+                if (button) {
+                    this.game.setTool(button.getAttribute(CONFIG.ATTRIBUTES.TOOL));
+                }
+            });
+        }
+
+        if (this.selectionActions) {
+            this.selectionActions.addEventListener('click', (e) => {
+                const button = e.target.closest(`[${CONFIG.ATTRIBUTES.SELECTION_ACTION}]`);
+                if (button) {
+                    this.game.runSelectionAction(button.getAttribute(CONFIG.ATTRIBUTES.SELECTION_ACTION));
+                }
+            });
+        }
+
+        if (this.fillRectToggle) {
+            this.fillRectToggle.addEventListener('change', () => {
+                this.game.fillRectangles = this.fillRectToggle.checked;
+            });
+        }
+
+        if (this.editLiveToggle) {
+            this.editLiveToggle.addEventListener('change', () => {
+                this.game.setEditWhileRunning(this.editLiveToggle.checked);
+            });
+        }
+    }
+
+    sync() {
+        const game = this.game;
+
+        if (this.toolButtons) {
+            this.toolButtons.querySelectorAll(`[${CONFIG.ATTRIBUTES.TOOL}]`).forEach(button => {
+                button.setAttribute('aria-pressed', String(button.getAttribute(CONFIG.ATTRIBUTES.TOOL) === game.tool));
+            });
+        }
+
+        if (this.selectionActions) {
+            this.selectionActions.hidden = game.tool !== EDIT_TOOLS_CONFIG.TOOLS.SELECT;
+            this.selectionActions.querySelectorAll(`[${CONFIG.ATTRIBUTES.SELECTION_ACTION}]`).forEach(button => {
+                const action = button.getAttribute(CONFIG.ATTRIBUTES.SELECTION_ACTION);
+                button.disabled = action === 'paste' ? !game.clipboard : !game.selection;
+            });
+        }
+
+        if (this.fillRectToggle) {
+            this.fillRectToggle.checked = game.fillRectangles;
+        }
+        if (this.editLiveToggle) {
+            this.editLiveToggle.checked = game.editWhileRunning;
+        }
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * Custom Element Tests
+ * Checks how <game-of-life> handles rule and pattern attributes it can't use
+ *
+ * Run with: node --test tests/
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+// The parsers are classic scripts; run them in this global scope, where the element's module finds them
+['life-rules.js', 'pattern-io.js'].forEach(file => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'assets', 'js', file), 'utf8');
+    vm.runInThisContext(source, { filename: file });
+});
+
+/**
+ * Stands in for the real board, which needs a canvas; it only remembers what it was asked to do
+ */
+class FakeBoard {
+    constructor(options) {
+        this.options = options;
+        this.rules = [];
+        this.patterns = [];
+        this.isPlaying = options.autoplay;
+    }
+
+    setRule(rule) {
+        this.rules.push(rule);
+        return true;
+    }
+
+    importPattern(pattern) {
+        this.patterns.push(pattern);
+        return true;
+    }
+
+    setSpeed() {}
+
+    speedToSlider(speed) {
+        return speed;
+    }
+
+    destroy() {}
+}
+
+/**
+ * Just enough of the DOM for the element's module to load and run: attributes, a shadow root and events
+ */
+class FakeElement extends EventTarget {
+    constructor() {
+        super();
+        this.attributes = new Map();
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    setAttribute(name, value) {
+        const oldValue = this.getAttribute(name);
+        this.attributes.set(name, String(value));
+        if (this.constructor.observedAttributes.includes(name)) {
+            this.attributeChangedCallback(name, oldValue, String(value));
+        }
+    }
+
+    attachShadow() {
+        this.shadowRoot = {
+            appendChild() {},
+            querySelector: () => new EventTarget()
+        };
+        return this.shadowRoot;
+    }
+}
+
+globalThis.ConwayGameOfLife = FakeBoard;
+globalThis.HTMLElement = FakeElement;
+globalThis.document = {
+    createElement: () => ({ content: { cloneNode: () => ({}) } })
+};
+globalThis.customElements = {
+    registry: new Map(),
+    get(tag) {
+        return this.registry.get(tag);
+    },
+    define(tag, element) {
+        this.registry.set(tag, element);
+    }
+};
+
+const loaded = import('../assets/js/game-of-life-element.mjs');
+
+/**
+ * @param {Object} attributes - Attributes set before the element connects
+ * @returns {Object} The connected element and the detail of every error event it dispatched
+ */
+async function connect(attributes) {
+    const { GameOfLifeElement } = await loaded;
+    const element = new GameOfLifeElement();
+    const errors = [];
+    element.addEventListener('error', (e) => errors.push(e.detail));
+
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    element.connectedCallback();
+    return { element, errors };
+}
+
+test('valid rule and pattern attributes are passed to the board', async () => {
+    const { element, errors } = await connect({ rule: 'B36/S23', pattern: 'x = 3, y = 1\n3o!' });
+    assert.deepEqual(errors, []);
+    assert.equal(element.game.options.rule, 'B36/S23');
+    assert.equal(element.game.options.pattern, 'x = 3, y = 1\n3o!');
+});
+
+test('a bad rule attribute is reported and the board starts empty with the default rule', async () => {
+    const { element, errors } = await connect({ rule: 'B9/S23', pattern: 'x = 3, y = 1\n3o!' });
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].attribute, 'rule');
+    assert.match(errors[0].message, /\S/);
+    assert.equal(element.game.options.rule, undefined);
+    assert.equal(PatternIO.parse(element.game.options.pattern).cells.flat().some(Boolean), false);
+});
+
+test('a bad pattern attribute is reported and the board starts empty with the default rule', async () => {
+    const { element, errors } = await connect({ rule: 'B36/S23', pattern: 'x = 2, y = 1\n3o!' });
+    assert.deepEqual(errors.map(error => error.attribute), ['pattern']);
+    assert.equal(element.game.options.rule, undefined);
+    assert.equal(PatternIO.parse(element.game.options.pattern).cells.flat().some(Boolean), false);
+});
+
+test('a pattern naming a bad rule of its own is reported', async () => {
+    const { element, errors } = await connect({ pattern: 'x = 3, y = 1, rule = nonsense\n3o!' });
+    assert.deepEqual(errors.map(error => error.attribute), ['pattern']);
+    assert.equal(element.game.options.rule, undefined);
+});
+
+test('changing to a bad attribute is reported and leaves the running board alone', async () => {
+    const { element, errors } = await connect({});
+    element.setAttribute('rule', 'B9/S23');
+    element.setAttribute('pattern', 'not a pattern');
+    assert.deepEqual(errors.map(error => error.attribute), ['rule', 'pattern']);
+    assert.deepEqual(element.game.rules, []);
+    assert.deepEqual(element.game.patterns, []);
+
+    element.setAttribute('rule', 'B36/S23');
+    assert.deepEqual(element.game.rules, ['B36/S23']);
+});
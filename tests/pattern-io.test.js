@@ -0,0 +1,74 @@
+/**
+ * Pattern I/O Tests
+ * Reads RLE edge cases, including sizes the reader has to refuse before allocating anything
+ *
+ * Run with: node --test tests/
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const context = vm.createContext({});
+const source = fs.readFileSync(path.join(__dirname, '..', 'assets', 'js', 'pattern-io.js'), 'utf8');
+vm.runInContext(source, context, { filename: 'pattern-io.js' });
+const { PatternIO, PatternParseError } = vm.runInContext('({ PatternIO, PatternParseError })', context);
+
+const GLIDER = [[0, 1, 0], [0, 0, 1], [1, 1, 1]];
+
+/**
+ * @returns {number[][]} The pattern's cells as arrays of this realm, which deepEqual can compare
+ */
+function cellsOf(pattern) {
+    return Array.from(pattern.cells, row => Array.from(row));
+}
+
+test('a glider reads back as its cells', () => {
+    const pattern = PatternIO.parseRLE('x = 3, y = 3, rule = B3/S23\nbo$2bo$3o!');
+    assert.equal(pattern.rule, 'B3/S23');
+    assert.deepEqual(cellsOf(pattern), GLIDER);
+});
+
+test('an empty row before the end is allowed', () => {
+    assert.deepEqual(cellsOf(PatternIO.parseRLE('x = 3, y = 3\nbo$2bo$3o$!')), GLIDER);
+    assert.deepEqual(cellsOf(PatternIO.parseRLE('x = 3, y = 3\nbo$2bo$3o5$!')), GLIDER);
+    assert.deepEqual(cellsOf(PatternIO.parseRLE('bo$2bo$3o$!')), GLIDER);
+});
+
+test('empty rows inside the pattern still count', () => {
+    const pattern = PatternIO.parseRLE('x = 1, y = 3\no2$o!');
+    assert.deepEqual(cellsOf(pattern), [[1], [0], [1]]);
+});
+
+test('cells beyond the declared size are refused', () => {
+    assert.throws(() => PatternIO.parseRLE('x = 3, y = 2\nbo$2bo$3o!'), PatternParseError);
+    assert.throws(() => PatternIO.parseRLE('x = 2, y = 3\nbo$2bo$3o!'), PatternParseError);
+});
+
+test('a huge declared size is refused before it is allocated', () => {
+    assert.throws(() => PatternIO.parseRLE('x = 1, y = 4000000\n!'), PatternParseError);
+    assert.throws(() => PatternIO.parseRLE('x = 4000000, y = 1\n!'), PatternParseError);
+    assert.throws(() => PatternIO.parseRLE('x = 0, y = 100000000\n!'), PatternParseError);
+    assert.throws(() => PatternIO.parseRLE('x = 3000, y = 3000\n!'), PatternParseError);
+});
+
+test('a huge run count is refused before it is allocated', () => {
+    assert.throws(() => PatternIO.parseRLE('99999999$o!'), PatternParseError);
+    assert.throws(() => PatternIO.parseRLE('99999999o!'), PatternParseError);
+});
+
+test('a pattern must fit the bounds it is read for', () => {
+    const bounds = { width: 3, height: 3 };
+    assert.deepEqual(cellsOf(PatternIO.parseRLE('x = 3, y = 3\nbo$2bo$3o!', bounds)), GLIDER);
+    assert.throws(() => PatternIO.parseRLE('x = 4, y = 3\nbo$2bo$3o!', bounds), PatternParseError);
+    assert.throws(() => PatternIO.parseRLE('bo$2bo$3o$o!', bounds), PatternParseError);
+    assert.throws(() => PatternIO.parseCells('.O\n..O\nOOO\nO', bounds), PatternParseError);
+});
+
+test('states above 24 round-trip through two-character tags', () => {
+    const cells = [[1, 24, 25, 48, 49, 255]];
+    const pattern = PatternIO.fromCells(cells, { rule: '/2/256' });
+    assert.deepEqual(cellsOf(PatternIO.parseRLE(PatternIO.toRLE(pattern))), cells);
+});
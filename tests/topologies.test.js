@@ -0,0 +1,121 @@
+/**
+ * Topology Tests
+ * Steps a glider across every edge of each bounded topology and checks where it comes out
+ *
+ * Run with: node --test tests/
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+// The engine is a classic script; load it the way a page would, into one shared global scope
+const context = vm.createContext({});
+['life-rules.js', 'life-engine.js'].forEach(file => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'assets', 'js', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+});
+const { LifeEngine, LifeRule, ENGINE_CONFIG } = vm.runInContext('({ LifeEngine, LifeRule, ENGINE_CONFIG })', context);
+
+// Test Configuration Constants
+const TEST_CONFIG = {
+    ROWS: 16,
+    COLS: 40,
+    GENERATIONS: 64, // A full lap of the 16-row board, 4 generations per cell
+    GLIDER: [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]], // Heading down and right
+    GLIDER_AT: [10, 18]
+};
+
+const TOPOLOGIES = ENGINE_CONFIG.TOPOLOGIES;
+
+/**
+ * Every crossing is the same scenario, a glider heading for the bottom edge of a
+ * ROWS x COLS board, turned so that it heads for the named edge instead
+ */
+const EDGES = {
+    bottom: { rows: TEST_CONFIG.ROWS, cols: TEST_CONFIG.COLS, place: (r, c) => [r, c] },
+    top: { rows: TEST_CONFIG.ROWS, cols: TEST_CONFIG.COLS, place: (r, c) => [TEST_CONFIG.ROWS - 1 - r, c] },
+    right: { rows: TEST_CONFIG.COLS, cols: TEST_CONFIG.ROWS, place: (r, c) => [c, r] },
+    left: { rows: TEST_CONFIG.COLS, cols: TEST_CONFIG.ROWS, place: (r, c) => [c, TEST_CONFIG.ROWS - 1 - r] }
+};
+
+/**
+ * What the glider leaves against a closed bottom edge, in the untransformed scenario
+ */
+const DEBRIS = {
+    [TOPOLOGIES.DEAD]: [[14, 22], [14, 23], [15, 22], [15, 23]], // Block
+    [TOPOLOGIES.REFLECT]: [[9, 20], [9, 21], [9, 22], [11, 18], [11, 24], [12, 18], [12, 24], [13, 18], [13, 24]]
+};
+
+/**
+ * @returns {number[][]} Cells of the glider on an endless plane after some generations (a multiple of 4)
+ */
+function gliderOnPlane(generations) {
+    const shift = generations / 4;
+    const [row, col] = TEST_CONFIG.GLIDER_AT;
+    return TEST_CONFIG.GLIDER.map(([r, c]) => [row + r + shift, col + c + shift]);
+}
+
+/**
+ * Bring a plane cell that has crossed at most one edge back onto the board
+ */
+function wrap(topology, rows, cols, [row, col]) {
+    const mirrorRows = topology === TOPOLOGIES.PROJECTIVE;
+    const mirrorCols = topology === TOPOLOGIES.KLEIN || topology === TOPOLOGIES.PROJECTIVE;
+
+    if (row < 0 || row >= rows) {
+        row = (row + rows) % rows;
+        if (mirrorCols) col = cols - 1 - col;
+    } else if (col < 0 || col >= cols) {
+        col = (col + cols) % cols;
+        if (mirrorRows) row = rows - 1 - row;
+    }
+    return [row, col];
+}
+
+function runGlider(topology, edge, generations) {
+    const engine = new LifeEngine(edge.rows, edge.cols, LifeRule.parse('B3/S23'), topology);
+    gliderOnPlane(0).forEach(([r, c]) => engine.setCell(...edge.place(r, c), 1));
+    for (let g = 0; g < generations; g++) {
+        engine.step();
+    }
+    return engine;
+}
+
+function liveCells(engine) {
+    const cells = engine.exportCells();
+    const live = [];
+    cells.forEach((state, index) => {
+        if (state) live.push(`${Math.floor(index / engine.cols)},${index % engine.cols}`);
+    });
+    return live.sort();
+}
+
+function cellKeys(cells) {
+    return cells.map(([r, c]) => `${r},${c}`).sort();
+}
+
+[TOPOLOGIES.TORUS, TOPOLOGIES.KLEIN, TOPOLOGIES.PROJECTIVE].forEach(topology => {
+    Object.entries(EDGES).forEach(([name, edge]) => {
+        test(`${topology}: a glider crossing the ${name} edge comes out on the opposite side`, () => {
+            for (let generations = 0; generations <= TEST_CONFIG.GENERATIONS; generations += 4) {
+                const expected = gliderOnPlane(generations)
+                    .map(([r, c]) => edge.place(r, c))
+                    .map(cell => wrap(topology, edge.rows, edge.cols, cell));
+                assert.deepEqual(liveCells(runGlider(topology, edge, generations)), cellKeys(expected),
+                    `after ${generations} generations`);
+            }
+        });
+    });
+});
+
+[TOPOLOGIES.DEAD, TOPOLOGIES.REFLECT].forEach(topology => {
+    Object.entries(EDGES).forEach(([name, edge]) => {
+        test(`${topology}: a glider stops at the ${name} edge`, () => {
+            const expected = DEBRIS[topology].map(([r, c]) => edge.place(r, c));
+            assert.deepEqual(liveCells(runGlider(topology, edge, TEST_CONFIG.GENERATIONS)), cellKeys(expected));
+        });
+    });
+});